@@ -0,0 +1,43 @@
+const path = require('path');
+
+// LLM Provider Configuration
+// LLM_PROVIDER selects the backend used for chat completions:
+//   openai            - api.openai.com (default)
+//   openai-compatible - any server exposing /chat/completions (llama.cpp, Ollama, vLLM...)
+//   mock              - replays recorded transcripts from fixtures/transcripts, no network
+const DEFAULT_BASE_URLS = {
+  openai: 'https://api.openai.com/v1',
+  'openai-compatible': 'http://localhost:11434/v1',
+};
+
+// Models known to accept response_format: { type: 'json_object' }
+const JSON_MODE_MODELS = /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-(0125|1106)|gpt-3\.5-turbo-(0125|1106)|gpt-5|o\d)/;
+
+// LLM_JSON_MODE=true|false forces JSON mode on or off; otherwise it is enabled for known OpenAI models
+function resolveJsonMode(provider, model) {
+  const setting = (process.env.LLM_JSON_MODE || '').toLowerCase();
+  if (setting === 'true' || setting === 'false') {
+    return setting === 'true';
+  }
+  return provider === 'openai' && JSON_MODE_MODELS.test(model);
+}
+
+function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const model = process.env.LLM_MODEL || 'gpt-4';
+
+  return {
+    provider,
+    baseUrl: (process.env.LLM_BASE_URL || DEFAULT_BASE_URLS[provider] || '').replace(/\/+$/, ''),
+    model,
+    jsonMode: resolveJsonMode(provider, model),
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000,
+    transcriptsDir: process.env.MOCK_TRANSCRIPTS_DIR || path.join(__dirname, '..', 'fixtures', 'transcripts'),
+  };
+}
+
+module.exports = {
+  getLLMConfig,
+  DEFAULT_BASE_URLS
+};
@@ -1,38 +1,34 @@
-const axios = require('axios');
+const { getProvider } = require('../providers');
+const { toolRegistry } = require('../tools');
+const { filtersSchema } = require('../tools/schemas');
 
-// OpenAI Communication Functions
-async function callOpenAIWithRetry(messages, functions, retries = 3) {
+// LLM Communication Functions
+// json asks the provider for a JSON object answer when it supports JSON mode
+async function callLLMWithRetry(messages, tools, { retries = 3, maxTokens = 500, temperature = 0.7, json = false, onDelta, signal } = {}) {
+  const provider = getProvider();
   try {
-    console.log(`callOpenAIWithRetry: Attempting OpenAI API call. Retries left: ${retries}`);
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4',  // Changed from 'gpt-4o-mini' to 'gpt-4'
-        messages: messages,
-        functions: functions,
-        function_call: 'auto',
-        max_tokens: 500,
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-        },
-      }
-    );
-    console.log('callOpenAIWithRetry: OpenAI API call successful');
-    return response.data;
+    console.log(`callLLMWithRetry: Attempting ${provider.name} API call (${provider.model}). Retries left: ${retries}`);
+    const response = await provider.createChatCompletion({
+      messages,
+      tools,
+      maxTokens,
+      temperature,
+      json,
+      onDelta,
+      signal,
+    });
+    console.log('callLLMWithRetry: API call successful');
+    return response;
   } catch (error) {
-    if (error.response && error.response.status === 429 && retries > 0) {
+    if (error.response && error.response.status === 429 && retries > 0 && !signal?.aborted) {
       const retryAfter = error.response.headers['retry-after']
         ? parseInt(error.response.headers['retry-after'], 10) * 1000
         : 1000;
-      console.warn(`callOpenAIWithRetry: Rate limit exceeded. Retrying after ${retryAfter} ms...`);
+      console.warn(`callLLMWithRetry: Rate limit exceeded. Retrying after ${retryAfter} ms...`);
       await new Promise((resolve) => setTimeout(resolve, retryAfter));
-      return await callOpenAIWithRetry(messages, functions, retries - 1);
+      return await callLLMWithRetry(messages, tools, { retries: retries - 1, maxTokens, temperature, json, onDelta, signal });
     }
-    console.error(`callOpenAIWithRetry: Failed to call OpenAI API. Error: ${error.message}`);
+    console.error(`callLLMWithRetry: Failed to call ${provider.name} API. Error: ${error.message}`);
     if (error.response) {
       console.error('Error details:', JSON.stringify(error.response.data, null, 2));
     }
@@ -40,67 +36,8 @@ async function callOpenAIWithRetry(messages, functions, retries = 3) {
   }
 }
 
-// Function Definitions for OpenAI
-const functions = [
-  {
-    name: 'generate_vega_spec',
-    description: 'Generates a Vega-Lite v5 specification for data visualization',
-    parameters: {
-      type: 'object',
-      properties: {
-        user_query: {
-          type: 'string',
-          description: 'The user query requesting a visualization'
-        },
-        dataset_info: {
-          type: 'object',
-          description: 'Information about the dataset including columns and types'
-        }
-      },
-      required: ['user_query', 'dataset_info']
-    }
-  },
-  {
-    name: 'compute_statistic',
-    description: 'Computes statistical measures on the dataset, including counts and correlations.',
-    parameters: {
-      type: 'object',
-      properties: {
-        operation: {
-          type: 'string',
-          enum: ['mean', 'median', 'sum', 'min', 'max', 'correlation', 'count'],
-          description: 'The statistical operation to perform.',
-        },
-        field: {
-          type: 'string',
-          description: 'The field/column to analyze.',
-        },
-        field2: {
-          type: 'string',
-          description: 'The second field for correlation calculation.',
-        },
-        groupBy: {
-          type: 'string',
-          description: 'Field name to group results by.',
-        },
-        filters: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              field: { type: 'string' },
-              operator: { type: 'string', enum: ['==', '!=', '>', '<', '>=', '<='] },
-              value: { type: ['string', 'number'] },
-            },
-            required: ['field', 'operator', 'value'],
-          },
-          description: 'Optional filters to apply before computing the statistic.',
-        },
-      },
-      required: ['operation', 'field']
-    }
-  }
-];
+// Tool definitions come from the tool registry (see tools/index.js)
+const tools = toolRegistry.getToolDefinitions();
 
 // System Prompt
 const systemPrompt = `You are an AI assistant that helps analyze data and create visualizations. Follow these EXACT formats for responses:
@@ -127,11 +64,40 @@ If the query asks for both visualization AND statistics, return:
   "output": <computed value or object>
 }
 
+DATASET INFO:
+- "profiles" describes every column: type, role (id, currency, percent, year, measure, date, boolean, category,
+  text), nullRate, distinctCount, min/max and topValues. Never aggregate or chart id columns as measures; use
+  category and boolean columns for grouping, and free text columns only for counts or filters.
+
+TOOL CALL RULES:
+- Independent tool calls (e.g. a chart and a statistic) should be requested together in one turn; they run in parallel.
+- Only wait for a tool result before calling another tool when the second call depends on it.
+
+TRANSFORM RULES:
+- When the question needs a value that is not a column (ratios, a year from a date, age ranges...), first call
+  transform_data with operation "derive", then use the new column in later tool calls and charts.
+- Use pivot/melt only when the shape of the data has to change (e.g. one column per year), and join only when
+  the user refers to another uploaded dataset by id.
+- transform_data must finish before the calls that use its columns, so do not request them in the same turn.
+
+SQL RULES:
+- run_sql (when available) queries the working dataset as the SQLite table "data". Prefer compute_statistic and the
+  other analysis tools for simple questions; use run_sql for window functions, ranking, complex grouping or
+  conditions across rows.
+- Always quote column names in double quotes and add ORDER BY/LIMIT for top-N questions.
+- To chart a query result, call run_sql with asDataset: true first, then generate_vega_spec on the result columns.
+
+CHART RULES:
+- generate_vega_spec takes structured parameters, never a free-text description of the chart.
+- Only use field names that appear in the dataset info. If the tool returns errors, correct the parameters and call it again.
+- Use aggregate on y (mean, sum, count...) whenever x is categorical or temporal and rows repeat.
+- Use timeUnit on temporal x fields (yearmonth, year...) and bin on quantitative fields for histograms.
+
 FREQUENCY/COUNT ANALYSIS RULES:
 When showing breakdowns, counts, or distributions of categorical variables:
 1. For visualization, use generate_vega_spec with:
    - mark: "bar"
-   - encoding: use "count()" aggregate for y-axis
+   - y: {"aggregate": "count"}
 2. For numerical summary, use compute_statistic with:
    - operation: "count"
    - field: <categorical field>
@@ -140,14 +106,12 @@ When showing breakdowns, counts, or distributions of categorical variables:
 Example queries and responses:
 
 1. Query: "Show a breakdown of cars by origin"
-   Required sequence:
+   Required sequence (a and b are independent, so request both tool calls in the same turn):
    a) Call generate_vega_spec with:
       {
         "mark": "bar",
-        "encoding": {
-          "x": {"field": "Origin", "type": "nominal"},
-          "y": {"aggregate": "count"}
-        },
+        "x": {"field": "Origin", "type": "nominal", "sort": "-y"},
+        "y": {"aggregate": "count"},
         "title": "Car Count by Origin"
       }
    b) Call compute_statistic with:
@@ -163,9 +127,34 @@ Example queries and responses:
         "output": <counts from compute_statistic>
       }
 
+DESCRIPTIVE STATISTICS RULES:
+- For "spread", "variability" or "dispersion" questions, use compute_statistic with "std" and/or "iqr".
+- For distribution shape, use "skewness" (asymmetry) and "kurtosis" (excess, normal = 0).
+- For "summarize the data" or "give me an overview", use "describe" without a field.
+- For data quality questions, use "null_count" and "distinct_count".
+
+MULTI-AGGREGATION RULES:
+When a query asks for several measures or several grouping keys at once (e.g. "average and max MPG by
+Origin and Cylinders"), answer it with ONE compute_statistic call:
+  {
+    "operation": "aggregate",
+    "aggregations": [{"field": "Miles_per_Gallon", "op": "mean"}, {"field": "Miles_per_Gallon", "op": "max"}],
+    "groupBy": ["Origin", "Cylinders"]
+  }
+For "top 5 ..." questions add "sort": [{"by": "<output column>", "order": "desc"}] and "limit": 5.
+Use "having" to filter on aggregated values (e.g. groups with count > 10).
+
+FILTER RULES:
+- Use "in"/"not in" with an array for several categories and "between" with [low, high] for ranges (inclusive).
+- Use "contains", "startsWith", "endsWith" or "regex" for text matching (case-insensitive). Regexes may not repeat a group that contains a quantifier or "|", use two "*"/"+" quantifiers on overlapping characters (".*.*"), nor use backreferences.
+- Use "is null"/"is not null" (no value) for missing data.
+- On temporal columns, comparisons and "between" take ISO dates such as "2020-01-31".
+- For "either ... or ..." conditions, wrap them in {"any": [...]}.
+- If a filter returns an error, fix the field name or operator and call the tool again.
+
 CORRELATION ANALYSIS RULES:
 For relationships between two numerical variables:
-1. Use generate_vega_spec for scatter plot
+1. Use generate_vega_spec with mark "point" and both fields on x and y
 2. Use compute_statistic with:
    {
      "operation": "correlation",
@@ -173,11 +162,34 @@ For relationships between two numerical variables:
      "field2": "variable2"
    }
 
+FOLLOW-UP RULES:
+Earlier turns of the conversation may precede the current query, and the user message may include the
+"Current Chart Specification" from the previous turn. For follow-ups such as "make it a line chart instead"
+or "now split that by year", start from that specification and the earlier results instead of starting over,
+and call generate_vega_spec again with the complete updated parameters (mark and every channel).
+
+TIME SERIES RULES:
+For "how did X change over time", trends, growth or seasonality questions on a temporal field:
+1. Call time_series with the dateField, measure, aggregate and an interval that fits the date range.
+2. Chart it with generate_vega_spec as a line chart whose x encoding uses the same field with the
+   timeUnit from the result's "chartHint" (month -> yearmonth, quarter -> yearquarter, year -> year),
+   and whose y uses the same aggregate, so the chart and the numbers line up.
+3. Summarize the trend direction, overall change and notable period-over-period changes in the description.
+
+STATISTICAL TEST RULES:
+When the user asks whether a relationship or difference is significant, or asks for a regression:
+- Two numeric fields: correlation_test (spearman for skewed or ordinal data).
+- Predicting a numeric field from others: linear_regression.
+- A numeric field across two groups: t_test with groupBy; across three or more groups: anova.
+- Two categorical fields: chi_square_test.
+Put the test result in "output", and state n, the p-value and whether it is significant in the description.
+
 Always end with a final response in one of the three formats above.
 Never leave the response without a proper JSON structure.`;
 
 module.exports = {
-  callOpenAIWithRetry,
-  functions,
+  callLLMWithRetry,
+  tools,
+  filtersSchema,
   systemPrompt
 };
\ No newline at end of file
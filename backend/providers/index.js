@@ -0,0 +1,40 @@
+const { getLLMConfig } = require('../config/llm');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+let cachedProvider = null;
+
+// Provider Selection
+function createProvider(config = getLLMConfig()) {
+  switch (config.provider) {
+    case 'openai':
+    case 'openai-compatible':
+      return createOpenAIProvider({
+        name: config.provider,
+        baseUrl: config.baseUrl,
+        model: config.model,
+        apiKey: config.apiKey,
+        timeoutMs: config.timeoutMs,
+        jsonMode: config.jsonMode,
+      });
+    case 'mock':
+      return createMockProvider({
+        transcriptsDir: config.transcriptsDir,
+        model: process.env.LLM_MODEL,
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}". Expected openai, openai-compatible or mock.`);
+  }
+}
+
+function getProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createProvider();
+  }
+  return cachedProvider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider
+};
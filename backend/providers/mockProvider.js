@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic provider that replays recorded transcripts instead of calling a model.
+// Each transcript lists the keywords it answers to and the assistant messages to return,
+// in order. The step is derived from how many tool-calling assistant turns follow the latest
+// user message, so replays are stateless and safe under concurrent requests.
+// A step is { tool_calls: [{ name, arguments }] }, { function_call: { name, arguments } }
+// (a single call, kept for older transcripts) or { content }.
+function loadTranscripts(transcriptsDir) {
+  if (!fs.existsSync(transcriptsDir)) {
+    console.warn(`mockProvider: Transcript directory not found: ${transcriptsDir}`);
+    return [];
+  }
+
+  return fs.readdirSync(transcriptsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const transcript = JSON.parse(fs.readFileSync(path.join(transcriptsDir, file), 'utf8'));
+      return {
+        name: transcript.name || path.basename(file, '.json'),
+        match: (transcript.match || []).map(keyword => keyword.toLowerCase()),
+        steps: transcript.steps || [],
+      };
+    });
+}
+
+function findTranscript(transcripts, text) {
+  const normalizedText = text.toLowerCase();
+  const specific = transcripts.find(t =>
+    t.match.length > 0 && t.match.every(keyword => normalizedText.includes(keyword))
+  );
+  return specific || transcripts.find(t => t.match.length === 0) || null;
+}
+
+function toAssistantMessage(step, stepIndex) {
+  const calls = step.tool_calls || (step.function_call ? [step.function_call] : null);
+  if (calls) {
+    return {
+      role: 'assistant',
+      content: null,
+      tool_calls: calls.map((call, i) => ({
+        id: `call_mock_${stepIndex}_${i}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments),
+        },
+      })),
+    };
+  }
+
+  const content = step.content;
+  return {
+    role: 'assistant',
+    content: typeof content === 'string' ? content : JSON.stringify(content),
+  };
+}
+
+// Emits content in fixed-size chunks so streaming clients see the same sequence every run
+async function replayAsDeltas(content, onDelta, chunkSize = 16) {
+  for (let i = 0; i < content.length; i += chunkSize) {
+    onDelta(content.slice(i, i + chunkSize), content.slice(0, i + chunkSize));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+function createMockProvider({ transcriptsDir, model }) {
+  const transcripts = loadTranscripts(transcriptsDir);
+  console.log(`mockProvider: Loaded ${transcripts.length} transcript(s) from ${transcriptsDir}`);
+
+  return {
+    name: 'mock',
+    model: model || 'mock',
+    jsonMode: false,
+
+    isConfigured() {
+      if (transcripts.length === 0) {
+        return { ok: false, reason: `No mock transcripts found in ${transcriptsDir}.` };
+      }
+      return { ok: true };
+    },
+
+    async createChatCompletion({ messages, onDelta }) {
+      const lastUserIndex = messages.map(m => m.role).lastIndexOf('user');
+      const userText = lastUserIndex >= 0 ? String(messages[lastUserIndex].content || '') : '';
+      const transcript = findTranscript(transcripts, userText);
+
+      if (!transcript) {
+        throw new Error('mockProvider: No transcript matches the request and no fallback transcript exists');
+      }
+
+      const step = messages.slice(lastUserIndex + 1).filter(m => m.role === 'assistant' && m.tool_calls).length;
+      const steps = transcript.steps;
+      if (steps.length === 0) {
+        throw new Error(`mockProvider: Transcript "${transcript.name}" has no steps`);
+      }
+      const stepIndex = Math.min(step, steps.length - 1);
+      const message = toAssistantMessage(steps[stepIndex], stepIndex);
+
+      console.log(`mockProvider: Replaying transcript "${transcript.name}"`);
+      if (onDelta && message.content) {
+        await replayAsDeltas(message.content, onDelta);
+      }
+      return {
+        id: `mock-${transcript.name}`,
+        object: 'chat.completion',
+        model: this.model,
+        choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  loadTranscripts
+};
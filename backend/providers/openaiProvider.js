@@ -0,0 +1,150 @@
+const axios = require('axios');
+
+// Reassembles a streamed chat completion into the same shape as a non-streamed one,
+// forwarding each content chunk to onDelta as it arrives.
+function readCompletionStream(stream, onDelta) {
+  return new Promise((resolve, reject) => {
+    const message = { role: 'assistant', content: '' };
+    let buffer = '';
+    let finishReason = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const choice = JSON.parse(payload).choices?.[0];
+      if (!choice) return;
+      const delta = choice.delta || {};
+      if (delta.content) {
+        message.content += delta.content;
+        onDelta(delta.content, message.content);
+      }
+      // Tool call fragments are keyed by index; id and name arrive once, arguments in pieces
+      (delta.tool_calls || []).forEach((fragment) => {
+        const index = fragment.index ?? 0;
+        message.tool_calls = message.tool_calls || [];
+        if (!message.tool_calls[index]) {
+          message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const toolCall = message.tool_calls[index];
+        if (fragment.id) toolCall.id = fragment.id;
+        toolCall.function.name += fragment.function?.name || '';
+        toolCall.function.arguments += fragment.function?.arguments || '';
+      });
+      finishReason = choice.finish_reason || finishReason;
+    };
+
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      try {
+        lines.forEach(handleLine);
+      } catch (parseError) {
+        stream.destroy();
+        reject(new Error(`Invalid streamed completion chunk: ${parseError.message}`));
+      }
+    });
+    stream.on('end', () => {
+      try {
+        handleLine(buffer);
+      } catch (parseError) {
+        reject(new Error(`Invalid streamed completion chunk: ${parseError.message}`));
+        return;
+      }
+      if (!message.content) message.content = null;
+      if (message.tool_calls) message.tool_calls = message.tool_calls.filter(Boolean);
+      resolve({ choices: [{ index: 0, message, finish_reason: finishReason }] });
+    });
+    stream.on('error', reject);
+  });
+}
+
+function readErrorBody(stream) {
+  return new Promise((resolve) => {
+    let text = '';
+    stream.on('data', (chunk) => { text += chunk.toString('utf8'); });
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(text));
+      } catch (parseError) {
+        resolve({ error: text });
+      }
+    });
+    stream.on('error', () => resolve({ error: text }));
+  });
+}
+
+// Chat completion provider for OpenAI and any OpenAI-compatible server
+// (llama.cpp, Ollama, vLLM...). Only the base URL, model and key differ.
+// jsonMode turns requests for JSON answers into response_format: json_object.
+function createOpenAIProvider({ name, baseUrl, model, apiKey, timeoutMs, jsonMode = false }) {
+  const requiresApiKey = name === 'openai';
+
+  return {
+    name,
+    model,
+    jsonMode,
+
+    isConfigured() {
+      if (!baseUrl) {
+        return { ok: false, reason: 'LLM_BASE_URL is not set.' };
+      }
+      if (requiresApiKey && !apiKey) {
+        return { ok: false, reason: 'OpenAI API key is missing.' };
+      }
+      return { ok: true };
+    },
+
+    async createChatCompletion({ messages, tools, maxTokens, temperature = 0.7, json = false, onDelta, signal }) {
+      const body = {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      };
+      if (tools && tools.length > 0) {
+        body.tools = tools;
+        body.tool_choice = 'auto';
+      }
+      if (json && jsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      if (!onDelta) {
+        const response = await axios.post(`${baseUrl}/chat/completions`, body, {
+          headers,
+          timeout: timeoutMs,
+          signal,
+        });
+        return response.data;
+      }
+
+      body.stream = true;
+      try {
+        const response = await axios.post(`${baseUrl}/chat/completions`, body, {
+          headers,
+          timeout: timeoutMs,
+          signal,
+          responseType: 'stream',
+        });
+        return await readCompletionStream(response.data, onDelta);
+      } catch (error) {
+        if (error.response && error.response.data && typeof error.response.data.on === 'function') {
+          error.response.data = await readErrorBody(error.response.data);
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
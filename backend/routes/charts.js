@@ -0,0 +1,51 @@
+const express = require('express');
+const { getDataset } = require('../services/datasetService');
+const { getChartData } = require('../services/chartWorkingDataService');
+const { prepareChartData, withChartSource } = require('../services/chartDataService');
+const { print_red, serverUtils } = require('../utils/validation');
+
+const router = express.Router();
+
+// The rows a chart was drawn from: a registered dataset, or working data kept for a conversation
+function findChartData({ datasetId, conversationId, workingDataId }) {
+  if (datasetId) {
+    const entry = getDataset(datasetId);
+    return entry && { data: entry.data, info: entry.info, source: { datasetId } };
+  }
+  const chartData = getChartData(conversationId, workingDataId);
+  return chartData && { ...chartData, source: { conversationId, workingDataId } };
+}
+
+// Rebuilds a chart edited in the chart editor from the data the original chart was drawn from
+// (the source in its usermeta.chartData), so scoped, transformed and cleaned data give the same
+// values as the answer did. Body: { chartSpec, datasetId } or { chartSpec, conversationId, workingDataId }
+router.post('/prepare', (req, res) => {
+  const { chartSpec, datasetId, conversationId, workingDataId } = req.body || {};
+  if (!chartSpec || typeof chartSpec !== 'object' || Array.isArray(chartSpec) || !(datasetId || (conversationId && workingDataId))) {
+    res.status(400).json({ error: 'Invalid request. "chartSpec" (a Vega-Lite object) and either "datasetId" or "conversationId" and "workingDataId" are required.' });
+    return;
+  }
+
+  const chartData = findChartData({ datasetId, conversationId, workingDataId });
+  if (!chartData) {
+    res.status(404).json({ error: 'The data for this chart is no longer available on the server. Ask the question again to edit it.' });
+    return;
+  }
+
+  // Inline data would bypass the working data, so only the authored encoding is kept
+  const { data, usermeta, ...authoredSpec } = chartSpec;
+  const validation = serverUtils.validateVegaSpec(authoredSpec, chartData.info);
+  if (!validation.isValid) {
+    res.status(400).json({ error: 'Invalid chart specification', details: validation.issues });
+    return;
+  }
+
+  try {
+    res.json({ chartSpec: withChartSource(prepareChartData(authoredSpec, chartData.data), chartData.source, chartData.info) });
+  } catch (error) {
+    print_red('Error preparing edited chart:', error.message);
+    res.status(400).json({ error: `Failed to prepare the chart: ${error.message}` });
+  }
+});
+
+module.exports = router;
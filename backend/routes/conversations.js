@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  createConversation,
+  getConversation,
+  deleteConversation,
+  describeConversation
+} = require('../services/conversationService');
+const { getDataset } = require('../services/datasetService');
+const { deleteChartData } = require('../services/chartWorkingDataService');
+
+const router = express.Router();
+
+router.post('/', (req, res) => {
+  const { datasetId } = req.body || {};
+
+  if (datasetId && !getDataset(datasetId)) {
+    res.status(404).json({ error: `Dataset "${datasetId}" not found` });
+    return;
+  }
+
+  const conversation = createConversation({ datasetId });
+  console.log(`Created conversation ${conversation.id}`);
+  res.status(201).json(describeConversation(conversation));
+});
+
+router.get('/:id', (req, res) => {
+  const conversation = getConversation(req.params.id);
+  if (!conversation) {
+    res.status(404).json({ error: `Conversation "${req.params.id}" not found` });
+    return;
+  }
+  res.json(describeConversation(conversation));
+});
+
+router.delete('/:id', (req, res) => {
+  if (!deleteConversation(req.params.id)) {
+    res.status(404).json({ error: `Conversation "${req.params.id}" not found` });
+    return;
+  }
+  deleteChartData(req.params.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const {
+  parseCsv,
+  createDataset,
+  getDataset,
+  deleteDataset,
+  describeDataset
+} = require('../services/datasetService');
+const { validateDataset } = require('../services/dataQualityService');
+const { print_red } = require('../utils/validation');
+
+const router = express.Router();
+
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }));
+
+// Accepts a raw CSV body (text/csv), a JSON array of rows,
+// or a JSON object of the form { name, data } / { name, csv }
+function extractUpload(req) {
+  const body = req.body;
+  let name = req.query.name;
+
+  if (typeof body === 'string') {
+    return { name, data: parseCsv(body) };
+  }
+  if (Array.isArray(body)) {
+    return { name, data: body };
+  }
+  if (body && typeof body === 'object') {
+    name = body.name || name;
+    if (Array.isArray(body.data)) {
+      return { name, data: body.data };
+    }
+    if (typeof body.csv === 'string') {
+      return { name, data: parseCsv(body.csv) };
+    }
+  }
+  return { name, data: null };
+}
+
+router.post('/', (req, res) => {
+  let upload;
+  try {
+    upload = extractUpload(req);
+  } catch (parseError) {
+    print_red('Error parsing uploaded dataset:', parseError.message);
+    res.status(400).json({ error: 'Failed to parse CSV upload', details: parseError.message });
+    return;
+  }
+
+  if (!upload.data || upload.data.length === 0) {
+    res.status(400).json({
+      error: 'Invalid upload. Send CSV text, a JSON array of rows, or { "data": [...] }.',
+    });
+    return;
+  }
+
+  // Safe fixes are applied unless ?fix=false; the report lists them with the remaining issues
+  const validation = validateDataset(upload.data, { applyFixes: req.query.fix !== 'false' });
+  if (!validation.isValid) {
+    console.error('Data validation failed:', validation.errors);
+    res.status(400).json({
+      error: 'Invalid dataset structure',
+      details: validation.errors
+    });
+    return;
+  }
+
+  try {
+    const entry = createDataset(validation.data, { name: upload.name, validation: validation.report });
+    console.log(`Registered dataset ${entry.id} (${entry.rowCount} rows)`);
+    res.status(201).json(describeDataset(entry));
+  } catch (error) {
+    print_red('Error registering dataset:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const entry = getDataset(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: `Dataset "${req.params.id}" not found` });
+    return;
+  }
+  res.json(describeDataset(entry));
+});
+
+router.delete('/:id', (req, res) => {
+  if (!deleteDataset(req.params.id)) {
+    res.status(404).json({ error: `Dataset "${req.params.id}" not found` });
+    return;
+  }
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -1,23 +1,30 @@
 require('dotenv').config({ override: true });
-console.log('API Key Loaded:', !!process.env.OPENAI_API_KEY);
 const express = require('express');
 const cors = require('cors');
 
 // Import Helper Functions
 const { corsOptions, limiter } = require('./config/cors');
-const { callOpenAIWithRetry, functions, systemPrompt } = require('./config/openai');
+const { getProvider } = require('./providers');
 
+const { getDatasetInfo } = require('./services/statsService');
+const { runAgent, formatAgentError } = require('./services/agentService');
+const { getDataset } = require('./services/datasetService');
+const { validateDataset } = require('./services/dataQualityService');
+const { applyScope } = require('./services/scopeService');
 const {
-  computeStatistic,
-  getDatasetInfo,
-} = require('./services/statsService');
+  getConversation,
+  appendTurn,
+  buildHistory
+} = require('./services/conversationService');
 
-const {
-  generateVegaSpec,
-  validateAndFormatResponse
-} = require('./services/chartService');
+const datasetRoutes = require('./routes/datasets');
+const conversationRoutes = require('./routes/conversations');
+const chartRoutes = require('./routes/charts');
+
+const { print_red } = require('./utils/validation');
 
-const { print_red, print_blue, serverUtils } = require('./utils/validation');
+const provider = getProvider();
+console.log(`LLM Provider: ${provider.name} (${provider.model}) - configured: ${provider.isConfigured().ok}`);
 
 const app = express();
 app.use(express.json({ limit: '50mb' }));
@@ -26,171 +33,203 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 app.use('/api/', limiter);
 
-// Global Variables
-let dataset = null;
+app.use('/api/datasets', datasetRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/charts', chartRoutes);
 
-// Main Route Handler
-app.post('/api/generate-response', async (req, res) => {
-  const { userQuery, data } = req.body;
+// Resolves provider, conversation and dataset for an agent request.
+// Returns { error: { status, body } } when the request cannot be served.
+function prepareAgentRequest(body) {
+  const { userQuery, conversationId } = body;
 
-  console.log('Received Request Body:', JSON.stringify(req.body, null, 2));
+  console.log('Received Request Body:', JSON.stringify({
+    ...body,
+    data: Array.isArray(body.data) ? `[${body.data.length} rows]` : body.data
+  }, null, 2));
 
-  if (!process.env.OPENAI_API_KEY) {
-    print_red('Error: OPENAI_API_KEY is not set.');
-    res.status(500).json({ error: 'Server configuration error: OpenAI API key is missing.' });
-    return;
+  const providerStatus = provider.isConfigured();
+  if (!providerStatus.ok) {
+    print_red(`Error: LLM provider "${provider.name}" is not configured.`, providerStatus.reason);
+    return { error: { status: 500, body: { error: `Server configuration error: ${providerStatus.reason}` } } };
+  }
+
+  let conversation = null;
+  if (conversationId) {
+    conversation = getConversation(conversationId);
+    if (!conversation) {
+      print_red(`Error: Conversation "${conversationId}" not found.`);
+      return { error: { status: 404, body: { error: `Conversation "${conversationId}" not found. Start a new one via /api/conversations.` } } };
+    }
+  }
+
+  // Resolve the dataset: a registered datasetId takes precedence over inline data
+  const datasetId = body.datasetId || (conversation && conversation.datasetId);
+  let dataset;
+  let datasetInfo;
+  // Whether the server's rows differ from the client's because safe fixes were applied
+  let fixesApplied = false;
+  if (datasetId) {
+    const entry = getDataset(datasetId);
+    if (!entry) {
+      print_red(`Error: Dataset "${datasetId}" not found.`);
+      return { error: { status: 404, body: { error: `Dataset "${datasetId}" not found. Upload it again via /api/datasets.` } } };
+    }
+    dataset = entry.data;
+    datasetInfo = entry.info;
+    fixesApplied = !!(entry.validation && entry.validation.fixes && entry.validation.fixes.length > 0);
+  } else {
+    dataset = body.data;
   }
 
   // Validate Request Payload
-  if (!userQuery || !data || !Array.isArray(data)) {
+  if (!userQuery || !dataset || !Array.isArray(dataset)) {
     print_red('Error: Invalid request payload.');
-    console.error('Received payload:', req.body);
-    res.status(400).json({
-      error: 'Invalid request payload. "userQuery" and "data" are required.',
-    });
-    return;
+    return {
+      error: {
+        status: 400,
+        body: { error: 'Invalid request payload. "userQuery" and either "datasetId" or "data" are required.' }
+      }
+    };
   }
 
-  // Validate dataset
-  const dataValidation = serverUtils.debugDataset(data);
-  if (!dataValidation.isValid) {
-    console.error('Data validation failed:', dataValidation.issues);
-    res.status(400).json({
-      error: 'Invalid dataset structure',
-      details: dataValidation.issues
-    });
-    return;
+  if (!datasetId) {
+    // Validate dataset; inline data gets the same safe fixes as uploads
+    const validation = validateDataset(dataset);
+    if (!validation.isValid) {
+      console.error('Data validation failed:', validation.errors);
+      return { error: { status: 400, body: { error: 'Invalid dataset structure', details: validation.errors } } };
+    }
+    validation.report.fixes.forEach(fix => console.log(`Dataset fix: ${fix.column || '(rows)'}: ${fix.message}`));
+    fixesApplied = validation.report.fixes.length > 0;
+    dataset = validation.data;
+
+    datasetInfo = getDatasetInfo(dataset);
+    if (!datasetInfo) {
+      print_red('Error: Failed to generate datasetInfo from provided data.');
+      return { error: { status: 400, body: { error: 'Invalid dataset. Unable to extract dataset information.' } } };
+    }
   }
 
-  const datasetInfo = getDatasetInfo(data);
-  if (!datasetInfo) {
-    print_red('Error: Failed to generate datasetInfo from provided data.');
-    res.status(400).json({
-      error: 'Invalid dataset. Unable to extract dataset information.',
-    });
-    return;
+  // A grid selection narrows the data for this question only
+  let scopeNote = null;
+  if (body.scope) {
+    try {
+      const scoped = applyScope(dataset, body.scope);
+      dataset = scoped.dataset;
+      datasetInfo = getDatasetInfo(dataset);
+      scopeNote = scoped.note;
+    } catch (error) {
+      print_red('Error: Invalid scope.', error.message);
+      return { error: { status: 400, body: { error: `Invalid scope: ${error.message}` } } };
+    }
   }
 
-  dataset = data;
+  // A chart edited in the chart editor replaces the last generated one as the follow-up context
+  const editedChartSpec = body.chartSpec || null;
+  if (editedChartSpec && (typeof editedChartSpec !== 'object' || Array.isArray(editedChartSpec) || !editedChartSpec.mark)) {
+    print_red('Error: Invalid chartSpec.');
+    return { error: { status: 400, body: { error: 'Invalid chartSpec: expected a Vega-Lite object with a "mark".' } } };
+  }
 
-  console.log(`Incoming request from ${req.ip} at ${new Date().toISOString()}`);
   console.log('User Query:', userQuery);
   console.log('Dataset Info:', JSON.stringify(datasetInfo, null, 2));
 
-  try {
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      { 
-        role: 'user', 
-        content: `User Query: ${userQuery}\n\nAvailable Dataset Info: ${JSON.stringify(datasetInfo, null, 2)}`
-      }
-    ];
-
-    let response = await callOpenAIWithRetry(messages, functions);
-    let message = response.choices[0].message;
-    let functionResults = {};
-
-    const MAX_ITERATIONS = 5;
-    let iterations = 0;
-
-    // Handle function calls
-    while (message.function_call && iterations < MAX_ITERATIONS) {
-      iterations++;
-      console.log(`Function call iteration ${iterations}`);
-
-      const functionName = message.function_call.name;
-      let functionArgs;
-      try {
-        functionArgs = JSON.parse(message.function_call.arguments);
-        
-        if (functionName === 'generate_vega_spec' && !functionArgs.dataset_info) {
-          functionArgs.dataset_info = datasetInfo;
-        }
-      } catch (parseError) {
-        print_red('Error parsing function arguments:', parseError);
-        throw new Error(`Invalid function arguments: ${parseError.message}`);
-      }
-
-      print_blue(`Executing function: ${functionName}`);
-      let functionResponse;
-
-      // Execute the appropriate function
-      if (functionName === 'generate_vega_spec') {
-        console.log('Calling generate_vega_spec with args:', JSON.stringify(functionArgs, null, 2));
-        functionResponse = await generateVegaSpec(functionArgs);
-        if (functionResponse.success) {
-          functionResults.chartSpec = functionResponse.chartSpec;
-        }
-      } else if (functionName === 'compute_statistic') {
-        console.log('Calling compute_statistic with args:', JSON.stringify(functionArgs, null, 2));
-        functionResponse = computeStatistic(functionArgs, dataset);
-        if (functionResponse.success) {
-          functionResults.output = functionResponse.output;
-        }
-      }
-
-      console.log(`Function ${functionName} response:`, functionResponse);
-
-      messages.push(message);
-      messages.push({
-        role: 'function',
-        name: functionName,
-        content: JSON.stringify(functionResponse)
-      });
-
-      response = await callOpenAIWithRetry(messages, functions);
-      message = response.choices[0].message;
-    }
-
-    if (!message.content) {
-      throw new Error('Assistant did not provide a final response');
+  return {
+    userQuery,
+    conversation,
+    editedChartSpec,
+    agentOptions: {
+      userQuery,
+      dataset,
+      datasetInfo,
+      history: conversation ? buildHistory(conversation) : [],
+      lastChartSpec: editedChartSpec || (conversation ? conversation.lastChartSpec : null),
+      lastChartEdited: !!editedChartSpec,
+      // Chart edits are re-rendered by the client when the chart used its rows unchanged,
+      // otherwise rebuilt from working data kept for the conversation
+      datasetId: body.scope ? null : datasetId || null,
+      clientData: !body.scope && !fixesApplied,
+      conversationId: conversation ? conversation.id : null,
+      scopeNote
     }
+  };
+}
 
-    let finalResponse;
-    try {
-      let sanitizedContent = message.content.trim();
-      if (sanitizedContent.startsWith('```json')) {
-        sanitizedContent = sanitizedContent.replace(/^```json\s*/, '').replace(/```$/, '').trim();
-      }
-      
-      console.log('Attempting to parse final response:', sanitizedContent);
-      finalResponse = validateAndFormatResponse({
-        ...JSON.parse(sanitizedContent),
-        ...functionResults
-      });
-      
-      if (finalResponse.chartSpec) {
-        const specValidation = serverUtils.validateVegaSpec(finalResponse.chartSpec);
-        if (!specValidation.isValid) {
-          throw new Error(`Invalid chart specification: ${specValidation.issues.join(', ')}`);
-        }
-      }
-      
-    } catch (parseError) {
-      print_red('Error parsing final response:', parseError);
-      throw new Error(`Failed to parse final response: ${parseError.message}`);
+function completeTurn({ userQuery, conversation, editedChartSpec }, { response, turnMessages }) {
+  if (conversation) {
+    if (editedChartSpec) {
+      conversation.lastChartSpec = editedChartSpec;
     }
+    appendTurn(conversation, { userQuery, turnMessages, response });
+    response.conversationId = conversation.id;
+  }
+  return response;
+}
 
-    res.json(finalResponse);
+// Main Route Handler
+app.post('/api/generate-response', async (req, res) => {
+  console.log(`Incoming request from ${req.ip} at ${new Date().toISOString()}`);
+  const request = prepareAgentRequest(req.body);
+  if (request.error) {
+    res.status(request.error.status).json(request.error.body);
+    return;
+  }
 
+  try {
+    const result = await runAgent(request.agentOptions);
+    res.json(completeTurn(request, result));
   } catch (error) {
     print_red('Error in /api/generate-response:', error);
+    const { statusCode, body } = formatAgentError(error);
+    res.status(statusCode).json(body);
+  }
+});
 
-    const errorResponse = {
-      error: 'An error occurred while processing your request.',
-      details: error.message
-    };
+// Streaming Route Handler (Server-Sent Events)
+// Emits tool_call, tool_result, repair and delta events while the agent works, then final or error.
+app.post('/api/generate-response/stream', async (req, res) => {
+  console.log(`Incoming streaming request from ${req.ip} at ${new Date().toISOString()}`);
+  const request = prepareAgentRequest(req.body);
+  if (request.error) {
+    res.status(request.error.status).json(request.error.body);
+    return;
+  }
 
-    if (error.response) {
-      console.error('API Error details:', error.response.data);
-      errorResponse.details = error.response.status === 429 
-        ? 'Rate limit exceeded. Please try again later.'
-        : error.response.data.error || error.message;
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, payload) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Closing the connection cancels the remaining model calls
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client closed the stream, cancelling agent run');
+      abortController.abort();
     }
+  });
 
-    const statusCode = error.response?.status || 500;
-    res.status(statusCode).json(errorResponse);
+  try {
+    const result = await runAgent({
+      ...request.agentOptions,
+      onEvent: sendEvent,
+      signal: abortController.signal
+    });
+    sendEvent('final', completeTurn(request, result));
+  } catch (error) {
+    print_red('Error in /api/generate-response/stream:', error);
+    const { statusCode, body } = formatAgentError(error);
+    sendEvent('error', { status: statusCode, ...body });
   }
+  res.end();
 });
 
 // Error Handler
@@ -0,0 +1,322 @@
+const { callLLMWithRetry, tools, systemPrompt } = require('../config/openai');
+const { getProvider } = require('../providers');
+const { toolRegistry } = require('../tools');
+const { validateAndFormatResponse } = require('./chartService');
+const { prepareChartData, withChartSource } = require('./chartDataService');
+const { saveChartData } = require('./chartWorkingDataService');
+const { print_red, print_blue, serverUtils } = require('../utils/validation');
+
+const MAX_ITERATIONS = 5;
+const MAX_REPAIRS = 2;
+
+function buildUserMessage(userQuery, datasetInfo, lastChartSpec, scopeNote, lastChartEdited = false) {
+  let content = `User Query: ${userQuery}`;
+  if (scopeNote) {
+    content += `\n\nScope: ${scopeNote}`;
+  }
+  content += `\n\nAvailable Dataset Info: ${JSON.stringify(datasetInfo, null, 2)}`;
+  if (lastChartSpec) {
+    // Strip inlined data and styling so follow-ups like "make it a line chart" only see the encoding;
+    // charts whose data was aggregated on the server are shown with their original encoding
+    const { data, config, $schema, usermeta, ...chartSummary } = lastChartSpec;
+    const authoredChart = usermeta && usermeta.source ? { ...chartSummary, ...usermeta.source } : chartSummary;
+    const origin = lastChartEdited ? 'as edited by the user in the chart editor' : 'from the previous turn';
+    content += `\n\nCurrent Chart Specification (${origin}): ${JSON.stringify(authoredChart)}`;
+  }
+  return { role: 'user', content };
+}
+
+// Follows the "description" string of a streamed JSON answer and reports only newly decoded text.
+// Partial escape sequences at the end of a chunk are held back until the next chunk completes them.
+function createDescriptionStreamer(onText) {
+  let emitted = 0;
+
+  return (accumulated) => {
+    const start = accumulated.match(/"description"\s*:\s*"/);
+    if (!start) return;
+
+    let raw = accumulated.slice(start.index + start[0].length);
+    const closingQuote = /(^|[^\\])(\\\\)*"/.exec(raw);
+    if (closingQuote) {
+      raw = raw.slice(0, closingQuote.index + closingQuote[0].length - 1);
+    }
+
+    let decoded = null;
+    for (let trim = 0; trim <= 6 && trim <= raw.length && decoded === null; trim++) {
+      try {
+        decoded = JSON.parse(`"${raw.slice(0, raw.length - trim)}"`);
+      } catch (parseError) {
+        decoded = null;
+      }
+    }
+
+    if (decoded !== null && decoded.length > emitted) {
+      onText(decoded.slice(emitted));
+      emitted = decoded.length;
+    }
+  };
+}
+
+const RESPONSE_FORMAT_CONTRACT = `Respond with only a JSON object (no prose, no code fences) in one of these formats:
+FORMAT 1 - statistics only: {"output": <value or object>, "description": "..."}
+FORMAT 2 - visualization only: {"chartSpec": <vega-lite-specification>, "description": "..."}
+FORMAT 3 - combined: {"chartSpec": <vega-lite-specification>, "output": <value or object>, "description": "..."}
+A chart or result produced by a tool call is attached automatically, so "description" alone is enough in that case.`;
+
+function buildRepairMessage(repair) {
+  if (repair.type === 'chart') {
+    return 'The chart specification in your response is not valid:\n' +
+      repair.issues.map(issue => `- ${issue}`).join('\n') +
+      '\n\nCall generate_vega_spec again with corrected parameters, using only fields from the dataset info, ' +
+      'then return the final JSON response.';
+  }
+  return `Your previous response could not be used: ${repair.issues.join('; ')}\n\n${RESPONSE_FORMAT_CONTRACT}`;
+}
+
+// Strips code fences and surrounding prose, then parses the JSON object in the answer
+function parseResponseContent(content) {
+  const sanitizedContent = content.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '')
+    .trim();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(sanitizedContent);
+  } catch (parseError) {
+    const start = sanitizedContent.indexOf('{');
+    const end = sanitizedContent.lastIndexOf('}');
+    if (start > 0 || (start === 0 && end < sanitizedContent.length - 1)) {
+      if (end > start) {
+        try {
+          parsed = JSON.parse(sanitizedContent.slice(start, end + 1));
+        } catch (innerError) {
+          // Keep the original error, which points at the actual problem
+        }
+      }
+    }
+    if (parsed === undefined) throw parseError;
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Response must be a JSON object');
+  }
+  return parsed;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Request cancelled by client');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+// Where the chart editor finds the rows a chart was drawn from. Charts over the client's own rows
+// (no scope, fixes or tool transforms) are re-rendered by the client, with the registered dataset
+// as a fallback; other working data is kept per conversation.
+function chartDataSource(toolContext, { dataset, datasetId, clientData, conversationId }) {
+  if (clientData && toolContext.dataset === dataset) {
+    return { clientData: true, ...(datasetId && { datasetId }) };
+  }
+  const workingDataId = saveChartData(conversationId, toolContext.dataset, toolContext.datasetInfo);
+  return workingDataId ? { conversationId, workingDataId } : {};
+}
+
+// Runs one agent turn: prior conversation history, then the new user query, then
+// tool calls until the model produces a final FORMAT 1/2/3 response.
+// Returns the validated response and the messages added during this turn.
+// When onEvent is given, tool calls, tool results, repairs and description deltas are reported as they happen.
+async function runAgent({ userQuery, dataset, datasetInfo, history = [], lastChartSpec = null, lastChartEdited = false, datasetId = null, clientData = false, conversationId = null, scopeNote = null, onEvent, signal }) {
+  const messages = [
+    { role: 'system', content: systemPrompt },
+    ...history,
+    buildUserMessage(userQuery, datasetInfo, lastChartSpec, scopeNote, lastChartEdited)
+  ];
+  const turnStart = messages.length - 1;
+
+  const emit = (event, payload) => {
+    if (onEvent) onEvent(event, payload);
+  };
+
+  const callModel = () => {
+    throwIfAborted(signal);
+    const streamDescription = createDescriptionStreamer(text => emit('delta', { text }));
+    return callLLMWithRetry(messages, tools, {
+      json: true,
+      signal,
+      onDelta: onEvent ? (chunk, accumulated) => streamDescription(accumulated) : undefined
+    });
+  };
+
+  // Working data for this request; transform_data may replace it with derived columns
+  const toolContext = { dataset, datasetInfo };
+
+  const executeToolCall = async (toolCall) => {
+    const name = toolCall.function.name;
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (parseError) {
+      print_red('Error parsing tool arguments:', parseError);
+      const result = { success: false, error: `Invalid arguments for ${name}: ${parseError.message}` };
+      emit('tool_call', { id: toolCall.id, name, arguments: {} });
+      emit('tool_result', { id: toolCall.id, name, success: false, result });
+      return { toolCall, name, result };
+    }
+
+    print_blue(`Executing tool: ${name}`);
+    console.log(`Calling ${name} with args:`, JSON.stringify(args, null, 2));
+    emit('tool_call', { id: toolCall.id, name, arguments: args });
+
+    const result = await toolRegistry.execute(name, args, toolContext);
+    console.log(`Tool ${name} response:`, result);
+    emit('tool_result', { id: toolCall.id, name, success: !!result.success, result });
+    return { toolCall, name, result };
+  };
+
+  let response = await callModel();
+  let message = response.choices[0].message;
+  let functionResults = {};
+
+  let iterations = 0;
+  let finalResponse;
+  const repairs = [];
+  // Rejected answers and repair prompts are not kept in the conversation history
+  const discarded = new Set();
+
+  // Each pass runs tool calls to completion, then checks the final answer
+  for (;;) {
+    // Handle tool calls; all calls of one assistant turn run concurrently
+    while (message.tool_calls && message.tool_calls.length > 0 && iterations < MAX_ITERATIONS) {
+      iterations++;
+      console.log(`Tool call iteration ${iterations} (${message.tool_calls.length} call(s))`);
+
+      const results = await Promise.all(message.tool_calls.map(executeToolCall));
+
+      // Results are applied in call order so the outcome does not depend on completion order
+      results.forEach(({ name, result }) => toolRegistry.mergeResult(name, functionResults, result));
+
+      messages.push(message);
+      results.forEach(({ toolCall, name, result }) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: toolRegistry.formatResult(name, result)
+        });
+      });
+
+      response = await callModel();
+      message = response.choices[0].message;
+    }
+
+    if (message.tool_calls && message.tool_calls.length > 0) {
+      throw new Error(`Assistant did not provide a final response after ${MAX_ITERATIONS} rounds of tool calls`);
+    }
+
+    // A malformed answer or an invalid chart sends the model back with the problem, up to MAX_REPAIRS times
+    let repair = null;
+    try {
+      if (!message.content || !message.content.trim()) {
+        throw new Error('Response was empty');
+      }
+      console.log('Attempting to parse final response:', message.content);
+      finalResponse = validateAndFormatResponse({
+        ...parseResponseContent(message.content),
+        ...functionResults
+      });
+    } catch (parseError) {
+      print_red('Error parsing final response:', parseError);
+      repair = { type: 'format', issues: [parseError.message] };
+    }
+
+    if (!repair && finalResponse.chartSpec) {
+      const specValidation = serverUtils.validateVegaSpec(finalResponse.chartSpec, toolContext.datasetInfo);
+      if (!specValidation.isValid) {
+        repair = { type: 'chart', issues: specValidation.issues };
+      }
+    }
+
+    if (repair) {
+      if (repairs.length >= MAX_REPAIRS) {
+        throw new Error(repair.type === 'chart'
+          ? `Invalid chart specification: ${repair.issues.join('; ')}`
+          : `Failed to parse final response: ${repair.issues.join('; ')}`);
+      }
+
+      repairs.push({ attempt: repairs.length + 1, ...repair });
+      print_red(`Final response rejected (repair ${repairs.length}/${MAX_REPAIRS}):`, repair.issues.join('; '));
+      emit('repair', repairs[repairs.length - 1]);
+      if (repair.type === 'chart') {
+        delete functionResults.chartSpec;
+      }
+      const repairMessages = [
+        { role: 'assistant', content: message.content || '' },
+        { role: 'user', content: buildRepairMessage(repair) }
+      ];
+      repairMessages.forEach(repairMessage => discarded.add(repairMessage));
+      messages.push(...repairMessages);
+      // Each repair attempt gets its own tool-call budget; repairs themselves are capped by MAX_REPAIRS
+      iterations = 0;
+      response = await callModel();
+      message = response.choices[0].message;
+      continue;
+    }
+
+    break;
+  }
+
+  messages.push({ role: 'assistant', content: message.content });
+
+  // Charts carry their data: aggregated over the full working dataset, or sampled for raw points
+  if (finalResponse.chartSpec) {
+    finalResponse.chartSpec = withChartSource(
+      prepareChartData(finalResponse.chartSpec, toolContext.dataset),
+      chartDataSource(toolContext, { dataset, datasetId, clientData, conversationId }),
+      toolContext.datasetInfo
+    );
+  }
+
+  finalResponse.metadata = {
+    ...finalResponse.metadata,
+    attempt: repairs.length + 1,
+    repairs,
+    jsonMode: !!getProvider().jsonMode
+  };
+
+  return {
+    response: finalResponse,
+    turnMessages: messages.slice(turnStart).filter(turnMessage => !discarded.has(turnMessage))
+  };
+}
+
+function formatAgentError(error) {
+  if (error.name === 'AbortError' || error.name === 'CanceledError') {
+    return {
+      statusCode: 499,
+      body: { error: 'Request cancelled.', details: error.message }
+    };
+  }
+
+  const errorResponse = {
+    error: 'An error occurred while processing your request.',
+    details: error.message
+  };
+
+  if (error.response) {
+    console.error('API Error details:', error.response.data);
+    errorResponse.details = error.response.status === 429 
+      ? 'Rate limit exceeded. Please try again later.'
+      : error.response.data.error || error.message;
+  }
+
+  return {
+    statusCode: error.response?.status || 500,
+    body: errorResponse
+  };
+}
+
+module.exports = {
+  runAgent,
+  formatAgentError
+};
@@ -0,0 +1,547 @@
+const { timeUnits, utcFloor } = require('vega-time');
+const { bin: binBounds, quartiles } = require('vega-statistics');
+const { isNullValue, parseNumeric, toDate } = require('../utils/values');
+const { compileVegaExpression, compileVegaPredicate } = require('../utils/vegaExpression');
+
+// Chart data preparation
+// Charts are sent to the client with their data attached. Aggregating charts (count, mean,
+// binned histograms, time units...) are pre-aggregated here over the full working dataset and
+// their encodings rewritten to the computed fields, so bar heights and counts are exact.
+// Raw-point charts (scatter, raw lines) fall back to downsampling: LTTB for line/area series,
+// stratified by category otherwise. Sampled charts say so in their subtitle. Charts the client
+// has to aggregate itself (layers, concats, aggregate and window transforms) are never sampled,
+// since their counts and sums would be of the sample.
+const MAX_CHART_ROWS = 1000;
+// Pre-aggregated charts keep the largest groups beyond this many
+const MAX_CHART_GROUPS = 5000;
+
+const COMPOSITE_MARKS = ['boxplot', 'errorbar', 'errorband'];
+const SERIES_MARKS = ['line', 'area', 'trail'];
+const SERIES_CHANNELS = ['color', 'detail', 'strokeDash', 'facet', 'row', 'column'];
+const STRATA_CHANNELS = ['color', 'shape', 'detail', 'facet', 'row', 'column', 'x', 'y'];
+const POSITION_CHANNELS = ['x', 'y'];
+const MULTI_VIEW_KEYS = ['layer', 'concat', 'hconcat', 'vconcat', 'repeat', 'facet', 'spec'];
+const AGGREGATING_TRANSFORMS = ['aggregate', 'joinaggregate', 'window', 'density', 'regression', 'loess', 'quantile', 'pivot'];
+const TIME_UNIT_PARTS = /year|quarter|month|week|dayofyear|day|date|hours|minutes|seconds|milliseconds/g;
+const BIN_EPSILON = 1e-14;
+
+const numbersOf = (values) => values
+  .filter(value => !isNullValue(value))
+  .map(parseNumeric)
+  .filter(value => isFinite(value));
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length > 0 ? sum(values) / values.length : null);
+const variance = (values, population) => {
+  if (values.length < (population ? 1 : 2)) return null;
+  const m = mean(values);
+  return sum(values.map(value => (value - m) ** 2)) / (values.length - (population ? 0 : 1));
+};
+// reduce instead of Math.min(...values), which overflows the stack on large datasets
+const minOf = (values) => (values.length > 0 ? values.reduce((a, b) => (b < a ? b : a)) : null);
+const maxOf = (values) => (values.length > 0 ? values.reduce((a, b) => (b > a ? b : a)) : null);
+const quartile = (index) => (values) => (values.length > 0 ? quartiles(values)[index] : null);
+
+// Vega-Lite aggregate ops over the raw field values of one group
+const AGGREGATE_OPS = {
+  count: (values) => values.length,
+  valid: (values) => values.filter(value => !isNullValue(value)).length,
+  missing: (values) => values.filter(isNullValue).length,
+  distinct: (values) => new Set(values.map(value => (value instanceof Date ? value.getTime() : value))).size,
+  sum: (values) => sum(numbersOf(values)),
+  product: (values) => numbersOf(values).reduce((total, value) => total * value, 1),
+  mean: (values) => mean(numbersOf(values)),
+  average: (values) => mean(numbersOf(values)),
+  median: (values) => quartile(1)(numbersOf(values)),
+  q1: (values) => quartile(0)(numbersOf(values)),
+  q3: (values) => quartile(2)(numbersOf(values)),
+  min: (values) => minOf(numbersOf(values)),
+  max: (values) => maxOf(numbersOf(values)),
+  variance: (values) => variance(numbersOf(values), false),
+  variancep: (values) => variance(numbersOf(values), true),
+  stdev: (values) => {
+    const v = variance(numbersOf(values), false);
+    return v === null ? null : Math.sqrt(v);
+  },
+  stdevp: (values) => {
+    const v = variance(numbersOf(values), true);
+    return v === null ? null : Math.sqrt(v);
+  },
+  stderr: (values) => {
+    const numbers = numbersOf(values);
+    const v = variance(numbers, false);
+    return v === null ? null : Math.sqrt(v / numbers.length);
+  }
+};
+
+// min/max of a temporal field stay dates
+const TEMPORAL_OPS = {
+  min: (dates) => new Date(minOf(dates)),
+  max: (dates) => new Date(maxOf(dates))
+};
+
+const markOf = (view) => (typeof view.mark === 'string' ? view.mark : view.mark && view.mark.type);
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const formatCount = (count) => count.toLocaleString('en-US');
+
+function uniqueName(name, usedNames) {
+  let candidate = name;
+  for (let i = 2; usedNames.has(candidate); i++) {
+    candidate = `${name}_${i}`;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+function channelDefs(encoding) {
+  const defs = [];
+  Object.entries(encoding || {}).forEach(([channel, value]) => {
+    [].concat(value).forEach((def, index) => {
+      if (def && typeof def === 'object') defs.push({ channel, def, index: Array.isArray(value) ? index : null });
+    });
+  });
+  return defs;
+}
+
+// "yearmonth" -> ["year", "month"]; utc units keep their prefix out of the parts
+function parseTimeUnit(timeUnit) {
+  if (typeof timeUnit !== 'string') return null;
+  const unit = timeUnit.replace(/^utc/, '');
+  const parts = unit.match(TIME_UNIT_PARTS);
+  if (!parts || parts.join('') !== unit) return null;
+  return parts;
+}
+
+// Filter and calculate transforms are applied here; the rest stay in the spec for the client
+function applyTransforms(transforms, rows) {
+  let index = 0;
+  for (; index < transforms.length; index++) {
+    const transform = transforms[index];
+    const keys = Object.keys(transform);
+    try {
+      if (keys.length === 1 && keys[0] === 'filter') {
+        const test = compileVegaPredicate(transform.filter);
+        rows = rows.filter(row => test(row));
+      } else if (keys.length === 2 && transform.calculate !== undefined && typeof transform.as === 'string') {
+        const evaluate = compileVegaExpression(transform.calculate);
+        rows = rows.map(row => ({ ...row, [transform.as]: evaluate(row) }));
+      } else {
+        break;
+      }
+    } catch (error) {
+      console.log('Chart transform left to the client:', error.message);
+      break;
+    }
+  }
+  return { rows, remaining: transforms.slice(index) };
+}
+
+// Splits the encoding into aggregated measures and group-by dimensions, as Vega-Lite does;
+// returns null when the encoding needs something the server does not pre-aggregate
+function planAggregation(encoding) {
+  const measures = [];
+  const dimensions = [];
+
+  for (const { channel, def, index } of channelDefs(encoding)) {
+    if (def.condition && def.condition.field) return null;
+
+    if (def.aggregate !== undefined) {
+      if (typeof def.aggregate !== 'string' || !AGGREGATE_OPS[def.aggregate]) return null;
+      if (def.aggregate !== 'count' && typeof def.field !== 'string') return null;
+      measures.push({ channel, def, index });
+    } else if (def.field !== undefined) {
+      if (typeof def.field !== 'string') return null;
+      if (def.sort && typeof def.sort === 'object' && !Array.isArray(def.sort) && (def.sort.op || def.sort.field)) return null;
+
+      const dimension = { channel, def, index };
+      if (def.timeUnit) {
+        dimension.timeUnit = parseTimeUnit(def.timeUnit);
+        if (!dimension.timeUnit) return null;
+      }
+      if (def.bin && def.bin !== 'binned' && !def.bin.binned) {
+        if (!POSITION_CHANNELS.includes(channel) || encoding[`${channel}2`] || def.type === 'ordinal') return null;
+        dimension.bin = def.bin === true ? {} : def.bin;
+      }
+      dimensions.push(dimension);
+    }
+  }
+
+  return measures.length > 0 ? { measures, dimensions } : null;
+}
+
+// Bin boundaries follow Vega's bin transform, over the extent of the filtered rows
+function createBinner(rows, field, params) {
+  const numbers = numbersOf(rows.map(row => row[field]));
+  if (numbers.length === 0 && !params.extent) return null;
+
+  const extent = params.extent || [minOf(numbers), maxOf(numbers)];
+  const { start, stop, step } = binBounds({
+    extent,
+    maxbins: params.maxbins || 10,
+    step: params.step,
+    steps: params.steps,
+    minstep: params.minstep,
+    divide: params.divide,
+    nice: params.nice,
+    base: params.base
+  });
+
+  return {
+    step,
+    binOf(value) {
+      const number = isNullValue(value) ? NaN : parseNumeric(value);
+      if (!isFinite(number) || number < start || number > stop) return null;
+      const clamped = Math.max(start, Math.min(number, stop - step));
+      return start + step * Math.floor(BIN_EPSILON + (clamped - start) / step);
+    }
+  };
+}
+
+function aggregateRows(rows, encoding, { measures, dimensions }, maxGroups) {
+  const usedNames = new Set(dimensions.filter(d => !d.timeUnit && !d.bin).map(d => d.def.field));
+  const newEncoding = { ...encoding };
+  const setDef = ({ channel, index }, def) => {
+    if (index === null) {
+      newEncoding[channel] = def;
+    } else {
+      newEncoding[channel] = [...newEncoding[channel]];
+      newEncoding[channel][index] = def;
+    }
+  };
+
+  // Each dimension maps a row to its group value; time units and bins get their own output fields
+  const groupers = dimensions.map(dimension => {
+    const { def, channel } = dimension;
+    if (dimension.timeUnit) {
+      const floor = utcFloor(timeUnits(dimension.timeUnit), 1);
+      const unit = def.timeUnit.replace(/^utc/, '');
+      const name = uniqueName(`${unit}_${def.field}`, usedNames);
+      setDef(dimension, {
+        ...def,
+        field: name,
+        timeUnit: `utc${unit}`,
+        title: def.title !== undefined ? def.title : `${def.field} (${dimension.timeUnit.join('-')})`
+      });
+      return {
+        key: (row) => {
+          const date = toDate(row[def.field]);
+          return date ? floor(date) : null;
+        },
+        assign: (output, key) => { output[name] = key === null ? null : new Date(key).toISOString(); }
+      };
+    }
+
+    if (dimension.bin) {
+      const binner = createBinner(rows, def.field, dimension.bin);
+      const name = uniqueName(`bin_${def.field}`, usedNames);
+      const endName = uniqueName(`bin_${def.field}_end`, usedNames);
+      const step = binner ? binner.step : 1;
+      setDef(dimension, {
+        ...def,
+        field: name,
+        bin: { binned: true, step },
+        type: 'quantitative',
+        title: def.title !== undefined ? def.title : `${def.field} (binned)`
+      });
+      newEncoding[`${channel}2`] = { field: endName };
+      return {
+        key: (row) => (binner ? binner.binOf(row[def.field]) : null),
+        assign: (output, key) => {
+          output[name] = key;
+          output[endName] = key === null ? null : key + step;
+        }
+      };
+    }
+
+    return {
+      key: (row) => (row[def.field] instanceof Date ? row[def.field].toISOString() : row[def.field]),
+      assign: (output, key) => { output[def.field] = key === undefined ? null : key; }
+    };
+  });
+
+  const reducers = measures.map(measure => {
+    const { def } = measure;
+    const op = def.aggregate;
+    const name = uniqueName(op === 'count' ? 'count' : `${op}_${def.field}`, usedNames);
+    const temporal = def.type === 'temporal' && TEMPORAL_OPS[op];
+    const { aggregate, ...rest } = def;
+    setDef(measure, {
+      ...rest,
+      field: name,
+      type: def.type || 'quantitative',
+      title: def.title !== undefined ? def.title
+        : op === 'count' ? 'Count of Records' : `${capitalize(op)} of ${def.field}`
+    });
+    return (output, groupRows) => {
+      const values = groupRows.map(row => (op === 'count' ? 1 : row[def.field]));
+      if (temporal) {
+        const dates = values.map(toDate).filter(Boolean).map(date => date.getTime());
+        output[name] = dates.length > 0 ? TEMPORAL_OPS[op](dates).toISOString() : null;
+      } else {
+        output[name] = AGGREGATE_OPS[op](values);
+      }
+    };
+  });
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const keys = groupers.map(grouper => grouper.key(row));
+    const groupKey = JSON.stringify(keys);
+    if (!groups.has(groupKey)) groups.set(groupKey, { keys, rows: [] });
+    groups.get(groupKey).rows.push(row);
+  });
+
+  // Too many groups keep the largest ones, in their original order
+  let kept = Array.from(groups.values());
+  if (kept.length > maxGroups) {
+    const smallest = kept.map(group => group.rows.length).sort((a, b) => b - a)[maxGroups - 1];
+    let ties = maxGroups - kept.filter(group => group.rows.length > smallest).length;
+    kept = kept.filter(group => group.rows.length > smallest || (group.rows.length === smallest && ties-- > 0));
+  }
+
+  const values = kept.map(group => {
+    const output = {};
+    groupers.forEach((grouper, i) => grouper.assign(output, group.keys[i]));
+    reducers.forEach(reduce => reduce(output, group.rows));
+    return output;
+  });
+
+  return { values, encoding: newEncoding, groupCount: groups.size };
+}
+
+// Splits a row budget across groups in proportion to their size (largest remainder), at least
+// `minimum` rows each
+function allocate(sizes, budget, minimum = 1) {
+  const total = sum(sizes);
+  const shares = sizes.map(size => Math.min(size, Math.max(minimum, (size / total) * budget)));
+  const counts = shares.map(Math.floor);
+  let remaining = budget - sum(counts);
+  shares
+    .map((share, i) => ({ i, remainder: share - counts[i] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ i }) => {
+      if (remaining > 0 && counts[i] < sizes[i]) {
+        counts[i]++;
+        remaining--;
+      }
+    });
+  return counts;
+}
+
+// Evenly spaced rows, keeping the original order
+function systematicSample(rows, size) {
+  if (rows.length <= size) return rows;
+  const step = rows.length / size;
+  return Array.from({ length: size }, (_, i) => rows[Math.floor(i * step)]);
+}
+
+// Largest-Triangle-Three-Buckets: keeps the points that preserve the visual shape of a series
+function largestTriangleThreeBuckets(points, threshold) {
+  if (threshold >= points.length || threshold < 3) {
+    return threshold < 3 ? [points[0], points[points.length - 1]].slice(0, threshold) : points;
+  }
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let anchor = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+    const nextBucket = points.slice(nextStart, nextEnd);
+    const averageX = mean(nextBucket.map(point => point.x));
+    const averageY = mean(nextBucket.map(point => point.y));
+
+    let best = Math.floor(i * bucketSize) + 1;
+    let bestArea = -1;
+    for (let j = best; j < nextStart; j++) {
+      const area = Math.abs(
+        (points[anchor].x - averageX) * (points[j].y - points[anchor].y) -
+        (points[anchor].x - points[j].x) * (averageY - points[anchor].y)
+      );
+      if (area > bestArea) {
+        bestArea = area;
+        best = j;
+      }
+    }
+    sampled.push(points[best]);
+    anchor = best;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+function fieldOf(encoding, channel) {
+  const def = encoding && encoding[channel];
+  return def && !Array.isArray(def) && typeof def.field === 'string' && def.aggregate === undefined ? def : null;
+}
+
+function groupRows(rows, fields) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = JSON.stringify(fields.map(field => row[field]));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return Array.from(groups.values());
+}
+
+function seriesSample(rows, encoding, maxRows) {
+  const x = fieldOf(encoding, 'x');
+  const y = fieldOf(encoding, 'y');
+  const xValue = x.type === 'temporal'
+    ? (row) => { const date = toDate(row[x.field]); return date ? date.getTime() : NaN; }
+    : (row) => (isNullValue(row[x.field]) ? NaN : parseNumeric(row[x.field]));
+  const yValue = (row) => (isNullValue(row[y.field]) ? NaN : parseNumeric(row[y.field]));
+
+  const seriesFields = SERIES_CHANNELS.map(channel => fieldOf(encoding, channel)).filter(Boolean).map(def => def.field);
+  const series = groupRows(rows, seriesFields).map(seriesRows => seriesRows
+    .map(row => ({ x: xValue(row), y: yValue(row), row }))
+    .filter(point => isFinite(point.x) && isFinite(point.y))
+    .sort((a, b) => a.x - b.x));
+
+  const budgets = allocate(series.map(points => points.length), maxRows, 3);
+  return series.flatMap((points, i) => largestTriangleThreeBuckets(points, budgets[i]).map(point => point.row));
+}
+
+// Proportional sample per category, so small groups stay visible; too many categories sample as one group
+function stratifiedSample(rows, encoding, maxRows) {
+  const strataFields = STRATA_CHANNELS
+    .map(channel => fieldOf(encoding, channel))
+    .filter(def => def && ['nominal', 'ordinal'].includes(def.type))
+    .map(def => def.field);
+  let strata = groupRows(rows, strataFields);
+  if (strata.length > maxRows / 10) strata = [rows];
+
+  const budgets = allocate(strata.map(stratum => stratum.length), maxRows);
+  return {
+    rows: strata.flatMap((stratum, i) => systematicSample(stratum, budgets[i])),
+    method: strata.length > 1 ? 'stratified' : 'systematic'
+  };
+}
+
+function downsample(rows, spec, maxRows, isUnit) {
+  const mark = markOf(spec);
+  const { encoding } = spec;
+  if (!isUnit) {
+    return { rows: systematicSample(rows, maxRows), method: 'systematic' };
+  }
+
+  const x = fieldOf(encoding, 'x');
+  const y = fieldOf(encoding, 'y');
+  if (SERIES_MARKS.includes(mark) && x && y && ['temporal', 'quantitative'].includes(x.type) && y.type === 'quantitative') {
+    return { rows: seriesSample(rows, encoding, maxRows), method: 'lttb' };
+  }
+  return stratifiedSample(rows, encoding, maxRows);
+}
+
+// Whether the client would aggregate the chart's data anywhere in the view tree
+function aggregatesData(view) {
+  if (!view || typeof view !== 'object') return false;
+  const transforms = Array.isArray(view.transform) ? view.transform : [];
+  if (transforms.some(transform => transform && AGGREGATING_TRANSFORMS.some(key => key in transform))) return true;
+  if (COMPOSITE_MARKS.includes(markOf(view))) return true;
+  if (channelDefs(view.encoding).some(({ def }) => def.aggregate !== undefined || (def.sort && def.sort.op))) return true;
+  return ['layer', 'concat', 'hconcat', 'vconcat'].some(key => Array.isArray(view[key]) && view[key].some(aggregatesData))
+    || aggregatesData(view.spec);
+}
+
+// Raw rows only carry the fields the encoding uses
+function projectRows(rows, encoding) {
+  const fields = new Set();
+  channelDefs(encoding).forEach(({ def }) => {
+    if (typeof def.field === 'string') fields.add(def.field);
+    if (def.sort && typeof def.sort.field === 'string') fields.add(def.sort.field);
+  });
+  if (fields.size === 0 || Array.from(fields).some(field => /[.[\]\\]/.test(field))) return rows;
+
+  return rows.map(row => {
+    const projected = {};
+    fields.forEach(field => { projected[field] = row[field]; });
+    return projected;
+  });
+}
+
+// Vega does not draw the subtitle of an empty title, hence the blank text for untitled charts
+function withSubtitle(title, subtitle) {
+  if (title && typeof title === 'object' && !Array.isArray(title)) {
+    return { ...title, text: title.text || ' ', subtitle: title.subtitle ? [].concat(title.subtitle, subtitle) : subtitle };
+  }
+  return { text: title || ' ', subtitle };
+}
+
+// Returns a copy of the spec with data.values computed from the dataset; specs that already
+// carry their data (inline values, urls, named data) are returned unchanged.
+// usermeta.chartData describes how the values were produced; usermeta.source keeps the
+// encoding, transforms and title as authored, for follow-up edits.
+function prepareChartData(chartSpec, dataset, { maxRows = MAX_CHART_ROWS, maxGroups = MAX_CHART_GROUPS } = {}) {
+  const data = chartSpec && chartSpec.data;
+  const hasOwnData = data && (data.url || data.name || (Array.isArray(data.values) && data.values.length > 0));
+  if (!chartSpec || hasOwnData || !Array.isArray(dataset) || dataset.length === 0) {
+    return chartSpec;
+  }
+
+  const spec = { ...chartSpec };
+  const source = { title: chartSpec.title, encoding: chartSpec.encoding, transform: chartSpec.transform };
+  const isUnit = !!(spec.mark && spec.encoding) && !MULTI_VIEW_KEYS.some(key => key in spec);
+
+  const { rows, remaining } = applyTransforms(Array.isArray(spec.transform) ? spec.transform : [], dataset);
+  if (remaining.length > 0) spec.transform = remaining;
+  else delete spec.transform;
+
+  const plan = isUnit && remaining.length === 0 && !COMPOSITE_MARKS.includes(markOf(spec))
+    ? planAggregation(spec.encoding)
+    : null;
+
+  let values;
+  let method;
+  if (plan) {
+    const aggregated = aggregateRows(rows, spec.encoding, plan, maxGroups);
+    values = aggregated.values;
+    spec.encoding = aggregated.encoding;
+    method = 'aggregated';
+    if (aggregated.groupCount > values.length) {
+      spec.title = withSubtitle(spec.title, `Largest ${formatCount(values.length)} of ${formatCount(aggregated.groupCount)} groups`);
+    }
+  } else if (rows.length <= maxRows || aggregatesData(spec)) {
+    values = rows;
+    method = 'all';
+  } else {
+    const sample = downsample(rows, spec, maxRows, isUnit);
+    values = sample.rows;
+    method = sample.method;
+    spec.title = withSubtitle(spec.title, `Sample of ${formatCount(values.length)} of ${formatCount(rows.length)} rows`);
+  }
+
+  if (isUnit && remaining.length === 0 && method !== 'aggregated') {
+    values = projectRows(values, spec.encoding);
+  }
+
+  const changed = method !== 'all' || spec.transform !== chartSpec.transform;
+  spec.data = { values };
+  spec.usermeta = {
+    ...spec.usermeta,
+    chartData: { method, rowCount: values.length, totalRows: rows.length },
+    ...(changed ? { source } : {})
+  };
+  return spec;
+}
+
+// Records where a chart's data can be found for rebuilding edited versions, plus the field types
+// for the editor's pickers. source is { clientData, datasetId } or { conversationId, workingDataId };
+// clientData marks charts drawn from the client's own rows, which the client re-renders itself.
+function withChartSource(chartSpec, source, datasetInfo) {
+  const usermeta = chartSpec.usermeta || {};
+  const fields = {};
+  ((datasetInfo && datasetInfo.columns) || []).forEach(column => {
+    fields[column] = datasetInfo.dataTypes[column] || 'nominal';
+  });
+  return { ...chartSpec, usermeta: { ...usermeta, chartData: { ...usermeta.chartData, ...source, fields } } };
+}
+
+module.exports = {
+  prepareChartData,
+  withChartSource,
+  MAX_CHART_ROWS,
+  MAX_CHART_GROUPS
+};
@@ -1,109 +1,247 @@
-const axios = require('axios');
+const { resolveField } = require('../utils/values');
+const { findUnsafeRegexConstruct } = require('./filterService');
 
-// Core Analysis Functions
-async function generateVegaSpec({ user_query, dataset_info }) {
-    console.log('Generating Vega spec for query:', user_query);
-    console.log('Dataset info received:', JSON.stringify(dataset_info, null, 2));
-  
-    if (!dataset_info || !dataset_info.dataTypes) {
-      console.error('Missing or invalid dataset info:', dataset_info);
-      return { 
-        success: false,
-        chartSpec: null,
-        description: "Failed to generate chart: missing dataset information",
-      };
+// Chart Spec Builder
+// The agent fills in the structured generate_vega_spec parameters; this module turns them
+// into a Vega-Lite v5 spec locally instead of asking the model for raw JSON.
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+
+const MARKS = ['bar', 'line', 'point', 'circle', 'square', 'area', 'tick', 'rect', 'arc', 'boxplot', 'text', 'rule'];
+const CHANNELS = ['x', 'y', 'color', 'size', 'shape', 'opacity', 'theta', 'text', 'facet', 'row', 'column'];
+const FIELD_TYPES = ['quantitative', 'nominal', 'ordinal', 'temporal'];
+const AGGREGATES = ['count', 'sum', 'mean', 'average', 'median', 'min', 'max', 'distinct', 'variance', 'stdev', 'q1', 'q3'];
+const TIME_UNITS = [
+  'year', 'yearquarter', 'yearmonth', 'yearmonthdate', 'yearweek', 'quarter', 'month',
+  'week', 'date', 'day', 'hours', 'yearmonthdatehours'
+];
+const SORT_SHORTHANDS = ['ascending', 'descending', 'x', '-x', 'y', '-y', 'color', '-color'];
+
+const DEFAULT_CONFIG = {
+  axis: {
+    labelFontSize: 12,
+    titleFontSize: 14
+  },
+  title: {
+    fontSize: 16,
+    anchor: "start"
+  }
+};
+
+const humanize = (name) => String(name).replace(/_/g, ' ');
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Builds one encoding channel definition, resolving the field against the dataset columns
+function buildChannel(channelName, definition, datasetInfo, errors) {
+  if (typeof definition === 'string') {
+    definition = { field: definition };
+  }
+  if (!definition || typeof definition !== 'object') {
+    errors.push(`Channel "${channelName}" must be an object with at least a field or an aggregate`);
+    return null;
+  }
+
+  const { field, type, aggregate, bin, timeUnit, sort, title, stack, scheme, columns } = definition;
+  const channel = {};
+
+  if (aggregate !== undefined && !AGGREGATES.includes(aggregate)) {
+    errors.push(`Channel "${channelName}" has unknown aggregate "${aggregate}". Use one of: ${AGGREGATES.join(', ')}`);
+  }
+
+  if (field === undefined || field === null || field === '*') {
+    if (aggregate !== 'count') {
+      errors.push(`Channel "${channelName}" needs a field (only the "count" aggregate can omit it)`);
+      return null;
     }
-  
-    const chartPrompt = {
-      role: 'user',
-      content: `Create a Vega-Lite specification for: ${user_query}
-  
-  Available data columns and types:
-  ${JSON.stringify(dataset_info.dataTypes, null, 2)}
-  
-  The specification MUST include:
-  1. A mark type appropriate for the visualization
-  2. X and Y axis encodings with proper field names and types
-  3. A descriptive title
-  4. Appropriate data transformations if needed
-  
-  Return ONLY a JSON object with this structure:
-  {
-    "chartSpec": {
-      "mark": "point",  // or appropriate mark type
-      "encoding": {
-        "x": {"field": "fieldName", "type": "quantitative", "title": "X Axis Title"},
-        "y": {"field": "fieldName", "type": "quantitative", "title": "Y Axis Title"}
-      },
-      "title": "Chart Title"
-    },
-    "description": "A brief description of the visualization"
-  }`
-    };
-  
-    try {
-      console.log('Sending chart generation prompt to OpenAI:', chartPrompt);
-      
-      const response = await axios.post(
-        'https://api.openai.com/v1/chat/completions',
-        {
-          model: 'gpt-4',
-          messages: [chartPrompt],
-          temperature: 0.7,
-          max_tokens: 1000
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-          }
-        }
-      );
-  
-      if (!response.data.choices || !response.data.choices[0].message) {
-        throw new Error('Invalid response from OpenAI');
+    channel.aggregate = 'count';
+    channel.type = 'quantitative';
+    channel.title = title || 'Count';
+  } else {
+    const actualField = resolveField(datasetInfo.columns, field);
+    if (!actualField) {
+      errors.push(`Channel "${channelName}" references unknown field "${field}". Available fields are: ${datasetInfo.columns.join(', ')}`);
+      return null;
+    }
+    channel.field = actualField;
+
+    if (type !== undefined && !FIELD_TYPES.includes(type)) {
+      errors.push(`Channel "${channelName}" has invalid type "${type}". Use one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (aggregate) channel.aggregate = aggregate === 'average' ? 'mean' : aggregate;
+    if (timeUnit) {
+      if (!TIME_UNITS.includes(timeUnit)) {
+        errors.push(`Channel "${channelName}" has unknown timeUnit "${timeUnit}". Use one of: ${TIME_UNITS.join(', ')}`);
       }
-  
-      const assistantMessage = response.data.choices[0].message.content;
-      console.log('Assistant message:', assistantMessage);
-  
-      let parsedResponse = JSON.parse(assistantMessage);
-  
-      if (!parsedResponse.chartSpec) {
-        throw new Error('Response missing chartSpec');
+      channel.timeUnit = timeUnit;
+    }
+    if (bin) channel.bin = bin === true ? true : { maxbins: bin.maxbins || 10 };
+
+    channel.type = FIELD_TYPES.includes(type)
+      ? type
+      : aggregate && aggregate !== 'distinct' ? 'quantitative'
+      : timeUnit ? 'temporal'
+      : bin ? 'quantitative'
+      : datasetInfo.dataTypes[actualField] || 'nominal';
+
+    channel.title = title || (channel.aggregate
+      ? `${capitalize(channel.aggregate)} of ${humanize(actualField)}`
+      : humanize(actualField));
+  }
+
+  if (sort !== undefined) {
+    if (!SORT_SHORTHANDS.includes(sort)) {
+      errors.push(`Channel "${channelName}" has invalid sort "${sort}". Use one of: ${SORT_SHORTHANDS.join(', ')}`);
+    } else {
+      channel.sort = sort;
+    }
+  }
+  if (stack !== undefined) channel.stack = stack;
+  if (scheme && ['color', 'fill', 'stroke'].includes(channelName)) channel.scale = { scheme };
+  if (channelName === 'facet' && columns) channel.columns = columns;
+
+  return channel;
+}
+
+// Translates the shared filter language (services/filterService.js) into Vega-Lite predicates
+function toVegaPredicate(filter, datasetInfo, errors) {
+  if (Array.isArray(filter.any)) {
+    return { or: filter.any.map(f => toVegaPredicate(f, datasetInfo, errors)) };
+  }
+  if (Array.isArray(filter.all)) {
+    return { and: filter.all.map(f => toVegaPredicate(f, datasetInfo, errors)) };
+  }
+
+  const field = resolveField(datasetInfo.columns, filter.field);
+  if (!field) {
+    errors.push(`Filter references unknown field "${filter.field}". Available fields are: ${datasetInfo.columns.join(', ')}`);
+    return { field: filter.field, valid: true };
+  }
+
+  const { operator, value } = filter;
+  const datum = `datum[${JSON.stringify(field)}]`;
+  const temporal = datasetInfo.dataTypes[field] === 'temporal';
+  const compareExpression = (op, operand) => (temporal
+    ? `time(toDate(${datum})) ${op} time(toDate(${JSON.stringify(operand)}))`
+    : `toNumber(${datum}) ${op} ${Number(operand)}`);
+
+  switch (operator) {
+    case '==': return { field, equal: value };
+    case '!=': return { not: { field, equal: value } };
+    case '>': return temporal ? compareExpression('>', value) : { field, gt: value };
+    case '<': return temporal ? compareExpression('<', value) : { field, lt: value };
+    case '>=': return temporal ? compareExpression('>=', value) : { field, gte: value };
+    case '<=': return temporal ? compareExpression('<=', value) : { field, lte: value };
+    case 'in': return { field, oneOf: [].concat(value) };
+    case 'not in': return { not: { field, oneOf: [].concat(value) } };
+    case 'between':
+      return temporal
+        ? `${compareExpression('>=', value[0])} && ${compareExpression('<=', value[1])}`
+        : { field, range: value };
+    case 'contains':
+      return `indexOf(lower(${datum} + ''), ${JSON.stringify(String(value).toLowerCase())}) >= 0`;
+    case 'startsWith':
+      return `indexOf(lower(${datum} + ''), ${JSON.stringify(String(value).toLowerCase())}) === 0`;
+    case 'endsWith':
+      return `test(regexp(${JSON.stringify(`${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`)}, 'i'), ${datum} + '')`;
+    case 'regex': {
+      // Same checks as the filter tool, since the server evaluates these predicates over every row
+      let unsafe;
+      try {
+        new RegExp(String(value), 'i');
+        unsafe = findUnsafeRegexConstruct(String(value));
+      } catch (error) {
+        unsafe = error.message;
       }
-  
-      // Add required Vega-Lite properties
-      parsedResponse.chartSpec.$schema = "https://vega.github.io/schema/vega-lite/v5.json";
-      parsedResponse.chartSpec.data = { values: [] };
-  
-      // Add default config if not present
-      if (!parsedResponse.chartSpec.config) {
-        parsedResponse.chartSpec.config = {
-          axis: {
-            labelFontSize: 12,
-            titleFontSize: 14
-          },
-          title: {
-            fontSize: 16,
-            anchor: "start"
-          }
-        };
+      if (unsafe) {
+        errors.push(`Filter on "${field}" has an unsupported regex: ${unsafe}. Use a simpler pattern or "contains"`);
+        return { field, valid: true };
       }
-  
+      return `test(regexp(${JSON.stringify(String(value))}, 'i'), ${datum} + '')`;
+    }
+    case 'is null':
+      return { not: { field, valid: true } };
+    case 'is not null':
+      return { field, valid: true };
+    default:
+      errors.push(`Filter on "${field}" uses unknown operator "${operator}"`);
+      return { field, valid: true };
+  }
+}
+
+function describeChart(mark, encoding) {
+  const label = (channel) => channel.title || humanize(channel.field);
+  const parts = [`${mark} chart`];
+  if (encoding.y && encoding.x) parts.push(`of ${label(encoding.y)} by ${label(encoding.x)}`);
+  else if (encoding.theta) parts.push(`of ${label(encoding.theta)}`);
+  if (encoding.color) parts.push(`colored by ${label(encoding.color)}`);
+  if (encoding.facet) parts.push(`faceted by ${label(encoding.facet)}`);
+  return parts.join(' ');
+}
+
+// Core Analysis Functions
+function generateVegaSpec(params, datasetInfo) {
+    console.log('Building Vega spec from params:', JSON.stringify(params, null, 2));
+
+    if (!datasetInfo || !datasetInfo.dataTypes) {
+      console.error('Missing or invalid dataset info:', datasetInfo);
       return {
-        ...parsedResponse,
-        success: true
+        success: false,
+        chartSpec: null,
+        description: "Failed to generate chart: missing dataset information",
       };
-  
-    } catch (error) {
-      console.error('Error in generateVegaSpec:', error);
+    }
+
+    const errors = [];
+    const mark = params.mark;
+    if (!MARKS.includes(mark)) {
+      errors.push(`Invalid mark "${mark}". Use one of: ${MARKS.join(', ')}`);
+    }
+
+    const encoding = {};
+    CHANNELS.forEach(channelName => {
+      if (params[channelName] === undefined || params[channelName] === null) return;
+      const channel = buildChannel(channelName, params[channelName], datasetInfo, errors);
+      if (channel) encoding[channelName] = channel;
+    });
+
+    if (mark === 'arc' && !encoding.theta) {
+      errors.push('Mark "arc" (pie/donut) requires a theta channel');
+    } else if (mark !== 'arc' && !encoding.x && !encoding.y) {
+      errors.push('At least one of the x or y channels is required');
+    }
+
+    const transform = [];
+    if (Array.isArray(params.filters)) {
+      params.filters.forEach(filter => {
+        transform.push({ filter: toVegaPredicate(filter, datasetInfo, errors) });
+      });
+    }
+
+    if (errors.length > 0) {
+      console.error('generateVegaSpec: Invalid chart parameters:', errors);
       return {
         success: false,
-        error: 'Error generating chart specification',
-        details: error.message
+        error: 'Invalid chart parameters',
+        details: errors
       };
     }
+
+    const chartSpec = {
+      $schema: VEGA_LITE_SCHEMA,
+      title: params.title || capitalize(describeChart(mark, encoding)),
+      data: { values: [] },
+      mark: { type: mark, tooltip: true },
+      encoding,
+      config: DEFAULT_CONFIG
+    };
+    if (transform.length > 0) {
+      chartSpec.transform = transform;
+    }
+
+    return {
+      success: true,
+      chartSpec,
+      description: params.description || `A ${describeChart(mark, encoding)}`
+    };
   }
 
   function validateAndFormatResponse(message) {
@@ -130,11 +268,15 @@ async function generateVegaSpec({ user_query, dataset_info }) {
       return response;
     } catch (error) {
       console.error('Response validation error:', error);
-      throw new Error('Failed to validate response format');
+      throw new Error(`Failed to validate response format: ${error.message}`);
     }
   }
 
   module.exports = {
     generateVegaSpec,
+    CHANNELS,
+    MARKS,
+    AGGREGATES,
+    TIME_UNITS,
     validateAndFormatResponse
   };
\ No newline at end of file
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { createMemoryStore } = require('../utils/memoryStore');
+
+// Working data behind chart answers (scoped, transformed or cleaned rows), kept so the chart
+// editor can rebuild edited charts from the rows the answer used. Separate from the upload
+// registry in datasetService.js, so chart answers never evict uploaded datasets. Entries are
+// keyed by conversation and hold the data of its latest charts only.
+const conversations = createMemoryStore({
+  maxEntries: parseInt(process.env.MAX_CHART_DATA_CONVERSATIONS, 10) || 50,
+  ttlMs: parseInt(process.env.CHART_DATA_TTL_MS, 10) || 2 * 60 * 60 * 1000,
+});
+
+const MAX_CHARTS_PER_CONVERSATION = 5;
+// Larger working data is not kept; its charts cannot be edited
+const MAX_CHART_DATA_ROWS = parseInt(process.env.MAX_CHART_DATA_ROWS, 10) || 100000;
+
+// Returns the id to look the data up by, or null when it is not kept
+function saveChartData(conversationId, data, info) {
+  if (!conversationId || !Array.isArray(data) || data.length > MAX_CHART_DATA_ROWS) {
+    return null;
+  }
+
+  const entry = conversations.get(conversationId) || conversations.set(conversationId, { charts: new Map() });
+  // Several charts drawn from the same working data share one copy
+  for (const [id, chart] of entry.charts) {
+    if (chart.data === data) return id;
+  }
+
+  const id = crypto.randomUUID();
+  entry.charts.set(id, { data, info });
+  if (entry.charts.size > MAX_CHARTS_PER_CONVERSATION) {
+    entry.charts.delete(entry.charts.keys().next().value);
+  }
+  return id;
+}
+
+// { data, info } or null
+function getChartData(conversationId, workingDataId) {
+  const entry = conversationId ? conversations.get(conversationId) : null;
+  return (entry && entry.charts.get(workingDataId)) || null;
+}
+
+function deleteChartData(conversationId) {
+  return conversations.delete(conversationId);
+}
+
+module.exports = {
+  saveChartData,
+  getChartData,
+  deleteChartData,
+  MAX_CHARTS_PER_CONVERSATION,
+  MAX_CHART_DATA_ROWS
+};
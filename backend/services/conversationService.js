@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { createMemoryStore } = require('../utils/memoryStore');
+
+// In-memory conversation sessions. Each turn keeps the user query plus the
+// tool calls, tool results and final answer the model produced for it.
+const conversations = createMemoryStore({
+  maxEntries: parseInt(process.env.MAX_CONVERSATIONS, 10) || 200,
+  ttlMs: parseInt(process.env.CONVERSATION_TTL_MS, 10) || 2 * 60 * 60 * 1000,
+});
+
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 3000;
+const MAX_TOOL_RESULT_CHARS = 1500;
+
+// Rough estimate (~4 characters per token), good enough for budgeting history
+function estimateTokens(messages) {
+  const chars = messages.reduce((total, message) => {
+    const content = message.content || '';
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return total + content.length + toolCalls.length;
+  }, 0);
+  return Math.ceil(chars / 4);
+}
+
+function compactMessage(message) {
+  if (message.role === 'tool' && message.content && message.content.length > MAX_TOOL_RESULT_CHARS) {
+    return {
+      ...message,
+      content: `${message.content.slice(0, MAX_TOOL_RESULT_CHARS)}... [truncated]`
+    };
+  }
+  return message;
+}
+
+function summarizeTurns(turns) {
+  const lines = turns.map(turn => {
+    const answer = turn.description ? ` Assistant: ${turn.description}` : '';
+    return `- User asked: "${turn.userQuery}".${answer}`;
+  });
+  return {
+    role: 'system',
+    content: `Summary of earlier turns in this conversation:\n${lines.join('\n')}`
+  };
+}
+
+function createConversation({ datasetId } = {}) {
+  const id = crypto.randomUUID();
+  return conversations.set(id, {
+    id,
+    datasetId: datasetId || null,
+    turns: [],
+    lastChartSpec: null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function getConversation(id) {
+  return conversations.get(id);
+}
+
+function deleteConversation(id) {
+  return conversations.delete(id);
+}
+
+function appendTurn(conversation, { userQuery, turnMessages, response }) {
+  // The dataset profile is re-sent with every new query, so history only keeps the question
+  const messages = turnMessages.map((message, index) =>
+    index === 0 && message.role === 'user'
+      ? { role: 'user', content: `User Query: ${userQuery}` }
+      : message
+  );
+
+  conversation.turns.push({
+    userQuery,
+    messages,
+    description: response.description,
+    hasChart: !!response.chartSpec,
+    createdAt: new Date().toISOString(),
+  });
+
+  if (response.chartSpec) {
+    conversation.lastChartSpec = response.chartSpec;
+  }
+}
+
+// Most recent turns are kept verbatim while they fit the token budget;
+// anything older is collapsed into a short summary message.
+function buildHistory(conversation, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const kept = [];
+  let usedTokens = 0;
+  let index = conversation.turns.length - 1;
+
+  for (; index >= 0; index--) {
+    const messages = conversation.turns[index].messages.map(compactMessage);
+    const tokens = estimateTokens(messages);
+    if (usedTokens + tokens > tokenBudget) break;
+    kept.unshift(...messages);
+    usedTokens += tokens;
+  }
+
+  const dropped = conversation.turns.slice(0, index + 1);
+  if (dropped.length === 0) {
+    return kept;
+  }
+
+  console.log(`buildHistory: Summarizing ${dropped.length} older turn(s) to stay within ${tokenBudget} tokens`);
+  return [summarizeTurns(dropped), ...kept];
+}
+
+function describeConversation(conversation) {
+  return {
+    id: conversation.id,
+    datasetId: conversation.datasetId,
+    createdAt: conversation.createdAt,
+    turns: conversation.turns.map(turn => ({
+      userQuery: turn.userQuery,
+      description: turn.description,
+      hasChart: turn.hasChart,
+      createdAt: turn.createdAt,
+    })),
+    lastChartSpec: conversation.lastChartSpec,
+  };
+}
+
+module.exports = {
+  createConversation,
+  getConversation,
+  deleteConversation,
+  appendTurn,
+  buildHistory,
+  describeConversation,
+  estimateTokens
+};
@@ -0,0 +1,311 @@
+const { quartiles } = require('vega-statistics');
+const { toDate } = require('../utils/values');
+const { profileColumn, classifyValue, isNullish } = require('./profileService');
+
+// Dataset validation
+// Scans every row and reports problems per column: missing values, mixed types, unparsable
+// numbers and dates, outliers, inconsistent category spellings and duplicate rows.
+// Safe fixes are applied by default and listed in the report:
+//   fill_missing_columns  rows without some columns get null for them
+//   trim                  leading/trailing whitespace is removed from text
+//   normalize_nulls       "", "N/A", "null", "-"... become null
+//   coerce_numbers        "$1,200", "12%", "3.5" become numbers in numeric columns
+//   coerce_dates          dates in other formats become ISO strings in date columns
+//   coerce_strings        numbers and booleans become text in text columns
+// Everything else (outliers, spellings, duplicates) is only reported, with a suggestion.
+// Only data that cannot be used at all (not an array of row objects) is invalid.
+const MAX_EXAMPLES = 3;
+const MAX_SPELLING_CATEGORIES = 1000;
+const OUTLIER_IQR_FACTOR = 1.5;
+const MISSING_WARNING_RATE = 0.2;
+
+const NUMERIC_ROLES = ['measure', 'currency', 'percent'];
+const TEXT_ROLES = ['id', 'category', 'text'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]|$)/;
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const percentOf = (count, total) => `${((count / total) * 100).toFixed(1)}%`;
+const isRowObject = (row) => row !== null && typeof row === 'object' && !Array.isArray(row);
+
+function formatDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+function checkStructure(data) {
+  if (!Array.isArray(data)) {
+    return ['Dataset is not an array of rows'];
+  }
+  if (data.length === 0) {
+    return ['Dataset has no rows'];
+  }
+  const badRows = [];
+  data.forEach((row, index) => {
+    if (!isRowObject(row) && badRows.length < MAX_EXAMPLES) badRows.push(index + 1);
+  });
+  if (badRows.length > 0) {
+    return [`Rows must be objects of column values (see rows ${badRows.join(', ')})`];
+  }
+  if (!data.some(row => Object.keys(row).length > 0)) {
+    return ['Dataset has no columns'];
+  }
+  return [];
+}
+
+// Column order follows the first row that has each column
+function collectColumns(data) {
+  const columns = [];
+  const seen = new Set();
+  data.forEach(row => {
+    Object.keys(row).forEach(column => {
+      if (!seen.has(column)) {
+        seen.add(column);
+        columns.push(column);
+      }
+    });
+  });
+  return columns;
+}
+
+// Applies a per-value fix to a column and returns how many values changed, with examples
+function fixColumn(values, fix) {
+  let count = 0;
+  const examples = [];
+  values.forEach((value, index) => {
+    const fixed = fix(value);
+    if (fixed !== value && !(Number.isNaN(fixed) && Number.isNaN(value))) {
+      values[index] = fixed;
+      count++;
+      if (examples.length < MAX_EXAMPLES) examples.push({ from: value, to: fixed });
+    }
+  });
+  return { count, examples };
+}
+
+function findOutliers(column, values) {
+  const numbers = values.filter(value => typeof value === 'number' && isFinite(value));
+  if (numbers.length < 4) return null;
+
+  const [q1, , q3] = quartiles(numbers);
+  const spread = (q3 - q1) * OUTLIER_IQR_FACTOR;
+  const low = q1 - spread;
+  const high = q3 + spread;
+  const outliers = numbers.filter(value => value < low || value > high);
+  if (spread === 0 || outliers.length === 0) return null;
+
+  const extremes = [...outliers].sort((a, b) => Math.abs(b - (q1 + q3) / 2) - Math.abs(a - (q1 + q3) / 2));
+  return {
+    column,
+    type: 'outliers',
+    severity: 'info',
+    count: outliers.length,
+    message: `${pluralize(outliers.length, 'value')} outside ${Number(low.toFixed(4))} to ${Number(high.toFixed(4))} (1.5 × IQR)`,
+    examples: extremes.slice(0, MAX_EXAMPLES),
+    suggestion: 'Check whether these are data entry errors; exclude them with a filter if they distort charts or averages.'
+  };
+}
+
+// Values that only differ by case, spacing or punctuation ("USA", "usa ", "U.S.A")
+function findSpellingVariants(column, values) {
+  const counts = new Map();
+  values.forEach(value => {
+    if (typeof value === 'string') counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  if (counts.size > MAX_SPELLING_CATEGORIES) return null;
+
+  const groups = new Map();
+  counts.forEach((count, value) => {
+    const key = value.toLowerCase().replace(/[\s.,_'-]+/g, '');
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ value, count });
+  });
+
+  const variants = Array.from(groups.values()).filter(group => group.length > 1);
+  if (variants.length === 0) return null;
+
+  const mapping = {};
+  variants.forEach(group => {
+    group.sort((a, b) => b.count - a.count);
+    group.slice(1).forEach(({ value }) => { mapping[value] = group[0].value; });
+  });
+  return {
+    column,
+    type: 'inconsistent_categories',
+    severity: 'warning',
+    count: Object.keys(mapping).length,
+    message: `${pluralize(variants.length, 'category')} spelled in more than one way`,
+    examples: variants.slice(0, MAX_EXAMPLES),
+    mapping,
+    suggestion: 'Merge the variants into the most frequent spelling so counts are not split across groups.'
+  };
+}
+
+function findDuplicateRows(rows, columns) {
+  const seen = new Map();
+  const duplicates = [];
+  rows.forEach((row, index) => {
+    const key = JSON.stringify(columns.map(column => row[column]));
+    if (seen.has(key)) duplicates.push({ row: index + 1, duplicateOf: seen.get(key) });
+    else seen.set(key, index + 1);
+  });
+  if (duplicates.length === 0) return null;
+  return {
+    column: null,
+    type: 'duplicate_rows',
+    severity: 'warning',
+    count: duplicates.length,
+    message: `${pluralize(duplicates.length, 'duplicate row')} (exact copies of an earlier row)`,
+    examples: duplicates.slice(0, MAX_EXAMPLES),
+    suggestion: 'Remove the duplicates if each row should be a unique record; they inflate counts and sums.'
+  };
+}
+
+// Validates and (unless applyFixes is false) cleans the dataset.
+// Returns { isValid, errors, data, report: { rowCount, columnCount, issues, fixes } };
+// data is a cleaned copy when fixes were applied, otherwise the input rows.
+function validateDataset(data, { applyFixes = true } = {}) {
+  const errors = checkStructure(data);
+  if (errors.length > 0) {
+    return { isValid: false, errors, data, report: null };
+  }
+
+  const columns = collectColumns(data);
+  const issues = [];
+  const fixes = [];
+  const recordFix = (column, action, { count, examples }, message) => {
+    if (count > 0) fixes.push({ column, action, count, message: `${message} (${pluralize(count, 'value')})`, examples });
+  };
+
+  const incompleteRows = data.filter(row => columns.some(column => !(column in row))).length;
+  if (incompleteRows > 0) {
+    fixes.push({
+      column: null,
+      action: 'fill_missing_columns',
+      count: incompleteRows,
+      message: `Filled absent columns with null in ${pluralize(incompleteRows, 'row')}`
+    });
+  }
+
+  const cleanedColumns = {};
+  columns.forEach(column => {
+    const values = data.map(row => (column in row ? row[column] : null));
+    const types = new Set(values.filter(value => !isNullish(value)).map(value => typeof value));
+
+    recordFix(column, 'trim', fixColumn(values, value => (typeof value === 'string' ? value.trim() : value)),
+      'Trimmed surrounding whitespace');
+    recordFix(column, 'normalize_nulls', fixColumn(values, value => (isNullish(value) ? null : value)),
+      'Converted empty and placeholder values to null');
+
+    const profile = profileColumn(column, values);
+    const rowCount = values.length;
+
+    if (NUMERIC_ROLES.includes(profile.role) || profile.role === 'year') {
+      recordFix(column, 'coerce_numbers', fixColumn(values, value => {
+        if (value === null || typeof value === 'number') return value;
+        const classified = classifyValue(value);
+        return classified.number !== undefined ? classified.number : value;
+      }), 'Converted numeric text to numbers');
+
+      const invalid = values.filter(value => value !== null && typeof value !== 'number');
+      if (invalid.length > 0) {
+        issues.push({
+          column,
+          type: 'invalid_numbers',
+          severity: 'warning',
+          count: invalid.length,
+          message: `${pluralize(invalid.length, 'value')} in a numeric column cannot be read as numbers`,
+          examples: invalid.slice(0, MAX_EXAMPLES),
+          suggestion: 'Correct these values or treat them as missing; calculations ignore them.'
+        });
+      }
+      const outliers = profile.role !== 'year' && findOutliers(column, values);
+      if (outliers) issues.push(outliers);
+    } else if (profile.role === 'date') {
+      const unparsable = [];
+      recordFix(column, 'coerce_dates', fixColumn(values, value => {
+        if (value === null || (typeof value === 'string' && ISO_DATE.test(value))) return value;
+        const date = toDate(value);
+        if (!date) {
+          unparsable.push(value);
+          return value;
+        }
+        return formatDate(date);
+      }), 'Converted dates to ISO format');
+
+      if (unparsable.length > 0) {
+        issues.push({
+          column,
+          type: 'unparsable_dates',
+          severity: 'warning',
+          count: unparsable.length,
+          message: `${pluralize(unparsable.length, 'value')} in a date column cannot be read as dates`,
+          examples: unparsable.slice(0, MAX_EXAMPLES),
+          suggestion: 'Use a consistent date format such as YYYY-MM-DD; charts and time series skip these rows.'
+        });
+      }
+    } else if (TEXT_ROLES.includes(profile.role) && types.size > 1) {
+      recordFix(column, 'coerce_strings', fixColumn(values, value => (value === null ? value : String(value))),
+        'Converted mixed values to text');
+    }
+
+    if (types.size > 1) {
+      issues.push({
+        column,
+        type: 'mixed_types',
+        severity: applyFixes ? 'info' : 'warning',
+        count: types.size,
+        message: `Values of several types (${Array.from(types).join(', ')}) in a ${profile.role} column`,
+        suggestion: applyFixes ? 'Converted where possible; see fixes.' : 'Convert the column to a single type.'
+      });
+    }
+
+    if (['category', 'text'].includes(profile.role)) {
+      const variants = findSpellingVariants(column, values);
+      if (variants) issues.push(variants);
+    }
+
+    const nullCount = values.filter(value => value === null).length;
+    if (nullCount > 0) {
+      issues.push({
+        column,
+        type: 'missing_values',
+        severity: nullCount / rowCount > MISSING_WARNING_RATE ? 'warning' : 'info',
+        count: nullCount,
+        message: `${pluralize(nullCount, 'missing value')} (${percentOf(nullCount, rowCount)})`,
+        suggestion: nullCount === rowCount
+          ? 'The column is empty; leave it out of the analysis.'
+          : 'Statistics skip missing values; filter them out or fill them in if they matter.'
+      });
+    }
+
+    cleanedColumns[column] = values;
+  });
+
+  const cleaned = data.map((row, index) => {
+    const cleanedRow = {};
+    columns.forEach(column => { cleanedRow[column] = cleanedColumns[column][index]; });
+    return cleanedRow;
+  });
+
+  const duplicates = findDuplicateRows(cleaned, columns);
+  if (duplicates) issues.push(duplicates);
+
+  return {
+    isValid: true,
+    errors: [],
+    data: applyFixes ? cleaned : data,
+    report: {
+      rowCount: data.length,
+      columnCount: columns.length,
+      fixesApplied: applyFixes,
+      issues,
+      fixes: applyFixes ? fixes : [],
+      suggestedFixes: applyFixes ? [] : fixes
+    }
+  };
+}
+
+module.exports = {
+  validateDataset
+};
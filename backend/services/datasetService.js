@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { parse } = require('csv-parse/sync');
+const { getDatasetInfo } = require('./statsService');
+
+const { createMemoryStore } = require('../utils/memoryStore');
+
+// In-memory dataset registry, keyed by id so concurrent users never share data.
+const datasets = createMemoryStore({
+  maxEntries: parseInt(process.env.MAX_DATASETS, 10) || 50,
+  ttlMs: parseInt(process.env.DATASET_TTL_MS, 10) || 2 * 60 * 60 * 1000,
+});
+
+// Plain decimal numbers only: Number() would also accept "0x1A", "Infinity" and "1_000"-like
+// inputs that are almost always identifiers or text in a CSV cell
+const DECIMAL_NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Follows d3-dsv's autoType (used by the frontend parsers) for empty cells, booleans and NaN,
+// with stricter numbers. Dates stay strings, as they do when data is posted inline as JSON.
+function autoType(value) {
+  const trimmed = value.trim();
+  if (trimmed === '') return null;
+  if (trimmed === 'true') return true;
+  if (trimmed === 'false') return false;
+  if (trimmed === 'NaN') return NaN;
+  if (DECIMAL_NUMBER.test(trimmed)) return Number(trimmed);
+  return value;
+}
+
+function parseCsv(text) {
+  return parse(text, {
+    columns: true,
+    skip_empty_lines: true,
+    bom: true,
+    cast: (value, context) => (context.header ? value : autoType(value)),
+  });
+}
+
+function createDataset(data, { name, validation = null } = {}) {
+  const info = getDatasetInfo(data);
+  if (!info) {
+    throw new Error('Unable to extract dataset information from the uploaded data.');
+  }
+
+  const id = crypto.randomUUID();
+  return datasets.set(id, {
+    id,
+    name: name || `dataset-${id.slice(0, 8)}`,
+    data,
+    info,
+    validation,
+    rowCount: data.length,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+function getDataset(id) {
+  return datasets.get(id);
+}
+
+function deleteDataset(id) {
+  return datasets.delete(id);
+}
+
+function describeDataset(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    rowCount: entry.rowCount,
+    createdAt: entry.createdAt,
+    info: entry.info,
+    validation: entry.validation,
+  };
+}
+
+module.exports = {
+  autoType,
+  parseCsv,
+  createDataset,
+  getDataset,
+  deleteDataset,
+  describeDataset
+};
@@ -0,0 +1,291 @@
+const { resolveField, isNullValue, parseNumeric, parseTimestamp } = require('../utils/values');
+
+// Filter language shared by the analysis tools.
+//
+// A filter list is AND-ed together. Each entry is either a condition
+//   { field, operator, value }
+// or a group
+//   { any: [...] }  (OR)    { all: [...] }  (AND)
+// whose members are conditions or further groups.
+const FILTER_OPERATORS = [
+  '==', '!=', '>', '<', '>=', '<=',
+  'in', 'not in', 'between',
+  'contains', 'startsWith', 'endsWith', 'regex',
+  'is null', 'is not null'
+];
+
+const MAX_REGEX_LENGTH = 200;
+const TEMPORAL_SAMPLE_SIZE = 50;
+
+// A quantifier and an optional lazy marker: *, +, ?, {n}, {n,} or {n,m}
+const QUANTIFIER = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/;
+const GROUP_OPENING = /^\((?:\?(?::|=|!|<=|<!|<[^>]*>))?/;
+const ESCAPE = /^\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|c[A-Za-z]|[\s\S])/;
+const SAMPLE_CHARACTERS = Array.from({ length: 256 }, (_, code) => String.fromCharCode(code));
+
+// { length, unbounded, repeating } for a quantifier at the start of text, or null.
+// Repeating quantifiers can match their operand more than once, including {n} with n > 1.
+function readQuantifier(text) {
+  const match = QUANTIFIER.exec(text);
+  if (!match) return null;
+  const [quantifier, symbol, min, range, max] = match;
+  const unbounded = symbol === '*' || symbol === '+' || (range !== undefined && max === '');
+  const upper = symbol === '?' ? 1 : symbol ? Infinity : range === undefined ? Number(min) : Number(max || Infinity);
+  return { length: quantifier.length, unbounded, repeating: unbounded || upper > 1 };
+}
+
+// Which of the first 256 characters a single-character atom ("a", ".", "\d", "[a-z]") matches,
+// so two quantified atoms can be checked for overlap
+function atomCharacters(atom) {
+  const matcher = new RegExp(`^${atom}$`, 'i');
+  return new Set(SAMPLE_CHARACTERS.filter(char => matcher.test(char)));
+}
+
+const overlaps = (a, b) => [...a].some(char => b.has(char));
+
+// Patterns come from the model and from client-supplied scopes, and JavaScript regexes have no
+// time limit, so anything that can backtrack catastrophically is rejected up front:
+//   - a repeated group that itself contains a quantifier or an alternation ("(a+)+", "(a|aa)*",
+//     "(.*a){14}")
+//   - two unbounded quantifiers over atoms that can match the same character (".*.*", "\w+\d+")
+//   - backreferences
+// Expects a pattern that compiles. Returns an error message, or null for a safe pattern.
+function findUnsafeRegexConstruct(source) {
+  const groups = [];
+  const unboundedAtoms = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+    let atom = null;
+    let atomLength = 1;
+    let closedGroup = null;
+
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (/[1-9]/.test(next) || next === 'k') {
+        return 'backreferences are not supported';
+      }
+      const escape = ESCAPE.exec(rest)[0];
+      atomLength = escape.length;
+      if (!/^\\[bB]$/.test(escape)) atom = atomCharacters(escape);
+    } else if (char === '[') {
+      let end = i + 1;
+      if (source[end] === '^') end++;
+      if (source[end] === ']') end++;
+      while (end < source.length && source[end] !== ']') end += source[end] === '\\' ? 2 : 1;
+      atomLength = end + 1 - i;
+      atom = atomCharacters(source.slice(i, end + 1));
+    } else if (char === '(') {
+      groups.push({ risky: false, characters: new Set() });
+      i += GROUP_OPENING.exec(rest)[0].length;
+      continue;
+    } else if (char === ')') {
+      closedGroup = groups.pop();
+      atom = closedGroup.characters;
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1].risky = true;
+      i++;
+      continue;
+    } else if (char !== '^' && char !== '$') {
+      atom = atomCharacters(/[\w.]/.test(char) ? char : `\\${char}`);
+    }
+
+    const quantifier = readQuantifier(source.slice(i + atomLength));
+    if (closedGroup && closedGroup.risky && quantifier && quantifier.repeating) {
+      return 'repeated groups may not contain a quantifier or an alternation (e.g. "(a+)+")';
+    }
+    if (atom && quantifier && quantifier.unbounded) {
+      if (unboundedAtoms.some(previous => overlaps(previous, atom))) {
+        return 'only one unbounded quantifier (*, + or {n,}) may apply to the same characters (e.g. ".*.*")';
+      }
+      unboundedAtoms.push(atom);
+    }
+
+    // The enclosing group collects the characters it can match and inherits the risk,
+    // so "((a+))+" is caught as well
+    const parent = groups[groups.length - 1];
+    if (parent) {
+      if (atom) atom.forEach(matched => parent.characters.add(matched));
+      if (quantifier || (closedGroup && closedGroup.risky)) parent.risky = true;
+    }
+    i += atomLength + (quantifier ? quantifier.length : 0);
+  }
+  return null;
+}
+
+const toComparableString = (value) => String(value).toLowerCase();
+
+// A column counts as temporal when its values are date strings rather than plain numbers,
+// so "2020-01-15" < "2020-03-01" compares as dates while numeric years keep comparing as numbers.
+function isTemporalColumn(dataset, field) {
+  const sample = [];
+  for (let i = 0; i < dataset.length && sample.length < TEMPORAL_SAMPLE_SIZE; i++) {
+    const value = dataset[i][field];
+    if (!isNullValue(value)) sample.push(value);
+  }
+  if (sample.length === 0) return false;
+
+  return sample.every(value =>
+    value instanceof Date ||
+    (typeof value === 'string' && isNaN(Number(value)) && !isNaN(parseTimestamp(value)))
+  );
+}
+
+function requireArray(condition, length) {
+  const { field, operator, value } = condition;
+  if (!Array.isArray(value) || (length && value.length !== length)) {
+    const expected = length ? `an array of ${length} values` : 'an array of values';
+    throw new Error(`Operator "${operator}" on field "${field}" expects ${expected}`);
+  }
+  return value;
+}
+
+function compileCondition(condition, fieldInfo) {
+  const { field, operator, value } = condition;
+  if (!FILTER_OPERATORS.includes(operator)) {
+    throw new Error(`Unknown filter operator "${operator}". Supported operators: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  const actualField = fieldInfo.resolve(field);
+  if (!actualField) {
+    throw new Error(`Filter field "${field}" not found. Available fields are: ${fieldInfo.availableFields.join(', ')}`);
+  }
+
+  const temporal = fieldInfo.isTemporal(actualField);
+  const toOrdered = temporal ? parseTimestamp : parseNumeric;
+  const orderedValue = (operand) => {
+    const parsed = toOrdered(operand);
+    if (isNaN(parsed)) {
+      throw new Error(`Filter value ${JSON.stringify(operand)} for field "${actualField}" is not a valid ${temporal ? 'date' : 'number'}`);
+    }
+    return parsed;
+  };
+  const matchesValue = (itemValue, operand) => {
+    if (temporal) return parseTimestamp(itemValue) === parseTimestamp(operand);
+    if (typeof itemValue === 'string' || typeof operand === 'string') {
+      return toComparableString(itemValue) === toComparableString(operand);
+    }
+    return itemValue == operand;
+  };
+
+  switch (operator) {
+    case '==':
+      return item => !isNullValue(item[actualField]) && matchesValue(item[actualField], value);
+    case '!=':
+      return item => isNullValue(item[actualField]) || !matchesValue(item[actualField], value);
+    case '>':
+    case '<':
+    case '>=':
+    case '<=': {
+      const bound = orderedValue(value);
+      return item => {
+        const itemValue = toOrdered(item[actualField]);
+        if (isNaN(itemValue)) return false;
+        switch (operator) {
+          case '>': return itemValue > bound;
+          case '<': return itemValue < bound;
+          case '>=': return itemValue >= bound;
+          default: return itemValue <= bound;
+        }
+      };
+    }
+    case 'between': {
+      const [low, high] = requireArray(condition, 2).map(orderedValue);
+      return item => {
+        const itemValue = toOrdered(item[actualField]);
+        return !isNaN(itemValue) && itemValue >= low && itemValue <= high;
+      };
+    }
+    case 'in':
+    case 'not in': {
+      const options = requireArray(condition);
+      const isIn = item => !isNullValue(item[actualField]) && options.some(option => matchesValue(item[actualField], option));
+      return operator === 'in' ? isIn : item => !isIn(item);
+    }
+    case 'contains':
+    case 'startsWith':
+    case 'endsWith': {
+      const needle = toComparableString(value);
+      return item => {
+        if (isNullValue(item[actualField])) return false;
+        const haystack = toComparableString(item[actualField]);
+        if (operator === 'contains') return haystack.includes(needle);
+        if (operator === 'startsWith') return haystack.startsWith(needle);
+        return haystack.endsWith(needle);
+      };
+    }
+    case 'regex': {
+      if (typeof value !== 'string' || value.length > MAX_REGEX_LENGTH) {
+        throw new Error(`Operator "regex" on field "${actualField}" expects a pattern string of at most ${MAX_REGEX_LENGTH} characters`);
+      }
+      let pattern;
+      try {
+        pattern = new RegExp(value, 'i');
+      } catch (error) {
+        throw new Error(`Invalid regex for field "${actualField}": ${error.message}`);
+      }
+      const unsafe = findUnsafeRegexConstruct(value);
+      if (unsafe) {
+        throw new Error(`Unsupported regex for field "${actualField}": ${unsafe}. Use a simpler pattern or "contains"`);
+      }
+      return item => !isNullValue(item[actualField]) && pattern.test(String(item[actualField]));
+    }
+    case 'is null':
+      return item => isNullValue(item[actualField]);
+    default:
+      return item => !isNullValue(item[actualField]);
+  }
+}
+
+function compileEntry(entry, fieldInfo) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Invalid filter entry: ${JSON.stringify(entry)}`);
+  }
+  if (Array.isArray(entry.any)) {
+    const predicates = entry.any.map(member => compileEntry(member, fieldInfo));
+    return item => predicates.some(predicate => predicate(item));
+  }
+  if (Array.isArray(entry.all)) {
+    const predicates = entry.all.map(member => compileEntry(member, fieldInfo));
+    return item => predicates.every(predicate => predicate(item));
+  }
+  return compileCondition(entry, fieldInfo);
+}
+
+// Turns a filter list into a row predicate. Throws a descriptive Error for unknown
+// fields, unknown operators or malformed values so the model can correct its call.
+function compileFilters(filters, dataset) {
+  if (filters === undefined || filters === null) {
+    return () => true;
+  }
+  if (!Array.isArray(filters)) {
+    throw new Error('"filters" must be an array');
+  }
+
+  const availableFields = dataset.length > 0 ? Object.keys(dataset[0]) : [];
+  const temporalCache = {};
+  const fieldInfo = {
+    availableFields,
+    resolve: (name) => resolveField(availableFields, name),
+    isTemporal: (field) => {
+      if (!(field in temporalCache)) {
+        temporalCache[field] = isTemporalColumn(dataset, field);
+      }
+      return temporalCache[field];
+    },
+  };
+
+  return compileEntry({ all: filters }, fieldInfo);
+}
+
+function applyFilters(dataset, filters) {
+  return dataset.filter(compileFilters(filters, dataset));
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  compileFilters,
+  applyFilters,
+  findUnsafeRegexConstruct
+};
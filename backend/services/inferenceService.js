@@ -0,0 +1,492 @@
+const { resolveField, isNullValue, parseNumeric } = require('../utils/values');
+const { compileFilters } = require('./filterService');
+const {
+  tTestPValue,
+  fTestPValue,
+  chiSquarePValue,
+  normalPValue
+} = require('../utils/distributions');
+
+// Inferential statistics tools. Every result reports the sample size (n) and p-values,
+// plus a "significant" flag at the requested alpha (default 0.05).
+const DEFAULT_ALPHA = 0.05;
+const MAX_KENDALL_ROWS = 5000;
+
+const round = (value, digits = 4) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+const roundP = (p) => (p === null || !isFinite(p) ? null : Number(p.toPrecision(4)));
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+const sampleVariance = (values) => {
+  const m = mean(values);
+  return values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / (values.length - 1);
+};
+
+function failure(output) {
+  return { output, success: false };
+}
+
+// Applies filters and resolves the requested column names against the dataset.
+// Returns { rows, fields } or { error } with a message for the model.
+function prepare(dataset, filters, requestedFields) {
+  if (!dataset || dataset.length === 0) {
+    return { error: 'Dataset is empty or not loaded.' };
+  }
+
+  const availableFields = Object.keys(dataset[0]);
+  const fields = {};
+  for (const [role, name] of Object.entries(requestedFields)) {
+    if (name === undefined) continue;
+    const names = [].concat(name);
+    const resolved = names.map(n => resolveField(availableFields, n));
+    const missing = names.find((n, i) => !resolved[i]);
+    if (missing !== undefined) {
+      return { error: `Field "${missing}" not found. Available fields are: ${availableFields.join(', ')}` };
+    }
+    fields[role] = Array.isArray(name) ? resolved : resolved[0];
+  }
+
+  try {
+    return { rows: dataset.filter(compileFilters(filters, dataset)), fields };
+  } catch (error) {
+    return { error: `Invalid filter: ${error.message}` };
+  }
+}
+
+// Rows where every listed field parses as a number
+function numericRows(rows, fieldList) {
+  const result = [];
+  rows.forEach(row => {
+    const values = fieldList.map(f => parseNumeric(row[f]));
+    if (values.every(v => !isNaN(v))) result.push(values);
+  });
+  return result;
+}
+
+function pearson(x, y) {
+  const mx = mean(x);
+  const my = mean(y);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < x.length; i++) {
+    sxy += (x[i] - mx) * (y[i] - my);
+    sxx += Math.pow(x[i] - mx, 2);
+    syy += Math.pow(y[i] - my, 2);
+  }
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Average ranks, so ties share the mean of the positions they occupy
+function rank(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k][1]] = averageRank;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+// Kendall's tau-b with a normal approximation for the p-value
+function kendall(x, y) {
+  const n = x.length;
+  let concordant = 0;
+  let discordant = 0;
+  let tiesX = 0;
+  let tiesY = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const dx = Math.sign(x[i] - x[j]);
+      const dy = Math.sign(y[i] - y[j]);
+      if (dx === 0 && dy === 0) continue;
+      if (dx === 0) tiesX++;
+      else if (dy === 0) tiesY++;
+      else if (dx === dy) concordant++;
+      else discordant++;
+    }
+  }
+  const tau = (concordant - discordant) /
+    Math.sqrt((concordant + discordant + tiesX) * (concordant + discordant + tiesY));
+  const z = 3 * tau * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5));
+  return { tau, z };
+}
+
+function correlationTest({ field, field2, method = 'pearson', filters, alpha = DEFAULT_ALPHA }, dataset) {
+  const prepared = prepare(dataset, filters, { field, field2 });
+  if (prepared.error) return failure(prepared.error);
+  const { rows, fields } = prepared;
+
+  const pairs = numericRows(rows, [fields.field, fields.field2]);
+  const n = pairs.length;
+  if (n < 3) {
+    return failure(`At least 3 rows with numeric "${fields.field}" and "${fields.field2}" are required, found ${n}.`);
+  }
+  const x = pairs.map(p => p[0]);
+  const y = pairs.map(p => p[1]);
+
+  let coefficient;
+  let pValue;
+  if (method === 'kendall') {
+    if (n > MAX_KENDALL_ROWS) {
+      return failure(`Kendall correlation is limited to ${MAX_KENDALL_ROWS} rows (found ${n}). Use "spearman" or add filters.`);
+    }
+    const { tau, z } = kendall(x, y);
+    coefficient = tau;
+    pValue = normalPValue(z);
+  } else {
+    coefficient = method === 'spearman' ? pearson(rank(x), rank(y)) : pearson(x, y);
+    const t = coefficient * Math.sqrt((n - 2) / (1 - coefficient * coefficient));
+    pValue = Math.abs(coefficient) >= 1 ? 0 : tTestPValue(t, n - 2);
+  }
+
+  return {
+    output: {
+      method,
+      coefficient: round(coefficient, 3),
+      p_value: roundP(pValue),
+      n,
+      significant: pValue < alpha,
+      alpha
+    },
+    success: true,
+    operation: 'correlation_test',
+    fields: [fields.field, fields.field2]
+  };
+}
+
+// Gauss-Jordan inverse; returns null for singular matrices (e.g. collinear predictors)
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(augmented[r][col]) > Math.abs(augmented[pivot][col])) pivot = r;
+    }
+    if (Math.abs(augmented[pivot][col]) < 1e-12) return null;
+    [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+    const pivotValue = augmented[col][col];
+    for (let j = 0; j < 2 * size; j++) augmented[col][j] /= pivotValue;
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue;
+      const factor = augmented[r][col];
+      for (let j = 0; j < 2 * size; j++) augmented[r][j] -= factor * augmented[col][j];
+    }
+  }
+  return augmented.map(row => row.slice(size));
+}
+
+function quantile(sortedValues, q) {
+  const position = (sortedValues.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// Ordinary least squares with an intercept; one predictor gives simple linear regression
+function linearRegression({ target, predictors, filters, alpha = DEFAULT_ALPHA }, dataset) {
+  const predictorList = [].concat(predictors || []);
+  if (predictorList.length === 0) {
+    return failure('At least one predictor field is required.');
+  }
+  const prepared = prepare(dataset, filters, { target, predictors: predictorList });
+  if (prepared.error) return failure(prepared.error);
+  const { rows, fields } = prepared;
+
+  const observations = numericRows(rows, [fields.target, ...fields.predictors]);
+  const n = observations.length;
+  const k = fields.predictors.length + 1;
+  if (n <= k) {
+    return failure(`Need more rows with numeric values than coefficients (${k}), found ${n}.`);
+  }
+
+  const y = observations.map(o => o[0]);
+  const X = observations.map(o => [1, ...o.slice(1)]);
+
+  const xtx = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => X.reduce((acc, row) => acc + row[i] * row[j], 0))
+  );
+  const xty = Array.from({ length: k }, (_, i) => X.reduce((acc, row, r) => acc + row[i] * y[r], 0));
+  const xtxInverse = invertMatrix(xtx);
+  if (!xtxInverse) {
+    return failure('Predictors are collinear or constant, so the regression cannot be estimated.');
+  }
+  const beta = xtxInverse.map(row => row.reduce((acc, v, j) => acc + v * xty[j], 0));
+
+  const fitted = X.map(row => row.reduce((acc, v, j) => acc + v * beta[j], 0));
+  const residuals = y.map((v, i) => v - fitted[i]);
+  const sse = residuals.reduce((acc, r) => acc + r * r, 0);
+  const yMean = mean(y);
+  const sst = y.reduce((acc, v) => acc + Math.pow(v - yMean, 2), 0);
+  const dfResidual = n - k;
+  const dfModel = k - 1;
+  const mse = sse / dfResidual;
+  const rSquared = sst === 0 ? 0 : 1 - sse / sst;
+  const adjustedRSquared = 1 - (1 - rSquared) * (n - 1) / dfResidual;
+  const fStatistic = (rSquared / dfModel) / ((1 - rSquared) / dfResidual);
+  const modelPValue = fTestPValue(fStatistic, dfModel, dfResidual);
+
+  const names = ['intercept', ...fields.predictors];
+  const coefficients = names.map((name, i) => {
+    const standardError = Math.sqrt(mse * xtxInverse[i][i]);
+    const t = beta[i] / standardError;
+    const pValue = tTestPValue(t, dfResidual);
+    return {
+      term: name,
+      estimate: round(beta[i]),
+      std_error: round(standardError),
+      t_statistic: round(t, 3),
+      p_value: roundP(pValue),
+      significant: pValue < alpha
+    };
+  });
+
+  const sortedResiduals = [...residuals].sort((a, b) => a - b);
+
+  return {
+    output: {
+      target: fields.target,
+      coefficients,
+      r_squared: round(rSquared),
+      adjusted_r_squared: round(adjustedRSquared),
+      f_statistic: round(fStatistic, 3),
+      p_value: roundP(modelPValue),
+      significant: modelPValue < alpha,
+      n,
+      residuals: {
+        min: round(sortedResiduals[0]),
+        q1: round(quantile(sortedResiduals, 0.25)),
+        median: round(quantile(sortedResiduals, 0.5)),
+        q3: round(quantile(sortedResiduals, 0.75)),
+        max: round(sortedResiduals[n - 1]),
+        standard_error: round(Math.sqrt(mse))
+      },
+      alpha
+    },
+    success: true,
+    operation: 'linear_regression'
+  };
+}
+
+// Collects numeric values of a field per category of groupBy
+function groupNumericValues(rows, field, groupBy) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const group = row[groupBy];
+    const value = parseNumeric(row[field]);
+    if (isNullValue(group) || isNaN(value)) return;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(value);
+  });
+  return groups;
+}
+
+// Welch's t-test by default; equal_var uses Student's pooled variance.
+// With groupBy it compares two groups, otherwise it tests the field's mean against mu.
+function tTest({ field, groupBy, groups: selectedGroups, mu = 0, equal_var = false, filters, alpha = DEFAULT_ALPHA }, dataset) {
+  const prepared = prepare(dataset, filters, { field, groupBy });
+  if (prepared.error) return failure(prepared.error);
+  const { rows, fields } = prepared;
+
+  if (!fields.groupBy) {
+    const values = numericRows(rows, [fields.field]).map(v => v[0]);
+    const n = values.length;
+    if (n < 2) return failure(`At least 2 numeric values of "${fields.field}" are required, found ${n}.`);
+    const t = (mean(values) - mu) / Math.sqrt(sampleVariance(values) / n);
+    const pValue = tTestPValue(t, n - 1);
+    return {
+      output: {
+        test: 'one-sample t-test',
+        mean: round(mean(values)),
+        mu,
+        t_statistic: round(t, 3),
+        df: n - 1,
+        p_value: roundP(pValue),
+        n,
+        significant: pValue < alpha,
+        alpha
+      },
+      success: true,
+      operation: 't_test',
+      field: fields.field
+    };
+  }
+
+  const grouped = groupNumericValues(rows, fields.field, fields.groupBy);
+  let groupNames = [...grouped.keys()];
+  if (Array.isArray(selectedGroups) && selectedGroups.length > 0) {
+    groupNames = selectedGroups.map(name => groupNames.find(g => String(g).toLowerCase() === String(name).toLowerCase()));
+    const missing = selectedGroups.find((name, i) => groupNames[i] === undefined);
+    if (missing !== undefined) {
+      return failure(`Group "${missing}" not found in "${fields.groupBy}". Available groups: ${[...grouped.keys()].join(', ')}`);
+    }
+  }
+  if (groupNames.length !== 2) {
+    return failure(`A two-sample t-test needs exactly 2 groups, but "${fields.groupBy}" has ${groupNames.length}: ${groupNames.join(', ')}. Pass "groups" to pick two, or use anova.`);
+  }
+
+  const [a, b] = groupNames.map(name => grouped.get(name));
+  if (a.length < 2 || b.length < 2) {
+    return failure('Each group needs at least 2 numeric values.');
+  }
+  const va = sampleVariance(a);
+  const vb = sampleVariance(b);
+  let standardError;
+  let df;
+  if (equal_var) {
+    const pooled = ((a.length - 1) * va + (b.length - 1) * vb) / (a.length + b.length - 2);
+    standardError = Math.sqrt(pooled * (1 / a.length + 1 / b.length));
+    df = a.length + b.length - 2;
+  } else {
+    const sa = va / a.length;
+    const sb = vb / b.length;
+    standardError = Math.sqrt(sa + sb);
+    df = Math.pow(sa + sb, 2) / (Math.pow(sa, 2) / (a.length - 1) + Math.pow(sb, 2) / (b.length - 1));
+  }
+  const t = (mean(a) - mean(b)) / standardError;
+  const pValue = tTestPValue(t, df);
+
+  return {
+    output: {
+      test: equal_var ? "Student's t-test" : "Welch's t-test",
+      groups: groupNames.map((name, i) => ({
+        group: name,
+        n: [a, b][i].length,
+        mean: round(mean([a, b][i])),
+        std: round(Math.sqrt([va, vb][i]))
+      })),
+      mean_difference: round(mean(a) - mean(b)),
+      t_statistic: round(t, 3),
+      df: round(df, 2),
+      p_value: roundP(pValue),
+      n: a.length + b.length,
+      significant: pValue < alpha,
+      alpha
+    },
+    success: true,
+    operation: 't_test',
+    field: fields.field,
+    groupBy: fields.groupBy
+  };
+}
+
+function chiSquareTest({ field, field2, filters, alpha = DEFAULT_ALPHA }, dataset) {
+  const prepared = prepare(dataset, filters, { field, field2 });
+  if (prepared.error) return failure(prepared.error);
+  const { rows, fields } = prepared;
+
+  const table = new Map();
+  const columnTotals = new Map();
+  let n = 0;
+  rows.forEach(row => {
+    const a = row[fields.field];
+    const b = row[fields.field2];
+    if (isNullValue(a) || isNullValue(b)) return;
+    if (!table.has(a)) table.set(a, new Map());
+    table.get(a).set(b, (table.get(a).get(b) || 0) + 1);
+    columnTotals.set(b, (columnTotals.get(b) || 0) + 1);
+    n++;
+  });
+
+  const rowKeys = [...table.keys()];
+  const columnKeys = [...columnTotals.keys()];
+  if (rowKeys.length < 2 || columnKeys.length < 2) {
+    return failure(`Both fields need at least 2 categories (found ${rowKeys.length} and ${columnKeys.length}).`);
+  }
+
+  let chi2 = 0;
+  let lowExpectedCells = 0;
+  rowKeys.forEach(r => {
+    const rowTotal = [...table.get(r).values()].reduce((acc, v) => acc + v, 0);
+    columnKeys.forEach(c => {
+      const expected = rowTotal * columnTotals.get(c) / n;
+      const observed = table.get(r).get(c) || 0;
+      if (expected < 5) lowExpectedCells++;
+      chi2 += Math.pow(observed - expected, 2) / expected;
+    });
+  });
+  const df = (rowKeys.length - 1) * (columnKeys.length - 1);
+  const pValue = chiSquarePValue(chi2, df);
+  const cramersV = Math.sqrt(chi2 / (n * (Math.min(rowKeys.length, columnKeys.length) - 1)));
+
+  const output = {
+    test: 'chi-square test of independence',
+    chi_square: round(chi2, 3),
+    df,
+    p_value: roundP(pValue),
+    cramers_v: round(cramersV, 3),
+    n,
+    significant: pValue < alpha,
+    alpha
+  };
+  if (lowExpectedCells > 0) {
+    output.warning = `${lowExpectedCells} of ${rowKeys.length * columnKeys.length} cells have expected counts below 5, so the p-value may be unreliable.`;
+  }
+
+  return {
+    output,
+    success: true,
+    operation: 'chi_square_test',
+    fields: [fields.field, fields.field2]
+  };
+}
+
+function anova({ field, groupBy, filters, alpha = DEFAULT_ALPHA }, dataset) {
+  const prepared = prepare(dataset, filters, { field, groupBy });
+  if (prepared.error) return failure(prepared.error);
+  const { rows, fields } = prepared;
+  if (!fields.groupBy) return failure('A groupBy field is required for ANOVA.');
+
+  const grouped = [...groupNumericValues(rows, fields.field, fields.groupBy).entries()];
+  const k = grouped.length;
+  const n = grouped.reduce((acc, [, values]) => acc + values.length, 0);
+  if (k < 2 || n <= k) {
+    return failure(`ANOVA needs at least 2 groups and more observations than groups (found ${k} groups, ${n} values).`);
+  }
+
+  const grandMean = grouped.reduce((acc, [, values]) => acc + values.reduce((a, b) => a + b, 0), 0) / n;
+  let ssBetween = 0;
+  let ssWithin = 0;
+  grouped.forEach(([, values]) => {
+    const groupMean = mean(values);
+    ssBetween += values.length * Math.pow(groupMean - grandMean, 2);
+    ssWithin += values.reduce((acc, v) => acc + Math.pow(v - groupMean, 2), 0);
+  });
+  const dfBetween = k - 1;
+  const dfWithin = n - k;
+  const fStatistic = (ssBetween / dfBetween) / (ssWithin / dfWithin);
+  const pValue = fTestPValue(fStatistic, dfBetween, dfWithin);
+
+  return {
+    output: {
+      test: 'one-way ANOVA',
+      f_statistic: round(fStatistic, 3),
+      df_between: dfBetween,
+      df_within: dfWithin,
+      p_value: roundP(pValue),
+      eta_squared: round(ssBetween / (ssBetween + ssWithin), 3),
+      groups: grouped.map(([group, values]) => ({ group, n: values.length, mean: round(mean(values)) })),
+      n,
+      significant: pValue < alpha,
+      alpha
+    },
+    success: true,
+    operation: 'anova',
+    field: fields.field,
+    groupBy: fields.groupBy
+  };
+}
+
+module.exports = {
+  correlationTest,
+  linearRegression,
+  tTest,
+  chiSquareTest,
+  anova,
+  rank
+};
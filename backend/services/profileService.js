@@ -0,0 +1,212 @@
+const { isNullValue, toDate } = require('../utils/values');
+
+// Column profiler
+// One pass per column infers the Vega-Lite type and a semantic role, and summarises the
+// values (nulls, distinct count, range, most frequent values). getDatasetInfo sends the
+// profiles to the model, so it can pick sensible fields, aggregates and chart types.
+//
+//   role      type          detected from
+//   id        nominal       unique values with an id-like name, or unique codes without spaces
+//   currency  quantitative  "$1,200.50", "€30", or a numeric column named price/cost/revenue...
+//   percent   quantitative  "12.5%", or a numeric column named percent/pct/rate
+//   year      ordinal       integers 1800-2200 in a column named year/yr
+//   measure   quantitative  other numbers ("1,234", "-3.5e2"; "123abc" is not a number)
+//   date      temporal      ISO dates, 3/14/2024, "Mar 14 2024"...
+//   boolean   nominal       true/false, yes/no
+//   category  nominal       repeated values with few distinct entries
+//   text      nominal       free text and high-cardinality labels
+const TYPE_THRESHOLD = 0.95;
+const TOP_VALUES = 5;
+const MAX_CATEGORIES = 50;
+const CATEGORY_RATIO = 0.5;
+const FREE_TEXT_LENGTH = 40;
+
+const NULL_TOKENS = new Set(['na', 'n/a', 'null', 'none', 'nan', '-', '--', '?']);
+const BOOLEAN_TOKENS = { true: true, false: false, yes: true, no: false };
+
+const NUMBER_PATTERN = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+const CURRENCY_PATTERN = /^([-+]?)\s*(?:[$€£¥₹]\s*([\d.,eE+-]+)|([\d.,eE+-]+)\s*[$€£¥₹])$/;
+const PERCENT_PATTERN = /^([-+]?[\d.,eE+-]+)\s*%$/;
+const DATE_PATTERNS = [
+  /^\d{4}-\d{1,2}-\d{1,2}([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/,
+  /^\d{4}\/\d{1,2}\/\d{1,2}$/,
+  /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}( \d{1,2}:\d{2}(:\d{2})?)?$/,
+  /^(\d{1,2} )?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?( \d{1,2},?)? \d{4}$/i,
+  /^\d{4}-\d{2}$/
+];
+
+const ID_NAME = /(^|[\s_-])(id|uuid|guid|key)$/i;
+const CAMEL_ID_NAME = /[a-z](Id|ID)$/;
+const YEAR_NAME = /year|(^|[\s_-])yr$/i;
+const CURRENCY_NAME = /price|cost|revenue|sales|salary|income|amount|spend|budget|profit|usd|eur|gbp|\$/i;
+const PERCENT_NAME = /percent|pct|(^|[\s_-])rate$|%/i;
+
+const isIdName = (name) => ID_NAME.test(name) || CAMEL_ID_NAME.test(name);
+
+const isNullish = (value) => isNullValue(value) ||
+  (typeof value === 'string' && (value.trim() === '' || NULL_TOKENS.has(value.trim().toLowerCase())));
+
+function parseStrictNumber(text) {
+  const trimmed = text.replace(/\s/g, '');
+  return trimmed !== '' && NUMBER_PATTERN.test(trimmed) && /\d/.test(trimmed)
+    ? Number(trimmed.replace(/,/g, ''))
+    : null;
+}
+
+// Classifies one non-null value: { kind, number?, time? }
+function classifyValue(value) {
+  if (typeof value === 'boolean') return { kind: 'boolean' };
+  if (typeof value === 'number') return { kind: 'number', number: value };
+  if (value instanceof Date) return { kind: 'date', time: value.getTime() };
+
+  const text = String(value).trim();
+  if (text.toLowerCase() in BOOLEAN_TOKENS) return { kind: 'boolean' };
+
+  const number = parseStrictNumber(text);
+  if (number !== null) return { kind: 'number', number };
+
+  const currency = CURRENCY_PATTERN.exec(text);
+  if (currency) {
+    const amount = parseStrictNumber(currency[2] || currency[3]);
+    if (amount !== null) return { kind: 'currency', number: currency[1] === '-' ? -amount : amount };
+  }
+
+  const percent = PERCENT_PATTERN.exec(text);
+  if (percent) {
+    const amount = parseStrictNumber(percent[1]);
+    if (amount !== null) return { kind: 'percent', number: amount };
+  }
+
+  if (DATE_PATTERNS.some(pattern => pattern.test(text))) {
+    const date = toDate(text);
+    if (date) return { kind: 'date', time: date.getTime() };
+  }
+
+  return { kind: 'text', text };
+}
+
+function topValuesOf(counts) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, TOP_VALUES)
+    .map(([, { value, count }]) => ({ value, count }));
+}
+
+const rangeOf = (numbers) => numbers.reduce(
+  ([min, max], n) => [n < min ? n : min, n > max ? n : max],
+  [Infinity, -Infinity]
+);
+
+// Picks the role from the share of each value kind, then refines it with the column name
+function inferRole(name, kinds, stats) {
+  const { nonNullCount, distinctCount, numbers, averageLength, hasSpaces } = stats;
+  const share = (...names) => names.reduce((total, kind) => total + (kinds[kind] || 0), 0) / nonNullCount;
+  const unique = distinctCount === nonNullCount && nonNullCount > 1;
+
+  if (share('boolean') >= TYPE_THRESHOLD) return 'boolean';
+  if (share('date') >= TYPE_THRESHOLD) return 'date';
+
+  if (share('number', 'currency', 'percent') >= TYPE_THRESHOLD) {
+    const integers = numbers.every(Number.isInteger);
+    if (unique && integers && isIdName(name)) return 'id';
+    if (kinds.currency) return 'currency';
+    if (kinds.percent) return 'percent';
+    if (integers && YEAR_NAME.test(name) && numbers.every(n => n >= 1800 && n <= 2200)) return 'year';
+    if (CURRENCY_NAME.test(name)) return 'currency';
+    if (PERCENT_NAME.test(name)) return 'percent';
+    return 'measure';
+  }
+
+  if (unique && (isIdName(name) || (!hasSpaces && averageLength <= FREE_TEXT_LENGTH))) return 'id';
+  if (averageLength > FREE_TEXT_LENGTH) return 'text';
+  if (distinctCount <= MAX_CATEGORIES && distinctCount <= Math.max(2, nonNullCount * CATEGORY_RATIO)) return 'category';
+  return 'text';
+}
+
+const ROLE_TYPES = {
+  id: 'nominal',
+  currency: 'quantitative',
+  percent: 'quantitative',
+  year: 'ordinal',
+  measure: 'quantitative',
+  date: 'temporal',
+  boolean: 'nominal',
+  category: 'nominal',
+  text: 'nominal'
+};
+
+// Profile of one column; invalidCount counts the values that do not fit the inferred type
+function profileColumn(name, values) {
+  const kinds = {};
+  const counts = new Map();
+  const numbers = [];
+  const times = [];
+  let nullCount = 0;
+  let totalLength = 0;
+  let hasSpaces = false;
+
+  values.forEach(value => {
+    if (isNullish(value)) {
+      nullCount++;
+      return;
+    }
+    const classified = classifyValue(value);
+    kinds[classified.kind] = (kinds[classified.kind] || 0) + 1;
+    if (classified.number !== undefined) numbers.push(classified.number);
+    if (classified.time !== undefined) times.push(classified.time);
+
+    const text = String(value);
+    totalLength += text.length;
+    if (!hasSpaces && /\s/.test(text.trim())) hasSpaces = true;
+
+    const key = `${typeof value}:${text}`;
+    if (!counts.has(key)) counts.set(key, { value, count: 0 });
+    counts.get(key).count++;
+  });
+
+  const nonNullCount = values.length - nullCount;
+  const profile = {
+    type: 'nominal',
+    role: nonNullCount === 0 ? 'text' : null,
+    nullCount,
+    nullRate: values.length > 0 ? Number((nullCount / values.length).toFixed(4)) : 0,
+    distinctCount: counts.size
+  };
+  if (nonNullCount === 0) return profile;
+
+  profile.role = inferRole(name, kinds, {
+    nonNullCount,
+    distinctCount: counts.size,
+    numbers,
+    averageLength: totalLength / nonNullCount,
+    hasSpaces
+  });
+  profile.type = ROLE_TYPES[profile.role];
+
+  if (profile.type === 'quantitative' || profile.role === 'year') {
+    [profile.min, profile.max] = rangeOf(numbers);
+    profile.invalidCount = nonNullCount - numbers.length;
+  } else if (profile.type === 'temporal') {
+    const [min, max] = rangeOf(times);
+    profile.min = new Date(min).toISOString();
+    profile.max = new Date(max).toISOString();
+    profile.invalidCount = nonNullCount - times.length;
+  }
+
+  // Unique columns have no meaningful "most frequent" values
+  if (counts.size < nonNullCount) {
+    profile.topValues = topValuesOf(counts);
+  }
+  return profile;
+}
+
+function inferVegaLiteType(values, name = '') {
+  return profileColumn(name, values).type;
+}
+
+module.exports = {
+  profileColumn,
+  classifyValue,
+  inferVegaLiteType,
+  isNullish
+};
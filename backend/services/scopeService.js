@@ -0,0 +1,58 @@
+const { applyFilters } = require('./filterService');
+const { resolveField } = require('../utils/values');
+
+// Question scope: the rows and columns the user selected in the frontend data grid.
+//   { columns: ["region", "sales"], filters: [<filterService conditions>] }
+// Both parts are optional. The agent only sees the scoped data for that one question.
+const MAX_NOTE_FILTERS_LENGTH = 500;
+
+function applyScope(dataset, scope) {
+  if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+    throw new Error('"scope" must be an object with optional "columns" and "filters"');
+  }
+  const { columns, filters } = scope;
+  if (columns !== undefined && (!Array.isArray(columns) || columns.length === 0)) {
+    throw new Error('"scope.columns" must be a non-empty array of column names');
+  }
+  if (filters !== undefined && !Array.isArray(filters)) {
+    throw new Error('"scope.filters" must be an array of filter conditions');
+  }
+
+  const availableFields = dataset.length > 0 ? Object.keys(dataset[0]) : [];
+  const selectedColumns = columns && columns.map(column => {
+    const actualField = resolveField(availableFields, column);
+    if (!actualField) {
+      throw new Error(`Scope column "${column}" not found. Available fields are: ${availableFields.join(', ')}`);
+    }
+    return actualField;
+  });
+
+  let rows = filters && filters.length > 0 ? applyFilters(dataset, filters) : dataset;
+  if (rows.length === 0) {
+    throw new Error('The selected rows are empty; clear some grid filters and ask again.');
+  }
+  if (selectedColumns) {
+    rows = rows.map(row => {
+      const projected = {};
+      selectedColumns.forEach(column => { projected[column] = row[column]; });
+      return projected;
+    });
+  }
+
+  const parts = [`${rows.length} of ${dataset.length} rows`];
+  if (filters && filters.length > 0) {
+    const filterText = JSON.stringify(filters);
+    parts.push(`filters ${filterText.length > MAX_NOTE_FILTERS_LENGTH ? `${filterText.slice(0, MAX_NOTE_FILTERS_LENGTH)}...` : filterText}`);
+  }
+  if (selectedColumns) parts.push(`columns ${selectedColumns.join(', ')}`);
+
+  return {
+    dataset: rows,
+    note: `The user scoped this question to a selection in the data grid (${parts.join('; ')}). ` +
+      'The dataset info and all tools only cover this selection, so answer about it.'
+  };
+}
+
+module.exports = {
+  applyScope
+};
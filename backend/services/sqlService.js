@@ -0,0 +1,184 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { isNullValue, parseNumeric } = require('../utils/values');
+
+// run_sql tool: read-only SELECT queries against the working dataset, loaded into an
+// embedded SQLite engine (sql.js) as a table named "data". Queries run in a worker
+// thread (services/sqlWorker.js) that is terminated when a query exceeds the timeout.
+const SQL_TIMEOUT_MS = parseInt(process.env.SQL_TIMEOUT_MS, 10) || 10000;
+const DEFAULT_ROW_LIMIT = 1000;
+const MAX_ROW_LIMIT = 10000;
+const MAX_SQL_LENGTH = 5000;
+const MAX_CACHED_TABLES = 4;
+
+let worker = null;
+// Keys of the tables the current worker has confirmed loading, oldest first
+let loadedKeys = [];
+// Queries run one at a time, so replacing a stuck worker only fails the query that is running
+const queue = [];
+let active = null;
+let nextRequestId = 1;
+
+// Datasets get a stable key per array so repeated queries reuse the loaded table
+const datasetKeys = new WeakMap();
+let nextDatasetKey = 1;
+
+function datasetKey(dataset) {
+  if (!datasetKeys.has(dataset)) {
+    datasetKeys.set(dataset, nextDatasetKey++);
+  }
+  return datasetKeys.get(dataset);
+}
+
+function stopWorker() {
+  if (worker) {
+    const stopped = worker;
+    worker = null;
+    stopped.terminate();
+  }
+  loadedKeys = [];
+}
+
+function finishActive(error, result) {
+  const request = active;
+  active = null;
+  clearTimeout(request.timer);
+  if (error) request.reject(error);
+  else request.resolve(result);
+}
+
+function handleWorkerFailure(error) {
+  stopWorker();
+  if (active) finishActive(error);
+  runNext();
+}
+
+function recordLoadedTable(key) {
+  loadedKeys = loadedKeys.filter(loadedKey => loadedKey !== key);
+  loadedKeys.push(key);
+  if (loadedKeys.length > MAX_CACHED_TABLES) {
+    worker.postMessage({ evict: loadedKeys.splice(0, loadedKeys.length - MAX_CACHED_TABLES) });
+  }
+}
+
+function getWorker() {
+  if (!worker) {
+    const sqlWorker = new Worker(path.join(__dirname, 'sqlWorker.js'));
+    sqlWorker.on('message', ({ id, loaded, result, error }) => {
+      if (worker !== sqlWorker || !active || active.id !== id) return;
+      // A table counts as loaded only once the worker confirms it, even if the query then failed
+      if (loaded) recordLoadedTable(active.key);
+      finishActive(error ? new Error(error) : null, result);
+      runNext();
+    });
+    sqlWorker.on('error', (error) => {
+      if (worker === sqlWorker) handleWorkerFailure(new Error(`SQL engine failed: ${error.message}`));
+    });
+    sqlWorker.on('exit', () => {
+      // A replaced worker exits after its successor started, so only react if it is still current
+      if (worker === sqlWorker) handleWorkerFailure(new Error('SQL engine stopped unexpectedly'));
+    });
+    // An idle engine must not keep the process alive; unref after adding listeners, which re-ref it
+    sqlWorker.unref();
+    worker = sqlWorker;
+  }
+  return worker;
+}
+
+function runNext() {
+  if (active || queue.length === 0) return;
+  const request = queue.shift();
+  const key = datasetKey(request.dataset);
+  const message = { id: nextRequestId++, key, sql: request.sql, limit: request.limit };
+
+  try {
+    if (!loadedKeys.includes(key)) {
+      message.table = buildTable(request.dataset, request.datasetInfo);
+    }
+  } catch (error) {
+    request.reject(error);
+    runNext();
+    return;
+  }
+
+  active = {
+    ...request,
+    id: message.id,
+    key,
+    timer: setTimeout(() => {
+      // sql.js cannot interrupt a running statement, so the worker is replaced; queued
+      // queries continue on a fresh one
+      handleWorkerFailure(new Error(`Query timed out after ${SQL_TIMEOUT_MS} ms`));
+    }, SQL_TIMEOUT_MS),
+  };
+  getWorker().postMessage(message);
+}
+
+function toSqlValue(value, quantitative) {
+  if (isNullValue(value)) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (quantitative) {
+    const number = parseNumeric(value);
+    return isNaN(number) ? null : number;
+  }
+  return typeof value === 'number' ? value : String(value);
+}
+
+function buildTable(dataset, datasetInfo) {
+  const columns = datasetInfo.columns;
+  const quantitative = columns.map(column => datasetInfo.dataTypes[column] === 'quantitative');
+  return {
+    columns,
+    types: quantitative.map(isNumeric => (isNumeric ? 'REAL' : 'TEXT')),
+    rows: dataset.map(row => columns.map((column, i) => toSqlValue(row[column], quantitative[i]))),
+  };
+}
+
+function executeQuery(dataset, datasetInfo, sql, limit) {
+  return new Promise((resolve, reject) => {
+    queue.push({ dataset, datasetInfo, sql, limit, resolve, reject });
+    runNext();
+  });
+}
+
+// Leading comments are skipped so "-- top cars\nSELECT ..." is still recognised as a query
+function isReadOnlyQuery(sql) {
+  const statement = sql.replace(/^(\s+|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/)+/, '');
+  return /^(select|with)\b/i.test(statement);
+}
+
+async function runSql({ sql, limit = DEFAULT_ROW_LIMIT }, dataset, datasetInfo) {
+  if (typeof sql !== 'string' || sql.trim() === '') {
+    return { output: 'run_sql expects a non-empty "sql" string.', success: false };
+  }
+  if (sql.length > MAX_SQL_LENGTH) {
+    return { output: `SQL is too long (max ${MAX_SQL_LENGTH} characters).`, success: false };
+  }
+  if (!isReadOnlyQuery(sql)) {
+    return { output: 'Only read-only SELECT (or WITH ... SELECT) queries are allowed.', success: false };
+  }
+  if (!dataset || dataset.length === 0 || !datasetInfo) {
+    return { output: 'No dataset is loaded.', success: false };
+  }
+
+  const rowLimit = Math.min(MAX_ROW_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_ROW_LIMIT));
+  try {
+    const { columns, rows, truncated } = await executeQuery(dataset, datasetInfo, sql, rowLimit);
+    return {
+      output: rows,
+      columns,
+      rowCount: rows.length,
+      truncated,
+      success: true,
+      operation: 'run_sql'
+    };
+  } catch (error) {
+    return { output: `SQL error: ${error.message}`, success: false };
+  }
+}
+
+module.exports = {
+  runSql,
+  MAX_ROW_LIMIT
+};
@@ -0,0 +1,87 @@
+const { parentPort } = require('worker_threads');
+const initSqlJs = require('sql.js');
+
+// Runs SQL for services/sqlService.js off the main thread, so a runaway query can be
+// stopped by terminating the worker. Each loaded dataset is an in-memory SQLite database
+// with a single "data" table, switched to query_only once the rows are inserted.
+const sqlReady = initSqlJs();
+const databases = new Map();
+
+const quoteIdentifier = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+function loadTable(SQL, { columns, types, rows }) {
+  const db = new SQL.Database();
+  const columnList = columns.map((column, i) => `${quoteIdentifier(column)} ${types[i]}`).join(', ');
+  db.run(`CREATE TABLE data (${columnList})`);
+
+  const insert = db.prepare(`INSERT INTO data VALUES (${columns.map(() => '?').join(', ')})`);
+  db.run('BEGIN');
+  rows.forEach(row => insert.run(row));
+  db.run('COMMIT');
+  insert.free();
+
+  db.run('PRAGMA query_only = ON');
+  return db;
+}
+
+const isBlankSql = (sql) => sql.replace(/(\s+|--[^\n]*(\n|$)|\/\*[\s\S]*?\*\/|;)/g, '') === '';
+
+function runQuery(db, sql, limit) {
+  // The iterator frees each statement when it advances, so only the first one is consumed
+  const iterator = db.iterateStatements(sql);
+  const { value: statement, done } = iterator.next();
+  if (done) {
+    throw new Error('No SQL statement found');
+  }
+
+  try {
+    if (!isBlankSql(iterator.getRemainingSQL())) {
+      throw new Error('Only one SQL statement can be run at a time');
+    }
+
+    const columns = statement.getColumnNames();
+    const rows = [];
+    let truncated = false;
+    while (statement.step()) {
+      if (rows.length >= limit) {
+        truncated = true;
+        break;
+      }
+      rows.push(statement.getAsObject());
+    }
+    return { columns, rows, truncated };
+  } finally {
+    statement.free();
+  }
+}
+
+// Replies { id, loaded, result } or { id, loaded, error }; loaded confirms that the table sent
+// with the query is now cached. Messages without sql only evict cached tables.
+parentPort.on('message', async ({ id, key, table, evict, sql, limit }) => {
+  let loaded = false;
+  try {
+    const SQL = await sqlReady;
+    (evict || []).forEach(evictedKey => {
+      const db = databases.get(evictedKey);
+      if (db) db.close();
+      databases.delete(evictedKey);
+    });
+    if (sql === undefined) return;
+
+    if (table) {
+      const previous = databases.get(key);
+      databases.set(key, loadTable(SQL, table));
+      if (previous) previous.close();
+      loaded = true;
+    }
+
+    const db = databases.get(key);
+    if (!db) {
+      throw new Error('Dataset table is not loaded');
+    }
+    parentPort.postMessage({ id, loaded, result: runQuery(db, sql, limit) });
+  } catch (error) {
+    if (sql === undefined) return;
+    parentPort.postMessage({ id, loaded, error: error instanceof Error ? error.message : String(error) });
+  }
+});
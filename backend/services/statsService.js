@@ -1,23 +1,246 @@
-function calculateStat(values, operation) {
+const { isNullValue, parseNumeric } = require('../utils/values');
+const { compileFilters } = require('./filterService');
+const { tTestPValue } = require('../utils/distributions');
+const { profileColumn } = require('./profileService');
+
+// Operations that work on raw column values (any type) rather than parsed numbers
+const RAW_VALUE_OPERATIONS = ['count', 'mode', 'distinct_count', 'null_count', 'describe'];
+
+const DEFAULT_QUANTILES = [25, 50, 75];
+
+function round(value, digits = 2) {
+  return value === null || !isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+// Linear interpolation between closest ranks, matching pandas' default quantile method
+function percentileOf(sortedValues, percentile) {
+  if (percentile < 0 || percentile > 100) {
+    throw new Error(`Percentile must be between 0 and 100, got ${percentile}`);
+  }
+  const position = (sortedValues.length - 1) * (percentile / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+function centralMoment(values, mean, power) {
+  return values.reduce((acc, v) => acc + Math.pow(v - mean, power), 0) / values.length;
+}
+
+function calculateStat(values, operation, options = {}) {
+    const sorted = () => [...values].sort((a, b) => a - b);
+    const mean = () => values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = () => {
+      if (values.length < 2) return null;
+      const m = mean();
+      return values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / (values.length - 1);
+    };
+
     switch (operation) {
       case 'count':
         return values.length;
       case 'mean':
-        return Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(2));
+        return round(mean());
       case 'median':
-        values.sort((a, b) => a - b);
-        const mid = Math.floor(values.length / 2);
-        return Number((values.length % 2 !== 0 ? values[mid] : (values[mid - 1] + values[mid]) / 2).toFixed(2));
+        return round(percentileOf(sorted(), 50));
       case 'sum':
         return Number(values.reduce((a, b) => a + b, 0).toFixed(2));
+      // reduce instead of Math.min(...values), which overflows the stack on large columns
       case 'min':
-        return Number(Math.min(...values).toFixed(2));
+        return Number(values.reduce((a, b) => (b < a ? b : a)).toFixed(2));
       case 'max':
-        return Number(Math.max(...values).toFixed(2));
+        return Number(values.reduce((a, b) => (b > a ? b : a)).toFixed(2));
+      case 'variance':
+        return round(variance(), 4);
+      case 'std':
+        return variance() === null ? null : round(Math.sqrt(variance()), 4);
+      case 'percentile': {
+        if (typeof options.percentile !== 'number') {
+          throw new Error('The "percentile" parameter (0-100) is required for the percentile operation');
+        }
+        return round(percentileOf(sorted(), options.percentile));
+      }
+      case 'quantiles': {
+        const sortedValues = sorted();
+        const percentiles = options.percentiles && options.percentiles.length > 0
+          ? options.percentiles
+          : DEFAULT_QUANTILES;
+        return Object.fromEntries(
+          percentiles.map(p => [`${p}%`, round(percentileOf(sortedValues, p))])
+        );
+      }
+      case 'iqr': {
+        const sortedValues = sorted();
+        return round(percentileOf(sortedValues, 75) - percentileOf(sortedValues, 25));
+      }
+      case 'skewness': {
+        // Adjusted Fisher-Pearson coefficient, as reported by pandas
+        const n = values.length;
+        if (n < 3) return null;
+        const m = mean();
+        const m2 = centralMoment(values, m, 2);
+        if (m2 === 0) return 0;
+        const g1 = centralMoment(values, m, 3) / Math.pow(m2, 1.5);
+        return round(g1 * Math.sqrt(n * (n - 1)) / (n - 2), 3);
+      }
+      case 'kurtosis': {
+        // Sample excess kurtosis (normal distribution = 0), as reported by pandas
+        const n = values.length;
+        if (n < 4) return null;
+        const m = mean();
+        const m2 = centralMoment(values, m, 2);
+        if (m2 === 0) return 0;
+        const g2 = centralMoment(values, m, 4) / Math.pow(m2, 2) - 3;
+        return round(((n + 1) * g2 + 6) * (n - 1) / ((n - 2) * (n - 3)), 3);
+      }
+      case 'mode': {
+        const present = values.filter(v => !isNullValue(v));
+        if (present.length === 0) return null;
+        const counts = new Map();
+        present.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+        let maxCount = 0;
+        counts.forEach(c => { if (c > maxCount) maxCount = c; });
+        const modes = [...counts.entries()].filter(([, c]) => c === maxCount).map(([v]) => v);
+        return modes.length === 1 ? modes[0] : modes;
+      }
+      case 'distinct_count':
+        return new Set(values.filter(v => !isNullValue(v))).size;
+      case 'null_count':
+        return values.filter(isNullValue).length;
+      case 'describe':
+        return describeValues(values);
       default:
         throw new Error(`Invalid operation: ${operation}`);
     }
   }
+
+// Aggregations usable as table columns (one scalar per group)
+const TABLE_OPERATIONS = [
+  'count', 'mean', 'median', 'sum', 'min', 'max', 'std', 'variance', 'percentile',
+  'iqr', 'mode', 'distinct_count', 'null_count', 'skewness', 'kurtosis'
+];
+
+function compareAggregate(left, operator, right) {
+  switch (operator) {
+    case '==': return left == right;
+    case '!=': return left != right;
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    default: throw new Error(`Unsupported having operator "${operator}"`);
+  }
+}
+
+// Groups rows by every field in groupFields, computes each aggregation per group and returns
+// one row per group, e.g. [{ Origin: 'USA', Cylinders: 8, mean_MPG: 14.96, max_MPG: 26.6 }].
+// having filters on output columns, sort accepts one or more { by, order } and limit keeps the top N.
+function aggregateTable(rows, { groupFields, aggregations, having, sort, limit }, statOptions = {}) {
+  const groups = new Map();
+  rows.forEach(item => {
+    const keyValues = groupFields.map(f => item[f]);
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) {
+      groups.set(key, { keyValues, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+
+  // Without group keys the whole (filtered) dataset is a single group
+  if (groupFields.length === 0 && groups.size === 0) {
+    groups.set('[]', { keyValues: [], items: [] });
+  }
+
+  let table = [...groups.values()].map(({ keyValues, items }) => {
+    const row = {};
+    groupFields.forEach((f, i) => { row[f] = keyValues[i]; });
+
+    aggregations.forEach(({ field, op, as }) => {
+      if (!field) {
+        row[as] = items.length;
+        return;
+      }
+      const values = RAW_VALUE_OPERATIONS.includes(op)
+        ? items.map(item => item[field])
+        : items.map(item => parseNumeric(item[field])).filter(v => !isNaN(v));
+      row[as] = values.length === 0 && !RAW_VALUE_OPERATIONS.includes(op)
+        ? null
+        : calculateStat(values, op, statOptions);
+    });
+    return row;
+  });
+
+  if (Array.isArray(having) && having.length > 0) {
+    table = table.filter(row => having.every(({ field, operator, value }) => {
+      if (!(field in row)) {
+        throw new Error(`Having field "${field}" is not an output column. Available: ${Object.keys(row).join(', ')}`);
+      }
+      return row[field] !== null && compareAggregate(row[field], operator, value);
+    }));
+  }
+
+  const sortKeys = sort ? [].concat(sort) : [];
+  if (sortKeys.length > 0) {
+    table.sort((a, b) => {
+      for (const { by, order } of sortKeys) {
+        const direction = order === 'desc' ? -1 : 1;
+        if (a[by] === b[by]) continue;
+        if (a[by] === null || a[by] === undefined) return 1;
+        if (b[by] === null || b[by] === undefined) return -1;
+        return a[by] > b[by] ? direction : -direction;
+      }
+      return 0;
+    });
+  }
+
+  if (Number.isInteger(limit) && limit > 0) {
+    table = table.slice(0, limit);
+  }
+
+  return table;
+}
+
+// pandas-style summary: numeric columns get count/mean/std/quartiles,
+// everything else gets count/unique/top/freq. Both report null_count.
+function describeValues(rawValues) {
+  const present = rawValues.filter(v => !isNullValue(v));
+  const numbers = present.map(parseNumeric);
+  const nullCount = rawValues.length - present.length;
+
+  if (present.length > 0 && numbers.every(v => !isNaN(v))) {
+    const sortedValues = [...numbers].sort((a, b) => a - b);
+    return {
+      count: numbers.length,
+      null_count: nullCount,
+      mean: calculateStat(numbers, 'mean'),
+      std: calculateStat(numbers, 'std'),
+      min: round(sortedValues[0]),
+      '25%': round(percentileOf(sortedValues, 25)),
+      '50%': round(percentileOf(sortedValues, 50)),
+      '75%': round(percentileOf(sortedValues, 75)),
+      max: round(sortedValues[sortedValues.length - 1]),
+    };
+  }
+
+  const counts = new Map();
+  present.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  let top = null;
+  let freq = 0;
+  counts.forEach((count, value) => {
+    if (count > freq) {
+      top = value;
+      freq = count;
+    }
+  });
+
+  return {
+    count: present.length,
+    null_count: nullCount,
+    unique: counts.size,
+    top,
+    freq,
+  };
+}
   
   function calculateCorrelation(x, y) {
     const n = x.length;
@@ -45,19 +268,26 @@ function calculateStat(values, operation) {
     return covXY / Math.sqrt(varX * varY);
   }
 
-  function computeStatistic({ operation, field, field2, groupBy, filters }, dataset) {
+  function computeStatistic({
+    operation, field, field2, groupBy, filters, percentile, percentiles,
+    aggregations, having, sort, limit
+  }, dataset) {
     if (!dataset || dataset.length === 0) {
       return { output: 'Dataset is empty or not loaded.', success: false };
     }
   
     const normalizeFieldName = (name) => name.toLowerCase().replace(/[\s_]/g, '');
     const availableFields = Object.keys(dataset[0]);
+    const resolveField = (name) => availableFields.find(f => normalizeFieldName(f) === normalizeFieldName(String(name)));
+    const statOptions = { percentile, percentiles };
+    const describeAllColumns = operation === 'describe' && (!field || field === '*');
+    const isTableQuery = operation === 'aggregate' || Array.isArray(aggregations) || Array.isArray(groupBy);
     
     // Find the main field for calculation
-    const normalizedSearchField = normalizeFieldName(field);
+    const normalizedSearchField = describeAllColumns ? null : normalizeFieldName(field || '');
     const actualField = availableFields.find(f => normalizeFieldName(f) === normalizedSearchField);
   
-    if (!actualField) {
+    if (!actualField && !describeAllColumns && !(isTableQuery && !field)) {
       return { 
         output: `Field "${field}" not found. Available fields are: ${availableFields.join(', ')}`,
         success: false 
@@ -65,33 +295,86 @@ function calculateStat(values, operation) {
     }
   
     // Apply filters
-    let filteredData = dataset;
-    if (filters && Array.isArray(filters)) {
-      filteredData = filteredData.filter((item) => {
-        return filters.every((filter) => {
-          const { field: filterField, operator, value } = filter;
-          const normalizedFilterField = normalizeFieldName(filterField);
-          const actualFilterField = availableFields.find(f => normalizeFieldName(f) === normalizedFilterField);
-          
-          if (!actualFilterField) return true;
+    let filteredData;
+    try {
+      filteredData = dataset.filter(compileFilters(filters, dataset));
+    } catch (error) {
+      return { output: `Invalid filter: ${error.message}`, success: false };
+    }
   
-          const itemValue = item[actualFilterField];
-          const compareValue = typeof value === 'string' ? value.toLowerCase() : value;
-          const compareItemValue = typeof itemValue === 'string' ? itemValue.toLowerCase() : itemValue;
-          
-          switch (operator) {
-            case '==': return compareItemValue == compareValue;
-            case '!=': return compareItemValue != compareValue;
-            case '>': return parseFloat(itemValue) > parseFloat(value);
-            case '<': return parseFloat(itemValue) < parseFloat(value);
-            case '>=': return parseFloat(itemValue) >= parseFloat(value);
-            case '<=': return parseFloat(itemValue) <= parseFloat(value);
-            default: return true;
-          }
-        });
+    // Summarize every column
+    if (describeAllColumns) {
+      const summary = {};
+      availableFields.forEach(col => {
+        summary[col] = describeValues(filteredData.map(item => item[col]));
       });
+      return {
+        output: summary,
+        success: true,
+        operation: 'describe',
+        totalCount: filteredData.length
+      };
     }
-  
+
+    // Multiple aggregations and/or group keys return a tidy table
+    if (isTableQuery) {
+      const groupNames = groupBy ? [].concat(groupBy) : [];
+      const groupFields = groupNames.map(resolveField);
+      const missingGroup = groupNames.find((name, i) => !groupFields[i]);
+      if (missingGroup !== undefined) {
+        return { output: `GroupBy field "${missingGroup}" not found`, success: false };
+      }
+
+      const requested = Array.isArray(aggregations) && aggregations.length > 0
+        ? aggregations
+        : [{ field: actualField, op: operation === 'aggregate' ? 'count' : operation }];
+
+      const resolvedAggregations = [];
+      for (const aggregation of requested) {
+        const op = aggregation.op || aggregation.operation;
+        const countAll = op === 'count' && (!aggregation.field || aggregation.field === '*');
+        const aggField = countAll ? null : resolveField(aggregation.field || '');
+        if (!aggField && !countAll) {
+          return {
+            output: `Aggregation field "${aggregation.field}" not found. Available fields are: ${availableFields.join(', ')}`,
+            success: false
+          };
+        }
+        if (!TABLE_OPERATIONS.includes(op)) {
+          return {
+            output: `Unsupported aggregation "${op}". Use one of: ${TABLE_OPERATIONS.join(', ')}`,
+            success: false
+          };
+        }
+        resolvedAggregations.push({
+          field: aggField,
+          op,
+          as: aggregation.as || (aggField ? `${op}_${aggField}` : op)
+        });
+      }
+
+      try {
+        const rows = aggregateTable(filteredData, {
+          groupFields,
+          aggregations: resolvedAggregations,
+          having,
+          sort,
+          limit
+        }, statOptions);
+        return {
+          output: rows,
+          success: true,
+          operation: 'aggregate',
+          groupBy: groupFields,
+          aggregations: resolvedAggregations,
+          rowCount: rows.length,
+          totalCount: filteredData.length
+        };
+      } catch (error) {
+        return { output: error.message, success: false };
+      }
+    }
+
     // Handle correlation
     if (operation === 'correlation' && field2) {
       const normalizedSearchField2 = normalizeFieldName(field2);
@@ -108,18 +391,31 @@ function calculateStat(values, operation) {
       const values2 = [];
   
       filteredData.forEach(item => {
-        const val1 = parseFloat(item[actualField]);
-        const val2 = parseFloat(item[actualField2]);
+        const val1 = parseNumeric(item[actualField]);
+        const val2 = parseNumeric(item[actualField2]);
         if (!isNaN(val1) && !isNaN(val2)) {
           values1.push(val1);
           values2.push(val2);
         }
       });
   
+      if (values1.length < 3) {
+        return {
+          output: `At least 3 rows with numeric "${actualField}" and "${actualField2}" are required for correlation, found ${values1.length}.`,
+          success: false
+        };
+      }
+
       const correlation = calculateCorrelation(values1, values2);
+      const n = values1.length;
+      const pValue = Math.abs(correlation) >= 1
+        ? 0
+        : tTestPValue(correlation * Math.sqrt((n - 2) / (1 - correlation * correlation)), n - 2);
       return {
         output: {
           correlation: Number(correlation.toFixed(3)),
+          p_value: Number(pValue.toPrecision(4)),
+          n,
           field1Stats: {
             mean: calculateStat(values1, 'mean'),
             min: calculateStat(values1, 'min'),
@@ -156,11 +452,10 @@ function calculateStat(values, operation) {
           groups[groupValue] = [];
         }
         
-        if (operation === 'count') {
-          groups[groupValue].push(item);
+        if (RAW_VALUE_OPERATIONS.includes(operation)) {
+          groups[groupValue].push(item[actualField]);
         } else {
-          const val = item[actualField];
-          const numericVal = typeof val === 'string' ? parseFloat(val.replace(/[$,]/g, '')) : parseFloat(val);
+          const numericVal = parseNumeric(item[actualField]);
           if (!isNaN(numericVal)) {
             groups[groupValue].push(numericVal);
           }
@@ -168,9 +463,13 @@ function calculateStat(values, operation) {
       });
   
       const results = {};
-      for (const [groupValue, values] of Object.entries(groups)) {
-        if (values.length === 0) continue;
-        results[groupValue] = calculateStat(values, operation);
+      try {
+        for (const [groupValue, values] of Object.entries(groups)) {
+          if (values.length === 0) continue;
+          results[groupValue] = calculateStat(values, operation, statOptions);
+        }
+      } catch (error) {
+        return { output: error.message, success: false };
       }
   
       return {
@@ -183,23 +482,26 @@ function calculateStat(values, operation) {
     }
   
     // Handle regular statistics
-    const values = operation === 'count' ? 
+    const usesRawValues = RAW_VALUE_OPERATIONS.includes(operation);
+    const values = usesRawValues ? 
       filteredData.map(item => item[actualField]) :
       filteredData
-        .map(item => {
-          const val = item[actualField];
-          return typeof val === 'string' ? parseFloat(val.replace(/[$,]/g, '')) : parseFloat(val);
-        })
+        .map(item => parseNumeric(item[actualField]))
         .filter(val => !isNaN(val));
   
     if (values.length === 0) {
       return {
-        output: `No valid ${operation === 'count' ? '' : 'numerical '}data available for field "${actualField}"`,
+        output: `No valid ${usesRawValues ? '' : 'numerical '}data available for field "${actualField}"`,
         success: false
       };
     }
   
-    const result = calculateStat(values, operation);
+    let result;
+    try {
+      result = calculateStat(values, operation, statOptions);
+    } catch (error) {
+      return { output: error.message, success: false };
+    }
     
     return {
       output: result,
@@ -212,7 +514,8 @@ function calculateStat(values, operation) {
   }
 
   // Helper Functions
-function getDatasetInfo(data) {
+  // Columns, Vega-Lite types, a few sample values and a profile per column (see profileService)
+  function getDatasetInfo(data) {
     if (!data || data.length === 0) {
       console.error('getDatasetInfo: Data is empty or undefined');
       return null;
@@ -221,49 +524,23 @@ function getDatasetInfo(data) {
     const columns = Object.keys(data[0]);
     const dataTypes = {};
     const sampleValues = {};
+    const profiles = {};
   
     columns.forEach((col) => {
       const values = data.map((row) => row[col]);
-      dataTypes[col] = inferVegaLiteType(values);
+      profiles[col] = profileColumn(col, values);
+      dataTypes[col] = profiles[col].type;
       sampleValues[col] = values.slice(0, 3);
     });
   
-    return { columns, dataTypes, sampleValues };
-  }
-
-  function inferVegaLiteType(values) {
-    const sampleSize = 30;
-    const spread = Math.floor(values.length / 3);
-    const sampleValues = [
-      ...values.slice(0, sampleSize),
-      ...values.slice(spread, spread + sampleSize),
-      ...values.slice(-sampleSize)
-    ].filter(v => v !== null && v !== undefined);
-  
-    if (sampleValues.length === 0) return 'nominal';
-  
-    const numberValues = sampleValues.map(v => parseFloat(v));
-    if (numberValues.every(v => !isNaN(v))) {
-      return 'quantitative';
-    }
-  
-    const dateValues = sampleValues.map(v => new Date(v));
-    if (dateValues.every(v => !isNaN(v.getTime()))) {
-      return 'temporal';
-    }
-  
-    const uniqueValues = new Set(sampleValues);
-    if (uniqueValues.size <= Math.min(10, sampleValues.length * 0.2)) {
-      return 'ordinal';
-    }
-  
-    return 'nominal';
+    return { columns, rowCount: data.length, dataTypes, sampleValues, profiles };
   }
 
   module.exports = {
     calculateStat,
     calculateCorrelation,
+    describeValues,
+    aggregateTable,
     computeStatistic,
-    getDatasetInfo,
-    inferVegaLiteType
+    getDatasetInfo
   };
\ No newline at end of file
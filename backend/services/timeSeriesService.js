@@ -0,0 +1,272 @@
+const { resolveField, isNullValue, parseNumeric, toDate } = require('../utils/values');
+const { compileFilters } = require('./filterService');
+const { calculateStat } = require('./statsService');
+
+// Time-series tool: buckets a temporal field, aggregates a measure per bucket and adds
+// period-over-period change, a trailing rolling average and a linear trend/forecast.
+// Buckets are computed in UTC and labelled with their start date so they line up with
+// Vega-Lite charts using the matching timeUnit.
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const VEGA_TIME_UNITS = {
+  day: 'yearmonthdate',
+  week: 'yearweek',
+  month: 'yearmonth',
+  quarter: 'yearquarter',
+  year: 'year',
+};
+
+const AGGREGATES = ['sum', 'mean', 'median', 'min', 'max', 'count'];
+const MAX_FORECAST_PERIODS = 24;
+const MAX_BUCKETS = 5000;
+
+const round = (value, digits = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(digits)));
+
+function bucketStart(date, interval) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (interval) {
+    case 'day':
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+    case 'week': {
+      // Weeks start on Sunday, as Vega-Lite's yearweek does
+      const day = new Date(Date.UTC(year, month, date.getUTCDate()));
+      day.setUTCDate(day.getUTCDate() - day.getUTCDay());
+      return day;
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'quarter':
+      return new Date(Date.UTC(year, Math.floor(month / 3) * 3, 1));
+    default:
+      return new Date(Date.UTC(year, 0, 1));
+  }
+}
+
+function nextBucket(start, interval) {
+  const next = new Date(start.getTime());
+  switch (interval) {
+    case 'day': next.setUTCDate(next.getUTCDate() + 1); break;
+    case 'week': next.setUTCDate(next.getUTCDate() + 7); break;
+    case 'month': next.setUTCMonth(next.getUTCMonth() + 1); break;
+    case 'quarter': next.setUTCMonth(next.getUTCMonth() + 3); break;
+    default: next.setUTCFullYear(next.getUTCFullYear() + 1);
+  }
+  return next;
+}
+
+function periodLabel(start, interval) {
+  const iso = start.toISOString().slice(0, 10);
+  switch (interval) {
+    case 'month': return iso.slice(0, 7);
+    case 'quarter': return `${start.getUTCFullYear()}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+    case 'year': return String(start.getUTCFullYear());
+    default: return iso;
+  }
+}
+
+function linearTrend(points) {
+  const present = points.filter(p => p.value !== null);
+  const n = present.length;
+  if (n < 2) return null;
+
+  const meanX = present.reduce((acc, p) => acc + p.index, 0) / n;
+  const meanY = present.reduce((acc, p) => acc + p.value, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  present.forEach(p => {
+    sxy += (p.index - meanX) * (p.value - meanY);
+    sxx += Math.pow(p.index - meanX, 2);
+    syy += Math.pow(p.value - meanY, 2);
+  });
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const rSquared = syy === 0 ? 1 : (sxy * sxy) / (sxx * syy);
+  return { slope, intercept, rSquared };
+}
+
+function buildSeries(rows, { dateField, measureField, aggregate, interval, rollingWindow, forecastPeriods }) {
+  const buckets = new Map();
+  let skipped = 0;
+  rows.forEach(row => {
+    const date = toDate(row[dateField]);
+    if (!date) {
+      skipped++;
+      return;
+    }
+    const key = bucketStart(date, interval).getTime();
+    if (!buckets.has(key)) buckets.set(key, []);
+    if (aggregate === 'count') {
+      buckets.get(key).push(row);
+    } else {
+      const value = parseNumeric(row[measureField]);
+      if (!isNaN(value)) buckets.get(key).push(value);
+    }
+  });
+
+  if (buckets.size === 0) {
+    return { error: `No parsable dates found in "${dateField}".` };
+  }
+
+  // Fill gaps so every period between the first and last appears exactly once
+  const keys = [...buckets.keys()].sort((a, b) => a - b);
+  const emptyValue = aggregate === 'sum' || aggregate === 'count' ? 0 : null;
+  const series = [];
+  for (let start = new Date(keys[0]); start.getTime() <= keys[keys.length - 1]; start = nextBucket(start, interval)) {
+    if (series.length >= MAX_BUCKETS) {
+      return { error: `Too many ${interval} buckets (over ${MAX_BUCKETS}). Use a coarser interval or add filters.` };
+    }
+    const values = buckets.get(start.getTime()) || [];
+    series.push({
+      index: series.length,
+      period: periodLabel(start, interval),
+      periodStart: start.toISOString().slice(0, 10),
+      value: values.length === 0 ? emptyValue : round(calculateStat(values, aggregate)),
+      count: values.length,
+    });
+  }
+
+  series.forEach((point, i) => {
+    const previous = i > 0 ? series[i - 1].value : null;
+    point.change = point.value !== null && previous !== null ? round(point.value - previous) : null;
+    point.pctChange = point.change !== null && previous !== 0 ? round((point.change / Math.abs(previous)) * 100) : null;
+
+    const window = series.slice(Math.max(0, i - rollingWindow + 1), i + 1).map(p => p.value).filter(v => v !== null);
+    point.rollingAvg = i >= rollingWindow - 1 && window.length > 0
+      ? round(window.reduce((a, b) => a + b, 0) / window.length)
+      : null;
+  });
+
+  const trend = linearTrend(series);
+  const forecast = [];
+  if (trend) {
+    series.forEach(point => { point.trend = round(trend.intercept + trend.slope * point.index); });
+
+    let start = new Date(`${series[series.length - 1].periodStart}T00:00:00Z`);
+    for (let i = 1; i <= forecastPeriods; i++) {
+      start = nextBucket(start, interval);
+      const index = series.length - 1 + i;
+      forecast.push({
+        period: periodLabel(start, interval),
+        periodStart: start.toISOString().slice(0, 10),
+        forecast: round(trend.intercept + trend.slope * index),
+      });
+    }
+  }
+
+  const first = series.find(p => p.value !== null);
+  const last = [...series].reverse().find(p => p.value !== null);
+  return {
+    series: series.map(({ index, ...point }) => point),
+    trend: trend && {
+      slopePerPeriod: round(trend.slope, 4),
+      rSquared: round(trend.rSquared, 3),
+      direction: Math.abs(trend.slope) < 1e-9 ? 'flat' : trend.slope > 0 ? 'increasing' : 'decreasing',
+    },
+    overallChange: first && last && first !== last
+      ? {
+          from: first.period,
+          to: last.period,
+          change: round(last.value - first.value),
+          pctChange: first.value !== 0 ? round(((last.value - first.value) / Math.abs(first.value)) * 100) : null,
+        }
+      : null,
+    forecast,
+    skippedRows: skipped,
+  };
+}
+
+function timeSeries({
+  dateField, measure, aggregate = 'sum', interval = 'month', groupBy,
+  rollingWindow = 3, forecastPeriods = 0, filters
+}, dataset) {
+  if (!dataset || dataset.length === 0) {
+    return { output: 'Dataset is empty or not loaded.', success: false };
+  }
+  if (!INTERVALS.includes(interval)) {
+    return { output: `Invalid interval "${interval}". Use one of: ${INTERVALS.join(', ')}`, success: false };
+  }
+  if (!AGGREGATES.includes(aggregate)) {
+    return { output: `Invalid aggregate "${aggregate}". Use one of: ${AGGREGATES.join(', ')}`, success: false };
+  }
+
+  const availableFields = Object.keys(dataset[0]);
+  const actualDateField = resolveField(availableFields, dateField);
+  const actualMeasure = aggregate === 'count' && !measure ? null : resolveField(availableFields, measure);
+  const actualGroupBy = groupBy ? resolveField(availableFields, groupBy) : null;
+  const missing = [
+    [dateField, actualDateField],
+    ...(aggregate === 'count' && !measure ? [] : [[measure, actualMeasure]]),
+    ...(groupBy ? [[groupBy, actualGroupBy]] : [])
+  ].find(([, resolved]) => !resolved);
+  if (missing) {
+    return { output: `Field "${missing[0]}" not found. Available fields are: ${availableFields.join(', ')}`, success: false };
+  }
+
+  let rows;
+  try {
+    rows = dataset.filter(compileFilters(filters, dataset));
+  } catch (error) {
+    return { output: `Invalid filter: ${error.message}`, success: false };
+  }
+
+  const options = {
+    dateField: actualDateField,
+    measureField: actualMeasure,
+    aggregate,
+    interval,
+    rollingWindow: Math.max(1, parseInt(rollingWindow, 10) || 3),
+    forecastPeriods: Math.min(MAX_FORECAST_PERIODS, Math.max(0, parseInt(forecastPeriods, 10) || 0)),
+  };
+
+  const meta = {
+    dateField: actualDateField,
+    measure: actualMeasure,
+    aggregate,
+    interval,
+    chartHint: { field: actualDateField, timeUnit: VEGA_TIME_UNITS[interval], type: 'temporal' },
+  };
+
+  if (!actualGroupBy) {
+    const result = buildSeries(rows, options);
+    if (result.error) return { output: result.error, success: false };
+    return { output: { ...meta, ...result }, success: true, operation: 'time_series' };
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row[actualGroupBy];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  // Groups whose series cannot be built are listed with the reason instead of being left out silently
+  const groupResults = [];
+  const skippedGroups = [];
+  for (const [group, groupRows] of groups) {
+    const result = buildSeries(groupRows, options);
+    if (result.error) skippedGroups.push({ group, reason: result.error });
+    else groupResults.push({ group, ...result });
+  }
+  if (groupResults.length === 0) {
+    const reasons = [...new Set(skippedGroups.map(skipped => skipped.reason))];
+    return { output: `No group produced a series: ${reasons.join(' ')}`, success: false };
+  }
+
+  return {
+    output: {
+      ...meta,
+      groupBy: actualGroupBy,
+      groups: groupResults,
+      ...(skippedGroups.length > 0 && { skippedGroups })
+    },
+    success: true,
+    operation: 'time_series'
+  };
+}
+
+module.exports = {
+  timeSeries,
+  INTERVALS
+};
@@ -0,0 +1,267 @@
+const { resolveField, isNullValue, parseNumeric } = require('../utils/values');
+const { compileExpression } = require('../utils/expression');
+const { compileFilters } = require('./filterService');
+const { calculateStat, getDatasetInfo } = require('./statsService');
+const { getDataset } = require('./datasetService');
+
+// Transform tool: derives new columns with the expression language in utils/expression.js
+// and reshapes the working dataset (pivot, melt, join on a key). The result replaces the
+// dataset for the rest of the request, so later tool calls and charts can use new columns.
+const TRANSFORM_OPERATIONS = ['derive', 'filter', 'pivot', 'melt', 'join'];
+const PIVOT_AGGREGATES = ['sum', 'mean', 'median', 'min', 'max', 'count'];
+
+const MAX_DERIVED_COLUMNS = 20;
+const MAX_PIVOT_COLUMNS = 100;
+const MAX_RESULT_ROWS = 200000;
+const PREVIEW_ROWS = 5;
+// Assigning these on a row object would change its prototype instead of adding a column
+const RESERVED_COLUMN_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+const fail = (message) => ({ output: message, success: false });
+
+// Every operation that names output columns checks them, so no column silently disappears
+function checkColumnName(name, hint) {
+  if (RESERVED_COLUMN_NAMES.includes(name)) {
+    throw new Error(`Column name "${name}" is reserved. ${hint}`);
+  }
+}
+
+function availableFieldsOf(dataset) {
+  return dataset.length > 0 ? Object.keys(dataset[0]) : [];
+}
+
+function resolveFields(availableFields, names) {
+  const fields = [].concat(names || []);
+  const resolved = fields.map(name => resolveField(availableFields, name));
+  const missing = fields.find((name, i) => !resolved[i]);
+  if (missing !== undefined) {
+    throw new Error(`Field "${missing}" not found. Available fields are: ${availableFields.join(', ')}`);
+  }
+  return resolved;
+}
+
+// Each column may use the columns derived before it in the same call
+function deriveColumns(dataset, columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw new Error('derive expects "columns": [{ "name": "...", "expression": "..." }]');
+  }
+  if (columns.length > MAX_DERIVED_COLUMNS) {
+    throw new Error(`At most ${MAX_DERIVED_COLUMNS} columns can be derived in one call`);
+  }
+
+  const availableFields = availableFieldsOf(dataset);
+  const compiled = columns.map(({ name, expression }) => {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Every derived column needs a "name"');
+    }
+    checkColumnName(name, 'Choose another name');
+    if (availableFields.includes(name)) {
+      throw new Error(`Column "${name}" already exists. Choose a new name`);
+    }
+    let evaluator;
+    try {
+      evaluator = compileExpression(expression, availableFields);
+    } catch (error) {
+      throw new Error(`Column "${name}": ${error.message}`);
+    }
+    availableFields.push(name);
+    return { name, evaluate: evaluator.evaluate };
+  });
+
+  return dataset.map((row, index) => {
+    const derived = { ...row };
+    compiled.forEach(({ name, evaluate }) => {
+      try {
+        derived[name] = evaluate(derived);
+      } catch (error) {
+        throw new Error(`Column "${name}" failed on row ${index + 1}: ${error.message}`);
+      }
+    });
+    return derived;
+  });
+}
+
+function pivotRows(dataset, { index, pivotColumn, valueField, aggregate = valueField ? 'sum' : 'count' }) {
+  const availableFields = availableFieldsOf(dataset);
+  if (!index || !pivotColumn) {
+    throw new Error('pivot expects "index" (field or fields) and "pivotColumn"');
+  }
+  if (!PIVOT_AGGREGATES.includes(aggregate)) {
+    throw new Error(`Invalid pivot aggregate "${aggregate}". Use one of: ${PIVOT_AGGREGATES.join(', ')}`);
+  }
+  const indexFields = resolveFields(availableFields, index);
+  const [columnField] = resolveFields(availableFields, pivotColumn);
+  const [measureField] = aggregate === 'count' && !valueField ? [null] : resolveFields(availableFields, valueField);
+  if (!measureField && aggregate !== 'count') {
+    throw new Error(`pivot with aggregate "${aggregate}" needs a "valueField"`);
+  }
+
+  const pivotValues = [];
+  const groups = new Map();
+  dataset.forEach(row => {
+    const pivotValue = isNullValue(row[columnField]) ? 'null' : String(row[columnField]);
+    if (!pivotValues.includes(pivotValue)) {
+      checkColumnName(pivotValue, `Filter out or rename that value of "${columnField}" before pivoting`);
+      if (pivotValues.length >= MAX_PIVOT_COLUMNS) {
+        throw new Error(`"${columnField}" has more than ${MAX_PIVOT_COLUMNS} distinct values; pivot a column with fewer categories`);
+      }
+      pivotValues.push(pivotValue);
+    }
+
+    const key = JSON.stringify(indexFields.map(field => row[field]));
+    if (!groups.has(key)) groups.set(key, { row, cells: new Map() });
+    const cells = groups.get(key).cells;
+    if (!cells.has(pivotValue)) cells.set(pivotValue, []);
+    cells.get(pivotValue).push(measureField ? row[measureField] : 1);
+  });
+
+  return Array.from(groups.values()).map(({ row, cells }) => {
+    const pivoted = {};
+    indexFields.forEach(field => { pivoted[field] = row[field]; });
+    pivotValues.forEach(pivotValue => {
+      const values = cells.get(pivotValue);
+      if (!values) {
+        pivoted[pivotValue] = aggregate === 'count' ? 0 : null;
+      } else if (aggregate === 'count') {
+        pivoted[pivotValue] = values.length;
+      } else {
+        const numbers = values.map(parseNumeric).filter(value => !isNaN(value));
+        pivoted[pivotValue] = numbers.length > 0 ? calculateStat(numbers, aggregate) : null;
+      }
+    });
+    return pivoted;
+  });
+}
+
+function meltRows(dataset, { idFields, valueFields, varName = 'variable', valueName = 'value' }) {
+  const availableFields = availableFieldsOf(dataset);
+  const ids = resolveFields(availableFields, idFields);
+  const melted = valueFields
+    ? resolveFields(availableFields, valueFields)
+    : availableFields.filter(field => !ids.includes(field));
+  if (melted.length === 0) {
+    throw new Error('melt needs at least one value field');
+  }
+  checkColumnName(varName, 'Set another varName');
+  checkColumnName(valueName, 'Set another valueName');
+  if (ids.includes(varName) || ids.includes(valueName)) {
+    throw new Error(`"${varName}"/"${valueName}" clash with an id field; set varName and valueName`);
+  }
+  if (dataset.length * melted.length > MAX_RESULT_ROWS) {
+    throw new Error(`melt would produce more than ${MAX_RESULT_ROWS} rows`);
+  }
+
+  const rows = [];
+  dataset.forEach(row => {
+    melted.forEach(field => {
+      const meltedRow = {};
+      ids.forEach(id => { meltedRow[id] = row[id]; });
+      meltedRow[varName] = field;
+      meltedRow[valueName] = row[field];
+      rows.push(meltedRow);
+    });
+  });
+  return rows;
+}
+
+// Joins another uploaded dataset on a key; colliding column names get a suffix
+function joinRows(dataset, { datasetId, on, how = 'left', fields, suffix = '_right' }) {
+  if (!datasetId) {
+    throw new Error('join expects "datasetId" of another uploaded dataset');
+  }
+  if (!['inner', 'left'].includes(how)) {
+    throw new Error('join "how" must be "inner" or "left"');
+  }
+  const other = getDataset(datasetId);
+  if (!other) {
+    throw new Error(`Dataset "${datasetId}" not found or expired`);
+  }
+
+  const keys = typeof on === 'object' && on !== null ? on : { left: on, right: on };
+  const [leftKey] = resolveFields(availableFieldsOf(dataset), keys.left);
+  const otherFields = availableFieldsOf(other.data);
+  const [rightKey] = resolveFields(otherFields, keys.right);
+  const joinedFields = fields
+    ? resolveFields(otherFields, fields)
+    : otherFields.filter(field => field !== rightKey);
+
+  const leftFields = availableFieldsOf(dataset);
+  const outputName = (field) => (leftFields.includes(field) ? `${field}${suffix}` : field);
+  joinedFields.forEach(field => checkColumnName(outputName(field), 'Leave it out of "fields" or set another "suffix"'));
+
+  const lookup = new Map();
+  other.data.forEach(row => {
+    const key = String(row[rightKey]);
+    if (!lookup.has(key)) lookup.set(key, []);
+    lookup.get(key).push(row);
+  });
+
+  const rows = [];
+  dataset.forEach(row => {
+    const matches = isNullValue(row[leftKey]) ? [] : lookup.get(String(row[leftKey])) || [];
+    if (matches.length === 0 && how === 'left') {
+      const joined = { ...row };
+      joinedFields.forEach(field => { joined[outputName(field)] = null; });
+      rows.push(joined);
+    }
+    matches.forEach(match => {
+      const joined = { ...row };
+      joinedFields.forEach(field => { joined[outputName(field)] = match[field]; });
+      rows.push(joined);
+    });
+    if (rows.length > MAX_RESULT_ROWS) {
+      throw new Error(`join would produce more than ${MAX_RESULT_ROWS} rows; check that "${rightKey}" is a unique key`);
+    }
+  });
+  return rows;
+}
+
+// Returns the transformed rows in data, and a summary (columns, types, preview) in output
+function transformData(args, dataset) {
+  const { operation, filters } = args;
+  if (!TRANSFORM_OPERATIONS.includes(operation)) {
+    return fail(`Invalid operation "${operation}". Use one of: ${TRANSFORM_OPERATIONS.join(', ')}`);
+  }
+  if (!dataset || dataset.length === 0) {
+    return fail('The working dataset is empty.');
+  }
+
+  let data;
+  try {
+    const rows = filters ? dataset.filter(compileFilters(filters, dataset)) : dataset;
+    if (operation === 'derive') data = deriveColumns(rows, args.columns);
+    else if (operation === 'filter') data = rows;
+    else if (operation === 'pivot') data = pivotRows(rows, args);
+    else if (operation === 'melt') data = meltRows(rows, args);
+    else data = joinRows(rows, args);
+  } catch (error) {
+    return fail(`transform_data ${operation} failed: ${error.message}`);
+  }
+
+  if (data.length === 0) {
+    return fail(`transform_data ${operation} produced no rows; the working dataset was left unchanged.`);
+  }
+
+  const previousFields = availableFieldsOf(dataset);
+  const info = getDatasetInfo(data);
+  return {
+    success: true,
+    operation: 'transform_data',
+    data,
+    info,
+    output: {
+      operation,
+      rowCount: data.length,
+      addedColumns: info.columns.filter(field => !previousFields.includes(field)),
+      removedColumns: previousFields.filter(field => !info.columns.includes(field)),
+      dataTypes: info.dataTypes,
+      preview: data.slice(0, PREVIEW_ROWS)
+    }
+  };
+}
+
+module.exports = {
+  transformData,
+  TRANSFORM_OPERATIONS,
+  PIVOT_AGGREGATES
+};
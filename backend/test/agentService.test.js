@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// runAgent takes callLLMWithRetry when it is loaded, so the scripted model is installed first
+const openaiConfig = require('../config/openai');
+const scripted = [];
+openaiConfig.callLLMWithRetry = async () => ({ choices: [{ message: scripted.shift() }] });
+const { runAgent } = require('../services/agentService');
+const { getDatasetInfo } = require('../services/statsService');
+
+const dataset = [
+  { Origin: 'USA', Horsepower: 130 },
+  { Origin: 'Japan', Horsepower: 95 },
+  { Origin: 'Europe', Horsepower: 46 },
+];
+
+const toolRound = (index) => ({
+  role: 'assistant',
+  content: null,
+  tool_calls: [{
+    id: `call_${index}`,
+    type: 'function',
+    function: { name: 'compute_statistic', arguments: JSON.stringify({ operation: 'mean', field: 'Horsepower' }) },
+  }],
+});
+
+const answer = (field) => ({
+  role: 'assistant',
+  content: JSON.stringify({
+    chartSpec: { mark: 'bar', encoding: { x: { field, type: 'nominal' }, y: { aggregate: 'count', type: 'quantitative' } } },
+    description: 'Cars by origin',
+  }),
+});
+
+test('a chart repair gets its own tool-call budget', async () => {
+  scripted.push(
+    toolRound(1), toolRound(2), toolRound(3), toolRound(4), toolRound(5),
+    answer('Country'),
+    toolRound(6), toolRound(7),
+    answer('Origin')
+  );
+
+  const { response } = await runAgent({
+    userQuery: 'cars by origin',
+    dataset,
+    datasetInfo: getDatasetInfo(dataset),
+  });
+
+  assert.equal(scripted.length, 0);
+  assert.equal(response.chartSpec.encoding.x.field, 'Origin');
+  assert.equal(response.metadata.repairs.length, 1);
+  assert.equal(response.metadata.repairs[0].type, 'chart');
+});
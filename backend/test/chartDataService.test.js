@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prepareChartData, withChartSource } = require('../services/chartDataService');
+
+const rows = [
+  { Origin: 'USA', Horsepower: 150 },
+  { Origin: 'USA', Horsepower: 110 },
+  { Origin: 'Japan', Horsepower: 95 },
+];
+
+const spec = {
+  mark: 'bar',
+  encoding: {
+    x: { field: 'Origin', type: 'nominal' },
+    y: { field: 'Horsepower', aggregate: 'max', type: 'quantitative' },
+  },
+};
+
+test('prepareChartData aggregates the rows it is given', () => {
+  const prepared = prepareChartData(spec, rows);
+  assert.deepEqual(prepared.data.values, [
+    { Origin: 'USA', max_Horsepower: 150 },
+    { Origin: 'Japan', max_Horsepower: 95 },
+  ]);
+  assert.equal(prepared.usermeta.chartData.totalRows, 3);
+});
+
+const info = { columns: ['Origin', 'Horsepower'], dataTypes: { Origin: 'nominal', Horsepower: 'quantitative' } };
+
+test('withChartSource records the data source and field types next to the chart data summary', () => {
+  const chart = withChartSource(prepareChartData(spec, rows), { conversationId: 'c1', workingDataId: 'w1' }, info);
+  assert.deepEqual(chart.usermeta.chartData, {
+    method: 'aggregated',
+    rowCount: 2,
+    totalRows: 3,
+    conversationId: 'c1',
+    workingDataId: 'w1',
+    fields: { Origin: 'nominal', Horsepower: 'quantitative' },
+  });
+  assert.deepEqual(chart.usermeta.source.encoding, spec.encoding);
+});
+
+test('withChartSource works on charts without usermeta', () => {
+  assert.deepEqual(withChartSource({ mark: 'bar' }, { clientData: true }, info).usermeta.chartData.clientData, true);
+});
+
+test('chart filters with unsafe regexes are left to the client instead of run on the server', () => {
+  const text = [{ s: `${'a'.repeat(30)}!` }];
+  const started = Date.now();
+  const prepared = prepareChartData({
+    mark: 'point',
+    transform: [{ filter: "test(regexp('(a+)+$'), datum.s)" }],
+    encoding: { x: { field: 's', type: 'nominal' } },
+  }, text);
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(prepared.transform, [{ filter: "test(regexp('(a+)+$'), datum.s)" }]);
+});
+
+const manyRows = Array.from({ length: 3000 }, (_, i) => ({ group: i < 2900 ? 'big' : 'small', value: i }));
+
+test('layered charts that aggregate get every row instead of a sample', () => {
+  const prepared = prepareChartData({
+    layer: [
+      { mark: 'bar', encoding: { x: { field: 'group', type: 'nominal' }, y: { aggregate: 'count', type: 'quantitative' } } },
+      { mark: 'rule', encoding: { y: { field: 'value', aggregate: 'mean', type: 'quantitative' } } },
+    ],
+  }, manyRows);
+  assert.equal(prepared.data.values.length, 3000);
+  assert.equal(prepared.usermeta.chartData.method, 'all');
+});
+
+test('charts with aggregate or window transforms left to the client are not sampled', () => {
+  const prepared = prepareChartData({
+    mark: 'bar',
+    transform: [{ window: [{ op: 'rank', as: 'rank' }] }],
+    encoding: { x: { field: 'rank', type: 'quantitative' }, y: { field: 'value', type: 'quantitative' } },
+  }, manyRows);
+  assert.equal(prepared.data.values.length, 3000);
+});
+
+test('raw-point charts are still sampled', () => {
+  const prepared = prepareChartData({
+    mark: 'point',
+    encoding: { x: { field: 'value', type: 'quantitative' }, y: { field: 'value', type: 'quantitative' } },
+  }, manyRows);
+  assert.equal(prepared.data.values.length, 1000);
+  assert.match(prepared.title.subtitle, /Sample of 1,000 of 3,000 rows/);
+});
+
+test('pre-aggregated charts keep only the largest groups beyond the group limit', () => {
+  const rows = [...manyRows.slice(0, 10), { group: 'a' }, { group: 'b' }, { group: 'b' }, { group: 'c' }];
+  const prepared = prepareChartData({
+    mark: 'bar',
+    encoding: { x: { field: 'group', type: 'nominal' }, y: { aggregate: 'count', type: 'quantitative' } },
+  }, rows, { maxGroups: 2 });
+  assert.deepEqual(prepared.data.values, [{ group: 'big', count: 10 }, { group: 'b', count: 2 }]);
+  assert.match(prepared.title.subtitle, /Largest 2 of 4 groups/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateVegaSpec, MARKS, AGGREGATES } = require('../services/chartService');
+
+const datasetInfo = {
+  columns: ['Name', 'Origin', 'Horsepower', 'Year'],
+  dataTypes: { Name: 'nominal', Origin: 'nominal', Horsepower: 'quantitative', Year: 'temporal' },
+};
+
+test('every mark builds a Vega-Lite spec with tooltips and empty inline data', () => {
+  MARKS.forEach((mark) => {
+    const params = mark === 'arc'
+      ? { mark, theta: { aggregate: 'count' }, color: { field: 'Origin' } }
+      : { mark, x: { field: 'Year' }, y: { field: 'Horsepower' } };
+    const result = generateVegaSpec(params, datasetInfo);
+    assert.equal(result.success, true, mark);
+    assert.equal(result.chartSpec.$schema, 'https://vega.github.io/schema/vega-lite/v5.json');
+    assert.deepEqual(result.chartSpec.mark, { type: mark, tooltip: true });
+    assert.deepEqual(result.chartSpec.data, { values: [] });
+    assert.equal(result.chartSpec.transform, undefined);
+  });
+});
+
+test('channels resolve fields loosely and take their type from the dataset', () => {
+  const { chartSpec } = generateVegaSpec({
+    mark: 'point',
+    x: 'horse_power',
+    y: { field: 'year' },
+    color: { field: 'ORIGIN', scheme: 'tableau10' },
+    shape: { field: 'Origin', scheme: 'tableau10' },
+  }, datasetInfo);
+  assert.deepEqual(chartSpec.encoding, {
+    x: { field: 'Horsepower', type: 'quantitative', title: 'Horsepower' },
+    y: { field: 'Year', type: 'temporal', title: 'Year' },
+    color: { field: 'Origin', type: 'nominal', title: 'Origin', scale: { scheme: 'tableau10' } },
+    // Schemes only apply to color channels
+    shape: { field: 'Origin', type: 'nominal', title: 'Origin' },
+  });
+  assert.equal(chartSpec.title, 'Point chart of Year by Horsepower colored by Origin');
+});
+
+test('aggregates, time units and bins set the encoding type', () => {
+  const { chartSpec, description } = generateVegaSpec({
+    mark: 'line',
+    x: { field: 'Year', timeUnit: 'yearmonth' },
+    y: { field: 'Horsepower', aggregate: 'average' },
+    color: { field: 'Name', aggregate: 'distinct' },
+    size: { field: 'Horsepower', bin: { maxbins: 20 } },
+    opacity: { field: 'Horsepower', bin: true, type: 'ordinal' },
+  }, datasetInfo);
+  assert.deepEqual(chartSpec.encoding.x, { field: 'Year', timeUnit: 'yearmonth', type: 'temporal', title: 'Year' });
+  assert.deepEqual(chartSpec.encoding.y, { field: 'Horsepower', aggregate: 'mean', type: 'quantitative', title: 'Mean of Horsepower' });
+  // distinct counts keep the column's own type
+  assert.deepEqual(chartSpec.encoding.color, { field: 'Name', aggregate: 'distinct', type: 'nominal', title: 'Distinct of Name' });
+  assert.deepEqual(chartSpec.encoding.size, { field: 'Horsepower', bin: { maxbins: 20 }, type: 'quantitative', title: 'Horsepower' });
+  assert.deepEqual(chartSpec.encoding.opacity, { field: 'Horsepower', bin: true, type: 'ordinal', title: 'Horsepower' });
+  assert.equal(description, 'A line chart of Mean of Horsepower by Year colored by Distinct of Name');
+});
+
+test('count needs no field, and sort, stack, facet columns and titles carry over', () => {
+  const { chartSpec } = generateVegaSpec({
+    mark: 'bar',
+    x: { field: 'Origin', sort: '-y', title: 'Region' },
+    y: { aggregate: 'count', stack: 'normalize' },
+    facet: { field: 'Year', timeUnit: 'year', columns: 3 },
+    title: 'Cars per region',
+    description: 'Counts by region',
+  }, datasetInfo);
+  assert.deepEqual(chartSpec.encoding, {
+    x: { field: 'Origin', type: 'nominal', title: 'Region', sort: '-y' },
+    y: { aggregate: 'count', type: 'quantitative', title: 'Count', stack: 'normalize' },
+    facet: { field: 'Year', timeUnit: 'year', type: 'temporal', title: 'Year', columns: 3 },
+  });
+  assert.equal(chartSpec.title, 'Cars per region');
+  assert.equal(generateVegaSpec({ mark: 'bar', x: 'Origin', description: 'Counts by region' }, datasetInfo).description, 'Counts by region');
+});
+
+test('filters become Vega-Lite predicates, with time comparisons on temporal fields', () => {
+  const { chartSpec } = generateVegaSpec({
+    mark: 'bar',
+    x: { field: 'Origin' },
+    y: { aggregate: 'count' },
+    filters: [
+      { field: 'horsepower', operator: '>', value: 100 },
+      { field: 'Year', operator: '>=', value: '1975-01-01' },
+      { any: [{ field: 'Origin', operator: 'in', value: ['USA', 'Japan'] }, { field: 'Name', operator: 'is null' }] },
+    ],
+  }, datasetInfo);
+  assert.deepEqual(chartSpec.transform, [
+    { filter: { field: 'Horsepower', gt: 100 } },
+    { filter: 'time(toDate(datum["Year"])) >= time(toDate("1975-01-01"))' },
+    { filter: { or: [{ field: 'Origin', oneOf: ['USA', 'Japan'] }, { not: { field: 'Name', valid: true } }] } },
+  ]);
+});
+
+test('invalid parameters are all reported together', () => {
+  const result = generateVegaSpec({
+    mark: 'pie',
+    x: { field: 'Torque' },
+    y: { field: 'Horsepower', aggregate: 'total', type: 'number' },
+    color: { field: 'Year', timeUnit: 'decade', sort: 'alphabetical' },
+    size: { aggregate: 'mean' },
+    filters: [{ field: 'Origin', operator: 'like', value: 'US' }],
+  }, datasetInfo);
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Invalid chart parameters');
+  assert.deepEqual(result.details, [
+    'Invalid mark "pie". Use one of: bar, line, point, circle, square, area, tick, rect, arc, boxplot, text, rule',
+    'Channel "x" references unknown field "Torque". Available fields are: Name, Origin, Horsepower, Year',
+    `Channel "y" has unknown aggregate "total". Use one of: ${AGGREGATES.join(', ')}`,
+    'Channel "y" has invalid type "number". Use one of: quantitative, nominal, ordinal, temporal',
+    'Channel "color" has unknown timeUnit "decade". Use one of: year, yearquarter, yearmonth, yearmonthdate, yearweek, quarter, month, week, date, day, hours, yearmonthdatehours',
+    'Channel "color" has invalid sort "alphabetical". Use one of: ascending, descending, x, -x, y, -y, color, -color',
+    'Channel "size" needs a field (only the "count" aggregate can omit it)',
+    'Filter on "Origin" uses unknown operator "like"',
+  ]);
+});
+
+test('arc needs theta, other marks need x or y, and dataset info is required', () => {
+  assert.deepEqual(generateVegaSpec({ mark: 'arc', color: 'Origin' }, datasetInfo).details, ['Mark "arc" (pie/donut) requires a theta channel']);
+  assert.deepEqual(generateVegaSpec({ mark: 'bar', color: 'Origin' }, datasetInfo).details, ['At least one of the x or y channels is required']);
+  assert.equal(generateVegaSpec({ mark: 'bar', x: 'Origin' }, null).success, false);
+});
+
+test('regex filters become regexp predicates', () => {
+  const result = generateVegaSpec({
+    mark: 'bar',
+    x: { field: 'Origin' },
+    y: { aggregate: 'count' },
+    filters: [{ field: 'Name', operator: 'regex', value: '^ford' }],
+  }, datasetInfo);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.chartSpec.transform, [{ filter: "test(regexp(\"^ford\", 'i'), datum[\"Name\"] + '')" }]);
+});
+
+test('regex filters that could backtrack catastrophically are rejected', () => {
+  ['(a+)+$', '.*.*c', '('].forEach((value) => {
+    const result = generateVegaSpec({
+      mark: 'bar',
+      x: { field: 'Origin' },
+      y: { aggregate: 'count' },
+      filters: [{ field: 'Name', operator: 'regex', value }],
+    }, datasetInfo);
+    assert.equal(result.success, false, value);
+    assert.match(result.details[0], /unsupported regex/, value);
+  });
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  saveChartData,
+  getChartData,
+  deleteChartData,
+  MAX_CHARTS_PER_CONVERSATION,
+  MAX_CHART_DATA_ROWS,
+} = require('../services/chartWorkingDataService');
+const { createDataset, getDataset } = require('../services/datasetService');
+
+const info = { columns: ['a'], dataTypes: { a: 'quantitative' } };
+
+test('working data is kept per conversation and shared by charts over the same rows', () => {
+  const rows = [{ a: 1 }];
+  const id = saveChartData('conversation-1', rows, info);
+  assert.equal(saveChartData('conversation-1', rows, info), id);
+  assert.equal(getChartData('conversation-1', id).data, rows);
+  assert.equal(getChartData('conversation-2', id), null);
+});
+
+test('only the latest charts of a conversation keep their data', () => {
+  const ids = Array.from({ length: MAX_CHARTS_PER_CONVERSATION + 1 }, (_, i) => saveChartData('conversation-3', [{ a: i }], info));
+  assert.equal(getChartData('conversation-3', ids[0]), null);
+  assert.deepEqual(getChartData('conversation-3', ids[ids.length - 1]).data, [{ a: MAX_CHARTS_PER_CONVERSATION }]);
+  deleteChartData('conversation-3');
+  assert.equal(getChartData('conversation-3', ids[ids.length - 1]), null);
+});
+
+test('working data without a conversation or above the row limit is not kept', () => {
+  assert.equal(saveChartData(null, [{ a: 1 }], info), null);
+  assert.equal(saveChartData('conversation-4', new Array(MAX_CHART_DATA_ROWS + 1), info), null);
+});
+
+test('saving working data never evicts uploaded datasets', () => {
+  const upload = createDataset([{ a: 1 }], { name: 'upload' });
+  for (let i = 0; i < 100; i++) saveChartData(`busy-${i}`, [{ a: i }], info);
+  assert.ok(getDataset(upload.id));
+});
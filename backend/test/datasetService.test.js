@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { autoType, parseCsv } = require('../services/datasetService');
+
+test('autoType converts plain decimal numbers', () => {
+  assert.equal(autoType('42'), 42);
+  assert.equal(autoType(' -3.5 '), -3.5);
+  assert.equal(autoType('+7'), 7);
+  assert.equal(autoType('.5'), 0.5);
+  assert.equal(autoType('1e3'), 1000);
+});
+
+test('autoType keeps hex, Infinity and partial numbers as text', () => {
+  assert.equal(autoType('0x1A'), '0x1A');
+  assert.equal(autoType('Infinity'), 'Infinity');
+  assert.equal(autoType('-Infinity'), '-Infinity');
+  assert.equal(autoType('0b101'), '0b101');
+  assert.equal(autoType('123abc'), '123abc');
+  assert.equal(autoType('1,234'), '1,234');
+});
+
+test('autoType maps empty cells to null, not 0', () => {
+  assert.equal(autoType(''), null);
+  assert.equal(autoType('   '), null);
+});
+
+test('autoType handles booleans and NaN like d3-dsv', () => {
+  assert.equal(autoType('true'), true);
+  assert.equal(autoType('false'), false);
+  assert.ok(Number.isNaN(autoType('NaN')));
+});
+
+test('parseCsv types cells per value', () => {
+  const rows = parseCsv('id,code,amount\n1,0x1A,\n2,Infinity,3.25\n');
+  assert.deepEqual(rows, [
+    { id: 1, code: '0x1A', amount: null },
+    { id: 2, code: 'Infinity', amount: 3.25 },
+  ]);
+});
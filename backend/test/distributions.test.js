@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  logGamma,
+  incompleteBeta,
+  tTestPValue,
+  fTestPValue,
+  chiSquarePValue,
+  normalPValue,
+} = require('../utils/distributions');
+
+const close = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+test('logGamma and the regularized incomplete beta match closed forms', () => {
+  close(logGamma(5), Math.log(24), 1e-10, 'ln Γ(5)');
+  close(logGamma(0.5), Math.log(Math.sqrt(Math.PI)), 1e-10, 'ln Γ(0.5)');
+  close(incompleteBeta(0.5, 2, 2), 0.5, 1e-10, 'I(0.5; 2, 2)');
+  close(incompleteBeta(0.3, 1, 1), 0.3, 1e-10, 'I(0.3; 1, 1)');
+});
+
+test('two-sided t p-values match reference tables', () => {
+  close(tTestPValue(2, 10), 0.0734, 1e-4, 't=2, df=10');
+  close(tTestPValue(-2, 10), 0.0734, 1e-4, 't=-2, df=10');
+  close(tTestPValue(2.228, 10), 0.05, 1e-4, 't=2.228, df=10');
+  close(tTestPValue(2.306, 8), 0.05, 1e-4, 't=2.306, df=8');
+  close(tTestPValue(0, 5), 1, 1e-12, 't=0');
+});
+
+test('F p-values match reference values', () => {
+  // For df1 = 2 the upper tail is (1 + 2F/df2)^(-df2/2)
+  close(fTestPValue(12, 2, 6), 0.008, 1e-6, 'F=12, df=(2, 6)');
+  close(fTestPValue(4.965, 1, 10), 0.05, 1e-4, 'F=4.965, df=(1, 10)');
+});
+
+test('chi-square and normal p-values match reference values', () => {
+  close(chiSquarePValue(6, 2), Math.exp(-3), 1e-8, 'chi2=6, df=2');
+  close(chiSquarePValue(3.841, 1), 0.05, 1e-4, 'chi2=3.841, df=1');
+  close(chiSquarePValue(11.07, 5), 0.05, 1e-4, 'chi2=11.07, df=5');
+  close(normalPValue(1.959964), 0.05, 1e-6, 'z=1.96');
+  close(normalPValue(-2.575829), 0.01, 1e-6, 'z=-2.576');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileExpression } = require('../utils/expression');
+const { transformData } = require('../services/transformService');
+
+const fields = ['Name', 'Horsepower', 'Weight', 'Model Year', 'Origin'];
+const row = { Name: 'ford pinto', Horsepower: 80, Weight: 2000, 'Model Year': 1972, Origin: 'USA' };
+const evaluate = (source, values = row) => compileExpression(source, fields).evaluate(values);
+
+test('arithmetic follows the usual precedence', () => {
+  assert.equal(evaluate('1 + 2 * 3'), 7);
+  assert.equal(evaluate('(1 + 2) * 3'), 9);
+  assert.equal(evaluate('10 - 4 - 3'), 3);
+  assert.equal(evaluate('12 / 3 / 2'), 2);
+  assert.equal(evaluate('7 % 4 + 1'), 4);
+  assert.equal(evaluate('2 ^ 3 ^ 2'), 512);
+  assert.equal(evaluate('-2 ^ 2'), -4);
+  assert.equal(evaluate('2 * -3'), -6);
+});
+
+test('comparisons bind tighter than logic, and before or', () => {
+  assert.equal(evaluate('Horsepower > 50 and Weight < 1000 or Origin == "USA"'), true);
+  assert.equal(evaluate('Horsepower > 50 and (Weight < 1000 or Origin == "Japan")'), false);
+  assert.equal(evaluate('not (Horsepower > 100)'), true);
+  assert.equal(evaluate('!isnull(Weight) && Weight > 1000'), true);
+  assert.equal(evaluate('Horsepower + 20 >= 100'), true);
+  assert.equal(evaluate('Horsepower > 100 ? "fast" : Horsepower > 60 ? "ok" : "slow"'), 'ok');
+});
+
+test('fields resolve by name, brackets, backticks and loose case', () => {
+  assert.equal(evaluate('[Model Year] - 1900'), 72);
+  assert.equal(evaluate('`Model Year` + 1'), 1973);
+  assert.equal(evaluate('horsepower * 2'), 160);
+  assert.deepEqual(compileExpression('Weight / Horsepower', fields).fields, ['Weight', 'Horsepower']);
+});
+
+test('missing values and division by zero yield null', () => {
+  assert.equal(evaluate('Horsepower / 0'), null);
+  assert.equal(evaluate('Horsepower * 2', { ...row, Horsepower: null }), null);
+  assert.equal(evaluate('coalesce(Horsepower, 0)', { ...row, Horsepower: null }), 0);
+});
+
+test('unknown identifiers and functions are rejected', () => {
+  assert.throws(() => compileExpression('Torque * 2', fields), /Unknown field "Torque"/);
+  assert.throws(() => compileExpression('eval("1")', fields), /Unknown function "eval"/);
+  assert.throws(() => compileExpression('require("fs")', fields), /Unknown function "require"/);
+  assert.throws(() => compileExpression('process', fields), /Unknown field "process"/);
+  assert.throws(() => compileExpression('round()', fields), /expects 1-2 argument/);
+});
+
+test('property access is not part of the language', () => {
+  assert.throws(() => compileExpression('constructor', fields), /Unknown field "constructor"/);
+  assert.throws(() => compileExpression('__proto__', fields), /Unknown field "__proto__"/);
+  assert.throws(() => compileExpression('[__proto__]', fields), /Unknown field "__proto__"/);
+  assert.throws(() => compileExpression('constructor("return process")()', fields), /Unknown function "constructor"/);
+  assert.throws(() => compileExpression('Name.constructor', fields), /Unexpected character "\."/);
+  assert.throws(() => compileExpression('Name["constructor"]', fields), /Unexpected/);
+  assert.throws(() => compileExpression('toString(Name)', fields), /Unknown function "toString"/);
+  assert.throws(() => compileExpression('hasOwnProperty(Name)', fields), /Unknown function "hasOwnProperty"/);
+});
+
+test('malformed input is reported with a position', () => {
+  assert.throws(() => compileExpression('', fields), /non-empty string/);
+  assert.throws(() => compileExpression(42, fields), /non-empty string/);
+  assert.throws(() => compileExpression('1 +', fields), /Unexpected end of expression/);
+  assert.throws(() => compileExpression('(1 + 2', fields), /Expected "\)" at end of expression/);
+  assert.throws(() => compileExpression('1 + 2)', fields), /Unexpected "\)" at position 5/);
+  assert.throws(() => compileExpression('"open', fields), /Unterminated string/);
+  assert.throws(() => compileExpression('[Model Year', fields), /Unterminated field reference/);
+  assert.throws(() => compileExpression('Horsepower ; 1', fields), /Unexpected character ";"/);
+  assert.throws(() => compileExpression('x ? 1', ['x']), /Expected ":"/);
+  assert.throws(() => compileExpression('1'.repeat(501), fields), /too long/);
+  assert.throws(() => compileExpression(`${'('.repeat(60)}1${')'.repeat(60)}`, fields), /nested too deeply/);
+});
+
+test('derived columns cannot be named after prototype properties', () => {
+  const dataset = [row];
+  ['__proto__', 'constructor', 'prototype'].forEach((name) => {
+    const result = transformData({ operation: 'derive', columns: [{ name, expression: 'Horsepower * 2' }] }, dataset);
+    assert.equal(result.success, false, name);
+    assert.match(result.output, /reserved/);
+  });
+  assert.equal(Object.getPrototypeOf(dataset[0]), Object.prototype);
+});
+
+test('derive evaluates expressions row by row', () => {
+  const result = transformData({
+    operation: 'derive',
+    columns: [
+      { name: 'Ratio', expression: 'Weight / Horsepower' },
+      { name: 'Double Ratio', expression: 'Ratio * 2' },
+    ],
+  }, [row]);
+  assert.equal(result.success, true);
+  assert.equal(result.data[0].Ratio, 25);
+  assert.equal(result.data[0]['Double Ratio'], 50);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyFilters, compileFilters } = require('../services/filterService');
+
+const cars = [
+  { Name: 'chevrolet chevelle', Origin: 'USA', Horsepower: 130, Year: '1970-01-01' },
+  { Name: 'toyota corona', Origin: 'Japan', Horsepower: 95, Year: '1970-01-01' },
+  { Name: 'volkswagen 1131', Origin: 'Europe', Horsepower: 46, Year: '1971-01-01' },
+  { Name: 'ford pinto', Origin: 'USA', Horsepower: null, Year: '1972-01-01' },
+];
+
+const names = (rows) => rows.map((row) => row.Name);
+
+test('comparison operators skip missing values', () => {
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Horsepower', operator: '>', value: 90 }])), [
+    'chevrolet chevelle',
+    'toyota corona',
+  ]);
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Horsepower', operator: 'between', value: [40, 100] }])), [
+    'toyota corona',
+    'volkswagen 1131',
+  ]);
+});
+
+test('equality is case-insensitive and != keeps missing values', () => {
+  assert.equal(applyFilters(cars, [{ field: 'origin', operator: '==', value: 'usa' }]).length, 2);
+  assert.equal(applyFilters(cars, [{ field: 'Horsepower', operator: '!=', value: 130 }]).length, 3);
+});
+
+test('date columns compare as dates', () => {
+  const rows = applyFilters(cars, [{ field: 'Year', operator: '>=', value: '1971-01-01' }]);
+  assert.deepEqual(names(rows), ['volkswagen 1131', 'ford pinto']);
+});
+
+test('list, text and null operators', () => {
+  assert.equal(applyFilters(cars, [{ field: 'Origin', operator: 'in', value: ['Japan', 'Europe'] }]).length, 2);
+  assert.equal(applyFilters(cars, [{ field: 'Origin', operator: 'not in', value: ['USA'] }]).length, 2);
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Name', operator: 'startsWith', value: 'TOY' }])), ['toyota corona']);
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Horsepower', operator: 'is null' }])), ['ford pinto']);
+});
+
+test('any/all groups nest', () => {
+  const filters = [
+    { any: [{ field: 'Origin', operator: '==', value: 'Japan' }, { all: [
+      { field: 'Origin', operator: '==', value: 'USA' },
+      { field: 'Horsepower', operator: 'is not null' },
+    ] }] },
+  ];
+  assert.deepEqual(names(applyFilters(cars, filters)), ['chevrolet chevelle', 'toyota corona']);
+});
+
+test('malformed filters throw descriptive errors', () => {
+  assert.throws(() => compileFilters({}, cars), /must be an array/);
+  assert.throws(() => compileFilters([{ field: 'Nope', operator: '==', value: 1 }], cars), /not found/);
+  assert.throws(() => compileFilters([{ field: 'Origin', operator: 'like', value: 'x' }], cars), /Unknown filter operator/);
+  assert.throws(() => compileFilters([{ field: 'Horsepower', operator: '>', value: 'fast' }], cars), /not a valid number/);
+  assert.throws(() => compileFilters([{ field: 'Horsepower', operator: 'between', value: [1] }], cars), /array of 2/);
+  assert.throws(() => compileFilters([null], cars), /Invalid filter entry/);
+});
+
+test('regex filters match case-insensitively', () => {
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Name', operator: 'regex', value: '^(ford|TOYOTA) ' }])), [
+    'toyota corona',
+    'ford pinto',
+  ]);
+  assert.deepEqual(names(applyFilters(cars, [{ field: 'Name', operator: 'regex', value: '\\d{4}$' }])), ['volkswagen 1131']);
+  assert.throws(() => compileFilters([{ field: 'Name', operator: 'regex', value: '(' }], cars), /Invalid regex/);
+});
+
+test('regex patterns that can backtrack catastrophically are rejected', () => {
+  const unsafe = [
+    '(a+)+$', '(a*)*b', '(a|aa)+$', '((ab)*)+', '(x+x+)+y', '(a?a?){2,}', '(\\w+\\s?)*$', '(a)\\1',
+    '(.*a){14}$', '(a?){3}', '.*.*.*.*.*.*.*.*.*c', '\\w+\\d+', '[a-z]*x*', 'a.*b+',
+  ];
+  unsafe.forEach((pattern) => {
+    assert.throws(
+      () => compileFilters([{ field: 'Name', operator: 'regex', value: pattern }], cars),
+      /Unsupported regex/,
+      pattern
+    );
+  });
+});
+
+test('a rejected pattern never runs against the data', () => {
+  const rows = [{ text: `${'a'.repeat(40)}!` }];
+  const started = Date.now();
+  assert.throws(() => applyFilters(rows, [{ field: 'text', operator: 'regex', value: '^(a+)+$' }]), /Unsupported regex/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('patterns with stacked or exactly repeated quantifiers are rejected before they run', () => {
+  const rows = [{ text: 'a'.repeat(28) + 'b' }];
+  const started = Date.now();
+  ['(.*a){14}$', '.*.*.*.*.*.*.*.*.*c'].forEach((pattern) => {
+    assert.throws(() => applyFilters(rows, [{ field: 'text', operator: 'regex', value: pattern }]), /Unsupported regex/, pattern);
+  });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('safe patterns with quantifiers outside repeated groups are allowed', () => {
+  const safe = ['^a+$', '(ab)+', '(ab){3}', '[(a+)]+', '\\(a+\\)+', '(?:USA|Japan)', 'colou?r', '^[a-z]+ \\d+$', 'a+b+', '^.*ford'];
+  safe.forEach((pattern) => {
+    assert.doesNotThrow(() => compileFilters([{ field: 'Name', operator: 'regex', value: pattern }], cars), pattern);
+  });
+});
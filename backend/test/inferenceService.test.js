@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { correlationTest, linearRegression, tTest, chiSquareTest, anova, rank } = require('../services/inferenceService');
+
+const close = (actual, expected, tolerance, label) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+};
+
+// y = 2.2 + 0.6x with R² = 0.6, F = 4.5 on (1, 3) df
+const line = [[1, 2], [2, 4], [3, 5], [4, 4], [5, 5]].map(([x, y]) => ({ x, y }));
+
+test('simple linear regression matches the hand-computed fit', () => {
+  const { output, success } = linearRegression({ target: 'y', predictors: 'x' }, line);
+  assert.equal(success, true);
+  const [intercept, slope] = output.coefficients;
+  assert.equal(intercept.estimate, 2.2);
+  assert.equal(slope.estimate, 0.6);
+  close(slope.std_error, Math.sqrt(0.08), 1e-4, 'slope standard error');
+  close(slope.t_statistic, Math.sqrt(4.5), 1e-3, 'slope t');
+  assert.equal(output.r_squared, 0.6);
+  assert.equal(output.f_statistic, 4.5);
+  // t distribution with 3 df has a closed-form CDF
+  const x = Math.sqrt(4.5) / Math.sqrt(3);
+  const expectedP = 1 - (2 / Math.PI) * (Math.atan(x) + x / (1 + x * x));
+  close(output.p_value, expectedP, 1e-4, 'model p-value');
+  close(slope.p_value, expectedP, 1e-4, 'slope p-value');
+  assert.equal(output.n, 5);
+});
+
+test('regression with collinear predictors fails with a message', () => {
+  const rows = line.map(({ x, y }) => ({ x, twice: 2 * x, y }));
+  const result = linearRegression({ target: 'y', predictors: ['x', 'twice'] }, rows);
+  assert.equal(result.success, false);
+  assert.match(result.output, /collinear/);
+});
+
+test('pearson correlation agrees with the regression', () => {
+  const { output } = correlationTest({ field: 'x', field2: 'y' }, line);
+  close(output.coefficient, Math.sqrt(0.6), 1e-3, 'r');
+  close(output.p_value, linearRegression({ target: 'y', predictors: 'x' }, line).output.p_value, 1e-4, 'p');
+});
+
+test('kendall tau counts concordant and discordant pairs', () => {
+  const rows = [1, 3, 2, 5, 4].map((y, i) => ({ x: i + 1, y }));
+  const { output } = correlationTest({ field: 'x', field2: 'y', method: 'kendall' }, rows);
+  assert.equal(output.coefficient, 0.6);
+  assert.deepEqual(rank([10, 20, 20, 5]), [2, 3.5, 3.5, 1]);
+});
+
+const samples = [
+  ...[1, 2, 3, 4, 5].map(value => ({ group: 'a', value })),
+  ...[2, 4, 6, 8, 10].map(value => ({ group: 'b', value })),
+];
+
+test("Student's t-test pools the variances", () => {
+  const { output } = tTest({ field: 'value', groupBy: 'group', equal_var: true }, samples);
+  // se = sqrt(6.25 * (1/5 + 1/5)) = 1.5811
+  close(output.t_statistic, -3 / Math.sqrt(2.5), 1e-3, 't');
+  assert.equal(output.df, 8);
+  // Between the 0.05 (2.306) and 0.10 (1.860) critical values for 8 df
+  assert.ok(output.p_value > 0.05 && output.p_value < 0.1, String(output.p_value));
+});
+
+test("Welch's t-test uses the Welch-Satterthwaite degrees of freedom", () => {
+  const { output } = tTest({ field: 'value', groupBy: 'group' }, samples);
+  close(output.t_statistic, -3 / Math.sqrt(2.5), 1e-3, 't');
+  close(output.df, 6.25 / (0.0625 + 1), 0.01, 'df');
+  assert.equal(output.test, "Welch's t-test");
+});
+
+test('one-sample t-test against mu', () => {
+  const rows = [5, 7, 9].map(value => ({ value }));
+  const { output } = tTest({ field: 'value', mu: 5 }, rows);
+  // mean 7, sd 2, se = 2 / sqrt(3)
+  close(output.t_statistic, Math.sqrt(3), 1e-3, 't');
+  assert.equal(output.df, 2);
+  // t distribution with 2 df: p = 1 - t / sqrt(2 + t²)
+  close(output.p_value, 1 - Math.sqrt(3) / Math.sqrt(5), 1e-4, 'p');
+});
+
+test('chi-square test of independence on a 2x2 table', () => {
+  const cell = (a, b, count) => Array.from({ length: count }, () => ({ a, b }));
+  const rows = [...cell('x', 'p', 10), ...cell('x', 'q', 20), ...cell('y', 'p', 20), ...cell('y', 'q', 10)];
+  const { output } = chiSquareTest({ field: 'a', field2: 'b' }, rows);
+  close(output.chi_square, 20 / 3, 1e-3, 'chi2');
+  assert.equal(output.df, 1);
+  close(output.p_value, 0.00982, 5e-5, 'p');
+  close(output.cramers_v, Math.sqrt(1 / 9), 1e-3, "Cramér's V");
+  assert.equal(output.warning, undefined);
+});
+
+test('one-way ANOVA matches the closed-form F tail', () => {
+  const rows = [[1, 2, 3], [4, 5, 6], [7, 8, 9]].flatMap((values, i) => values.map(value => ({ group: `g${i}`, value })));
+  const { output } = anova({ field: 'value', groupBy: 'group' }, rows);
+  assert.equal(output.f_statistic, 27);
+  assert.equal(output.df_between, 2);
+  assert.equal(output.df_within, 6);
+  // (1 + 2F/df2)^(-df2/2) = 10^-3
+  close(output.p_value, 0.001, 1e-6, 'p');
+  assert.equal(output.eta_squared, 0.9);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SQL_TIMEOUT_MS = '1500';
+const { runSql } = require('../services/sqlService');
+const { getDatasetInfo } = require('../services/statsService');
+
+const cars = [
+  { Origin: 'USA', Horsepower: 130 },
+  { Origin: 'Japan', Horsepower: 95 },
+  { Origin: 'USA', Horsepower: 150 },
+];
+const carsInfo = getDatasetInfo(cars);
+
+const ENDLESS_QUERY = 'WITH RECURSIVE c(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT count(*) FROM c';
+
+test('queries run against the dataset table', async () => {
+  const result = await runSql({ sql: 'SELECT Origin, count(*) AS n FROM data GROUP BY Origin ORDER BY n DESC' }, cars, carsInfo);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.output, [{ Origin: 'USA', n: 2 }, { Origin: 'Japan', n: 1 }]);
+});
+
+test('a table that fails to load is loaded again by the next query', async () => {
+  // SQLite column names are case-insensitive, so this table cannot be created
+  const broken = [{ name: 'a', NAME: 'b' }];
+  const brokenInfo = { columns: ['name', 'NAME'], dataTypes: { name: 'nominal', NAME: 'nominal' } };
+  const first = await runSql({ sql: 'SELECT * FROM data' }, broken, brokenInfo);
+  const second = await runSql({ sql: 'SELECT * FROM data' }, broken, brokenInfo);
+  assert.match(first.output, /duplicate column/);
+  assert.match(second.output, /duplicate column/);
+});
+
+test('a timed-out query does not fail queries queued behind it', async () => {
+  const others = [{ id: 1 }, { id: 2 }];
+  const [slow, fast, again] = await Promise.all([
+    runSql({ sql: ENDLESS_QUERY }, cars, carsInfo),
+    runSql({ sql: 'SELECT sum(id) AS total FROM data' }, others, getDatasetInfo(others)),
+    runSql({ sql: 'SELECT count(*) AS n FROM data' }, cars, carsInfo),
+  ]);
+  assert.equal(slow.success, false);
+  assert.match(slow.output, /timed out/);
+  assert.deepEqual(fast.output, [{ total: 3 }]);
+  assert.deepEqual(again.output, [{ n: 3 }]);
+});
+
+test('only read-only single statements are accepted', async () => {
+  const write = await runSql({ sql: 'DELETE FROM data' }, cars, carsInfo);
+  assert.match(write.output, /read-only/);
+  const two = await runSql({ sql: 'SELECT 1; SELECT 2' }, cars, carsInfo);
+  assert.match(two.output, /one SQL statement/);
+});
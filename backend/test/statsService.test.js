@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStatistic } = require('../services/statsService');
+
+test('correlation parses values like every other statistic', () => {
+  const rows = [
+    { price: '$1,000', size: 10 },
+    { price: '$1,200', size: 12 },
+    { price: '1500', size: 15 },
+    { price: '1abc', size: 1 },
+    { price: '900', size: '9' },
+  ];
+  const result = computeStatistic({ operation: 'correlation', field: 'price', field2: 'size' }, rows);
+  assert.equal(result.success, true);
+  // "1abc" is not a number and "$1,200" is
+  assert.equal(result.output.n, 4);
+  assert.equal(result.output.correlation, 1);
+  assert.equal(result.output.field1Stats.max, 1500);
+});
+
+const column = (values) => values.map(value => ({ value }));
+const stat = (args, rows) => computeStatistic({ field: 'value', ...args }, rows);
+
+test('quantiles interpolate between closest ranks like pandas', () => {
+  const rows = column([10, 1, 9, 2, 8, 3, 7, 4, 6, 5]);
+  assert.deepEqual(stat({ operation: 'quantiles' }, rows).output, { '25%': 3.25, '50%': 5.5, '75%': 7.75 });
+  assert.deepEqual(stat({ operation: 'quantiles', percentiles: [10, 90] }, rows).output, { '10%': 1.9, '90%': 9.1 });
+  assert.equal(stat({ operation: 'percentile', percentile: 90 }, rows).output, 9.1);
+  assert.equal(stat({ operation: 'iqr' }, rows).output, 4.5);
+  assert.equal(stat({ operation: 'median' }, rows).output, 5.5);
+  assert.match(stat({ operation: 'percentile' }, rows).output, /"percentile" parameter/);
+  assert.match(stat({ operation: 'percentile', percentile: 120 }, rows).output, /between 0 and 100/);
+});
+
+test('skewness and kurtosis use the sample-adjusted formulas', () => {
+  // One outlier among four values: pandas reports skew 2 and kurtosis 4
+  const rows = column([0, 0, 0, 3]);
+  assert.equal(stat({ operation: 'skewness' }, rows).output, 2);
+  assert.equal(stat({ operation: 'kurtosis' }, rows).output, 4);
+  assert.equal(stat({ operation: 'skewness' }, column([1, 2, 3, 4, 5])).output, 0);
+  assert.equal(stat({ operation: 'kurtosis' }, column([5, 5, 5, 5])).output, 0);
+  assert.equal(stat({ operation: 'skewness' }, column([1, 2])).output, null);
+  assert.equal(stat({ operation: 'kurtosis' }, column([1, 2, 3])).output, null);
+});
+
+test('describe summarizes numeric and categorical columns', () => {
+  const rows = [
+    { price: '$1,000', origin: 'USA' },
+    { price: 2000, origin: 'Japan' },
+    { price: 3000, origin: 'USA' },
+    { price: null, origin: '' },
+  ];
+  const price = computeStatistic({ operation: 'describe', field: 'price' }, rows).output;
+  assert.deepEqual(price, {
+    count: 3, null_count: 1, mean: 2000, std: 1000, min: 1000, '25%': 1500, '50%': 2000, '75%': 2500, max: 3000,
+  });
+  const origin = computeStatistic({ operation: 'describe', field: 'origin' }, rows).output;
+  assert.deepEqual(origin, { count: 3, null_count: 1, unique: 2, top: 'USA', freq: 2 });
+
+  const all = computeStatistic({ operation: 'describe' }, rows);
+  assert.deepEqual(Object.keys(all.output), ['price', 'origin']);
+  assert.deepEqual(all.output.price, price);
+});
+
+test('min, max and mode handle columns too large to spread into arguments', () => {
+  const size = 500000;
+  const rows = Array.from({ length: size }, (_, i) => ({ value: i === 1234 ? -5 : i }));
+  assert.equal(stat({ operation: 'min' }, rows).output, -5);
+  assert.equal(stat({ operation: 'max' }, rows).output, size - 1);
+  rows[0].value = 7;
+  assert.equal(stat({ operation: 'mode' }, rows).output, 7);
+});
+
+const cars = [
+  { Origin: 'USA', Cylinders: 8, MPG: 14 },
+  { Origin: 'USA', Cylinders: 8, MPG: 16 },
+  { Origin: 'USA', Cylinders: 4, MPG: 25 },
+  { Origin: 'Japan', Cylinders: 4, MPG: 30 },
+  { Origin: 'Japan', Cylinders: 4, MPG: 34 },
+  { Origin: 'Europe', Cylinders: 4, MPG: 'n/a' },
+];
+
+test('aggregate computes several aggregations per group of several keys', () => {
+  const result = computeStatistic({
+    operation: 'aggregate',
+    groupBy: ['origin', 'cylinders'],
+    aggregations: [
+      { op: 'count' },
+      { field: 'mpg', op: 'mean' },
+      { field: 'MPG', op: 'max', as: 'best' },
+    ],
+  }, cars);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.groupBy, ['Origin', 'Cylinders']);
+  assert.deepEqual(result.output, [
+    { Origin: 'USA', Cylinders: 8, count: 2, mean_MPG: 15, best: 16 },
+    { Origin: 'USA', Cylinders: 4, count: 1, mean_MPG: 25, best: 25 },
+    { Origin: 'Japan', Cylinders: 4, count: 2, mean_MPG: 32, best: 34 },
+    // No numeric MPG left in the group
+    { Origin: 'Europe', Cylinders: 4, count: 1, mean_MPG: null, best: null },
+  ]);
+});
+
+test('aggregate without groupBy returns one row for the whole dataset', () => {
+  const result = computeStatistic({
+    operation: 'aggregate',
+    aggregations: [{ op: 'count' }, { field: 'MPG', op: 'median' }],
+    filters: [{ field: 'Origin', operator: '==', value: 'USA' }],
+  }, cars);
+  assert.deepEqual(result.output, [{ count: 3, median_MPG: 16 }]);
+  assert.equal(result.totalCount, 3);
+});
+
+test('having, sort and limit apply to the output columns in that order', () => {
+  const result = computeStatistic({
+    operation: 'aggregate',
+    groupBy: 'Origin',
+    aggregations: [{ op: 'count' }, { field: 'MPG', op: 'mean' }],
+    having: [{ field: 'count', operator: '>=', value: 2 }],
+    sort: { by: 'mean_MPG', order: 'desc' },
+    limit: 1,
+  }, cars);
+  assert.deepEqual(result.output, [{ Origin: 'Japan', count: 2, mean_MPG: 32 }]);
+
+  const sorted = computeStatistic({
+    operation: 'aggregate',
+    groupBy: 'Origin',
+    aggregations: [{ field: 'MPG', op: 'mean' }],
+    sort: [{ by: 'mean_MPG' }],
+  }, cars);
+  // Groups without a value sort last
+  assert.deepEqual(sorted.output.map(row => row.Origin), ['USA', 'Japan', 'Europe']);
+
+  const byKeys = computeStatistic({
+    operation: 'aggregate',
+    groupBy: ['Origin', 'Cylinders'],
+    aggregations: [{ op: 'count' }],
+    sort: [{ by: 'Cylinders', order: 'desc' }, { by: 'count', order: 'desc' }],
+  }, cars);
+  assert.deepEqual(byKeys.output.map(row => `${row.Origin} ${row.Cylinders}`), ['USA 8', 'Japan 4', 'USA 4', 'Europe 4']);
+});
+
+test('aggregate reports unknown fields, operations and having columns', () => {
+  const run = (args) => computeStatistic({ operation: 'aggregate', groupBy: 'Origin', ...args }, cars);
+  assert.match(run({ groupBy: 'Maker' }).output, /GroupBy field "Maker" not found/);
+  assert.match(run({ aggregations: [{ field: 'Torque', op: 'mean' }] }).output, /Aggregation field "Torque" not found/);
+  assert.match(run({ aggregations: [{ field: 'MPG', op: 'describe' }] }).output, /Unsupported aggregation "describe"/);
+  assert.match(
+    run({ aggregations: [{ op: 'count' }], having: [{ field: 'total', operator: '>', value: 1 }] }).output,
+    /Having field "total" is not an output column/
+  );
+});
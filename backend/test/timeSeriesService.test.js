@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { timeUnits, utcFloor } = require('vega-time');
+const { timeSeries } = require('../services/timeSeriesService');
+
+test('weekly buckets start on Sunday, like the yearweek time unit they advertise', () => {
+  const dates = ['2020-12-31', '2021-01-01', '2021-01-03', '2021-01-05', '2021-01-09', '2021-01-10'];
+  const result = timeSeries({ dateField: 'date', aggregate: 'count', interval: 'week' }, dates.map(date => ({ date })));
+  assert.equal(result.success, true);
+  assert.equal(result.output.chartHint.timeUnit, 'yearweek');
+
+  const yearweek = utcFloor(timeUnits(['year', 'week']), 1);
+  const expected = [...new Set(dates.map(date => new Date(yearweek(Date.parse(date))).toISOString().slice(0, 10)))];
+  assert.deepEqual(result.output.series.map(point => point.periodStart), expected);
+  assert.deepEqual(result.output.series.map(point => point.count), [2, 3, 1]);
+});
+
+test('groups that cannot be bucketed are reported instead of dropped', () => {
+  const rows = [
+    { date: '2021-01-01', region: 'North' },
+    { date: '2021-01-02', region: 'North' },
+    { date: '1900-01-01', region: 'South' },
+    { date: '2021-01-01', region: 'South' },
+    { date: 'someday', region: 'West' },
+  ];
+  const result = timeSeries({ dateField: 'date', aggregate: 'count', interval: 'day', groupBy: 'region' }, rows);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.output.groups.map(group => group.group), ['North']);
+  assert.deepEqual(result.output.skippedGroups.map(skipped => skipped.group), ['South', 'West']);
+  assert.match(result.output.skippedGroups[0].reason, /Too many day buckets/);
+  assert.match(result.output.skippedGroups[1].reason, /No parsable dates/);
+});
+
+test('a grouped series fails with the reasons when no group can be built', () => {
+  const result = timeSeries({ dateField: 'date', aggregate: 'count', groupBy: 'region' }, [{ date: 'someday', region: 'West' }]);
+  assert.equal(result.success, false);
+  assert.match(result.output, /No parsable dates found in "date"/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transformData } = require('../services/transformService');
+const { createDataset } = require('../services/datasetService');
+
+const sales = [
+  { region: 'North', quarter: 'Q1', amount: 10 },
+  { region: 'North', quarter: 'Q2', amount: 20 },
+  { region: 'South', quarter: 'Q1', amount: 5 },
+];
+
+test('pivot turns values into columns', () => {
+  const result = transformData({ operation: 'pivot', index: 'region', pivotColumn: 'quarter', valueField: 'amount' }, sales);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data, [
+    { region: 'North', Q1: 10, Q2: 20 },
+    { region: 'South', Q1: 5, Q2: null },
+  ]);
+});
+
+test('pivot rejects values that would name a reserved column', () => {
+  const rows = [...sales, { region: 'East', quarter: '__proto__', amount: 1 }];
+  const result = transformData({ operation: 'pivot', index: 'region', pivotColumn: 'quarter', valueField: 'amount' }, rows);
+  assert.equal(result.success, false);
+  assert.match(result.output, /Column name "__proto__" is reserved/);
+});
+
+test('melt rejects reserved variable and value names', () => {
+  ['varName', 'valueName'].forEach((option) => {
+    const result = transformData({ operation: 'melt', idFields: ['region'], valueFields: ['amount'], [option]: '__proto__' }, sales);
+    assert.equal(result.success, false, option);
+    assert.match(result.output, /reserved/);
+  });
+  const melted = transformData({ operation: 'melt', idFields: ['region', 'quarter'] }, sales);
+  assert.deepEqual(melted.data[0], { region: 'North', quarter: 'Q1', variable: 'amount', value: 10 });
+});
+
+test('join rejects columns that would be named after prototype properties', () => {
+  const other = createDataset(JSON.parse('[{"region": "North", "__proto__": 1, "manager": "Kim"}]'), { name: 'regions' });
+  const rejected = transformData({ operation: 'join', datasetId: other.id, on: 'region' }, sales);
+  assert.equal(rejected.success, false);
+  assert.match(rejected.output, /reserved/);
+
+  const joined = transformData({ operation: 'join', datasetId: other.id, on: 'region', fields: ['manager'] }, sales);
+  assert.equal(joined.success, true);
+  assert.equal(joined.data[0].manager, 'Kim');
+  assert.equal(joined.data[2].manager, null);
+});
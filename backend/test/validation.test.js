@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serverUtils } = require('../utils/validation');
+
+const datasetInfo = { columns: ['Origin', 'Horsepower', 'Miles_per_Gallon'] };
+
+test('selection params may use "on" for event types', () => {
+  const spec = {
+    params: [{ name: 'pick', select: { type: 'point', on: 'click' } }],
+    mark: 'point',
+    encoding: {
+      x: { field: 'Horsepower', type: 'quantitative' },
+      y: { field: 'Miles_per_Gallon', type: 'quantitative' },
+    },
+  };
+  assert.deepEqual(serverUtils.validateVegaSpec(spec, datasetInfo), { isValid: true, issues: [] });
+});
+
+test('"on" of regression and loess transforms is checked as a field', () => {
+  const spec = (on) => ({
+    transform: [{ regression: 'Miles_per_Gallon', on }],
+    mark: 'line',
+    encoding: {
+      x: { field: 'Horsepower', type: 'quantitative' },
+      y: { field: 'Miles_per_Gallon', type: 'quantitative' },
+    },
+  });
+  assert.equal(serverUtils.validateVegaSpec(spec('Horsepower'), datasetInfo).isValid, true);
+  const result = serverUtils.validateVegaSpec(spec('horsepowr'), datasetInfo);
+  assert.equal(result.isValid, false);
+  assert.match(result.issues.join('\n'), /Unknown field "horsepowr"/);
+
+  const loess = { ...spec('Weight'), transform: [{ loess: 'Miles_per_Gallon', on: 'Weight' }] };
+  assert.match(serverUtils.validateVegaSpec(loess, datasetInfo).issues.join('\n'), /Unknown field "Weight"/);
+});
+
+test('unknown encoding fields are reported with a suggestion', () => {
+  const spec = { mark: 'bar', encoding: { x: { field: 'origin', type: 'nominal' } } };
+  const result = serverUtils.validateVegaSpec(spec, datasetInfo);
+  assert.equal(result.isValid, false);
+  assert.match(result.issues.join('\n'), /Did you mean "Origin"/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNumeric, resolveField, toDate } = require('../utils/values');
+
+test('parseNumeric reads whole numbers, currency and percent values', () => {
+  assert.equal(parseNumeric(42), 42);
+  assert.equal(parseNumeric('3.5'), 3.5);
+  assert.equal(parseNumeric(' -1.2e3 '), -1200);
+  assert.equal(parseNumeric('1,234,567.5'), 1234567.5);
+  assert.equal(parseNumeric('$1,200'), 1200);
+  assert.equal(parseNumeric('-€30'), -30);
+  assert.equal(parseNumeric('30 €'), 30);
+  assert.equal(parseNumeric('12%'), 12);
+  assert.equal(parseNumeric('-0.5 %'), -0.5);
+});
+
+test('parseNumeric rejects partial and malformed numbers', () => {
+  ['123abc', 'abc123', '12 kg', '1,2,3', '1.2.3', '$', '%', '', '-', '12%%', '$12%', '0x1A', 'Infinity'].forEach((text) => {
+    assert.ok(Number.isNaN(parseNumeric(text)), text);
+  });
+  assert.ok(Number.isNaN(parseNumeric(null)));
+  assert.ok(Number.isNaN(parseNumeric(undefined)));
+  assert.ok(Number.isNaN(parseNumeric(true)));
+});
+
+test('resolveField ignores case, spaces and underscores', () => {
+  assert.equal(resolveField(['Miles_per_Gallon'], 'miles per gallon'), 'Miles_per_Gallon');
+  assert.equal(resolveField(['Origin'], 'Country'), undefined);
+});
+
+test('toDate reads years, ISO and day-first dates', () => {
+  assert.equal(toDate(1970).toISOString(), '1970-01-01T00:00:00.000Z');
+  assert.equal(toDate('2024-03-14').toISOString().slice(0, 10), '2024-03-14');
+  assert.equal(toDate('14/03/2024').toISOString().slice(0, 10), '2024-03-14');
+  assert.equal(toDate('not a date'), null);
+});
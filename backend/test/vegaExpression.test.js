@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileVegaExpression, compileVegaPredicate } = require('../utils/vegaExpression');
+
+test('literal regexp patterns are evaluated per row', () => {
+  const matches = compileVegaPredicate("test(regexp('^ford', 'i'), datum.name)");
+  assert.equal(matches({ name: 'Ford Pinto' }), true);
+  assert.equal(matches({ name: 'Toyota Corolla' }), false);
+});
+
+test('regexp patterns that can backtrack catastrophically are rejected before they run', () => {
+  const started = Date.now();
+  assert.throws(() => compileVegaPredicate("test(regexp('(a+)+$'), datum.s)"), /Unsupported regexp pattern/);
+  assert.throws(() => compileVegaPredicate("test(regexp('.*.*.*c'), datum.s)"), /Unsupported regexp pattern/);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('regexp patterns built from row values are rejected', () => {
+  assert.throws(() => compileVegaExpression('test(regexp(datum.pattern), datum.s)'), /literal pattern/);
+  assert.throws(() => compileVegaExpression("regexp('a', datum.flags)"), /literal pattern/);
+  assert.throws(() => compileVegaExpression("regexp('(')"), /Invalid regular expression/);
+});
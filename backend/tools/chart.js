@@ -0,0 +1,48 @@
+const { generateVegaSpec, MARKS } = require('../services/chartService');
+const { serverUtils } = require('../utils/validation');
+const { filtersSchema, channelSchema } = require('./schemas');
+
+const generateVegaSpecTool = {
+  name: 'generate_vega_spec',
+  description: 'Builds a Vega-Lite v5 chart from a mark and field encodings. Fields must be dataset columns; ' +
+    'the data itself is attached by the application.',
+  parameters: {
+    type: 'object',
+    properties: {
+      mark: {
+        type: 'string',
+        enum: MARKS,
+        description: 'bar for categories, line/area for trends over time, point for relationships, ' +
+          'arc (with theta) for pie charts, boxplot for distributions by category.',
+      },
+      x: channelSchema('Horizontal axis.'),
+      y: channelSchema('Vertical axis.'),
+      color: channelSchema('Color grouping or gradient. Supports "scheme" (e.g. "category10", "viridis").'),
+      size: channelSchema('Mark size.'),
+      shape: channelSchema('Point shape (point marks).'),
+      theta: channelSchema('Angle for arc (pie/donut) charts, usually an aggregate.'),
+      facet: channelSchema('Small multiples: one sub-chart per category. Supports "columns".'),
+      title: { type: 'string', description: 'Chart title.' },
+      description: { type: 'string', description: 'One-sentence description of what the chart shows.' },
+      filters: filtersSchema,
+    },
+    required: ['mark']
+  },
+  handler: (args, { datasetInfo }) => {
+    const result = generateVegaSpec(args, datasetInfo);
+    if (!result.success) return result;
+
+    const specValidation = serverUtils.validateVegaSpec(result.chartSpec, datasetInfo);
+    if (!specValidation.isValid) {
+      return { success: false, error: 'Invalid chart specification', details: specValidation.issues };
+    }
+    return result;
+  },
+  mergeResult: (functionResults, result) => {
+    functionResults.chartSpec = result.chartSpec;
+  }
+};
+
+module.exports = {
+  generateVegaSpecTool
+};
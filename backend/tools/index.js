@@ -0,0 +1,113 @@
+const { generateVegaSpecTool } = require('./chart');
+const { computeStatisticTool } = require('./statistics');
+const {
+  correlationTestTool,
+  linearRegressionTool,
+  tTestTool,
+  chiSquareTestTool,
+  anovaTool
+} = require('./inference');
+const { timeSeriesTool } = require('./timeSeries');
+const { transformDataTool } = require('./transform');
+const { runSqlTool } = require('./sql');
+
+// Agent tool registry. A tool is:
+//   { name, description, parameters, handler(args, { dataset, datasetInfo }),
+//     mergeResult?(functionResults, result), formatForModel?(result) }
+// handler returns { success, ... }; mergeResult copies a successful result into the
+// final response (chartSpec, output...); formatForModel shortens large results before they
+// are sent back to the model. The model-facing tool list is generated from here.
+// The context is shared by every call of one request; tools that reshape the data
+// (transform_data) replace context.dataset and context.datasetInfo for later calls.
+function createToolRegistry(initialTools = []) {
+  const tools = new Map();
+
+  const register = (tool) => {
+    if (!tool || !tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool definitions need a name and a handler function');
+    }
+    if (tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+    tools.set(tool.name, tool);
+  };
+
+  initialTools.forEach(register);
+
+  return {
+    register,
+
+    get(name) {
+      return tools.get(name);
+    },
+
+    names() {
+      return Array.from(tools.keys());
+    },
+
+    // Function definitions (name, description, parameters) in registration order
+    getFunctionDefinitions() {
+      return Array.from(tools.values()).map(({ name, description, parameters }) => ({ name, description, parameters }));
+    },
+
+    // Tools API definitions for chat completions
+    getToolDefinitions() {
+      return this.getFunctionDefinitions().map(fn => ({ type: 'function', function: fn }));
+    },
+
+    // Unknown tools and handler exceptions become structured errors the model can act on
+    async execute(name, args, context) {
+      const tool = tools.get(name);
+      if (!tool) {
+        return {
+          success: false,
+          error: `Unknown tool "${name}"`,
+          details: `Available tools are: ${Array.from(tools.keys()).join(', ')}`
+        };
+      }
+
+      try {
+        const result = await tool.handler(args, context);
+        return result || { success: false, error: `Tool "${name}" returned no result` };
+      } catch (error) {
+        console.error(`Tool ${name} failed:`, error);
+        return { success: false, error: `Tool "${name}" failed: ${error.message}` };
+      }
+    },
+
+    // Tool message content for the model
+    formatResult(name, result) {
+      const tool = tools.get(name);
+      return JSON.stringify(tool && tool.formatForModel && result.success ? tool.formatForModel(result) : result);
+    },
+
+    mergeResult(name, functionResults, result) {
+      const tool = tools.get(name);
+      if (tool && tool.mergeResult && result && result.success) {
+        tool.mergeResult(functionResults, result);
+      }
+    }
+  };
+}
+
+const toolRegistry = createToolRegistry([
+  generateVegaSpecTool,
+  computeStatisticTool,
+  correlationTestTool,
+  linearRegressionTool,
+  tTestTool,
+  chiSquareTestTool,
+  anovaTool,
+  timeSeriesTool,
+  transformDataTool
+]);
+
+// run_sql is optional; SQL_TOOL_ENABLED=false leaves it out of the model's tool list
+if (process.env.SQL_TOOL_ENABLED !== 'false') {
+  toolRegistry.register(runSqlTool);
+}
+
+module.exports = {
+  createToolRegistry,
+  toolRegistry
+};
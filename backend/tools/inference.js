@@ -0,0 +1,120 @@
+const {
+  correlationTest,
+  linearRegression,
+  tTest,
+  chiSquareTest,
+  anova
+} = require('../services/inferenceService');
+const { filtersSchema } = require('./schemas');
+const { mergeOutput } = require('./merge');
+
+const correlationTestTool = {
+  name: 'correlation_test',
+  description: 'Tests the correlation between two numeric fields (Pearson, Spearman rank or Kendall tau-b) and reports the coefficient, p-value and n.',
+  parameters: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'First numeric field.' },
+      field2: { type: 'string', description: 'Second numeric field.' },
+      method: {
+        type: 'string',
+        enum: ['pearson', 'spearman', 'kendall'],
+        description: 'pearson for linear relationships, spearman/kendall for monotonic or ordinal data. Defaults to pearson.',
+      },
+      alpha: { type: 'number', description: 'Significance level. Defaults to 0.05.' },
+      filters: filtersSchema,
+    },
+    required: ['field', 'field2']
+  },
+  handler: (args, { dataset }) => correlationTest(args, dataset),
+  mergeResult: mergeOutput
+};
+
+const linearRegressionTool = {
+  name: 'linear_regression',
+  description: 'Fits an ordinary least squares regression of a numeric target on one (simple) or more (multiple) numeric predictors. ' +
+    'Returns coefficients with standard errors and p-values, R², adjusted R², the model F-test and a residuals summary.',
+  parameters: {
+    type: 'object',
+    properties: {
+      target: { type: 'string', description: 'Numeric field to predict.' },
+      predictors: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Numeric predictor fields.',
+      },
+      alpha: { type: 'number', description: 'Significance level. Defaults to 0.05.' },
+      filters: filtersSchema,
+    },
+    required: ['target', 'predictors']
+  },
+  handler: (args, { dataset }) => linearRegression(args, dataset),
+  mergeResult: mergeOutput
+};
+
+const tTestTool = {
+  name: 't_test',
+  description: 'Compares means with a t-test. With groupBy: two-sample test between two groups (Welch by default). ' +
+    'Without groupBy: one-sample test of the field mean against mu.',
+  parameters: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Numeric field whose means are compared.' },
+      groupBy: { type: 'string', description: 'Categorical field defining the two groups.' },
+      groups: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'The two group values to compare when groupBy has more than two categories.',
+      },
+      mu: { type: 'number', description: 'Hypothesized mean for the one-sample test. Defaults to 0.' },
+      equal_var: { type: 'boolean', description: "Use Student's pooled-variance test instead of Welch's. Defaults to false." },
+      alpha: { type: 'number', description: 'Significance level. Defaults to 0.05.' },
+      filters: filtersSchema,
+    },
+    required: ['field']
+  },
+  handler: (args, { dataset }) => tTest(args, dataset),
+  mergeResult: mergeOutput
+};
+
+const chiSquareTestTool = {
+  name: 'chi_square_test',
+  description: 'Chi-square test of independence between two categorical fields. Reports chi-square, df, p-value, Cramér\'s V and n.',
+  parameters: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'First categorical field.' },
+      field2: { type: 'string', description: 'Second categorical field.' },
+      alpha: { type: 'number', description: 'Significance level. Defaults to 0.05.' },
+      filters: filtersSchema,
+    },
+    required: ['field', 'field2']
+  },
+  handler: (args, { dataset }) => chiSquareTest(args, dataset),
+  mergeResult: mergeOutput
+};
+
+const anovaTool = {
+  name: 'anova',
+  description: 'One-way ANOVA comparing the mean of a numeric field across the categories of groupBy. Reports F, p-value, eta squared, group means and n.',
+  parameters: {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Numeric field.' },
+      groupBy: { type: 'string', description: 'Categorical field defining the groups.' },
+      alpha: { type: 'number', description: 'Significance level. Defaults to 0.05.' },
+      filters: filtersSchema,
+    },
+    required: ['field', 'groupBy']
+  },
+  handler: (args, { dataset }) => anova(args, dataset),
+  mergeResult: mergeOutput
+};
+
+module.exports = {
+  correlationTestTool,
+  linearRegressionTool,
+  tTestTool,
+  chiSquareTestTool,
+  anovaTool
+};
@@ -0,0 +1,14 @@
+// Default merge for analysis tools: the latest successful result becomes the response "output".
+// The rest of the result (operation, field, processedCount...) goes to "outputMeta", which the
+// frontend uses to label and lay out the output.
+function mergeOutput(functionResults, result) {
+  if (result.output !== undefined) {
+    const { output, success, ...meta } = result;
+    functionResults.output = output;
+    functionResults.outputMeta = meta;
+  }
+}
+
+module.exports = {
+  mergeOutput
+};
@@ -0,0 +1,61 @@
+const { FILTER_OPERATORS } = require('../services/filterService');
+const { AGGREGATES, TIME_UNITS } = require('../services/chartService');
+
+// Shared filter schema (see services/filterService.js)
+const filtersSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      field: { type: 'string' },
+      operator: { type: 'string', enum: FILTER_OPERATORS },
+      value: {
+        type: ['string', 'number', 'boolean', 'array'],
+        items: { type: ['string', 'number'] },
+        description: 'Array for "in"/"not in" and [low, high] for "between"; omitted for "is null"/"is not null". ' +
+          'Dates are compared as dates on temporal columns.',
+      },
+      any: {
+        type: 'array',
+        items: { type: 'object' },
+        description: 'OR group: a list of conditions (or nested any/all groups), at least one of which must match.',
+      },
+      all: {
+        type: 'array',
+        items: { type: 'object' },
+        description: 'AND group: a list of conditions (or nested groups) that must all match.',
+      },
+    },
+  },
+  description: 'Optional filters applied before computing, combined with AND. Each entry is either a condition ' +
+    '{field, operator, value} or an OR group {"any": [conditions]}. Unknown fields or operators return an error.',
+};
+
+// Encoding channel schema for generate_vega_spec (see services/chartService.js)
+function channelSchema(description) {
+  return {
+    type: 'object',
+    properties: {
+      field: { type: 'string', description: 'Dataset column. Omit only with aggregate "count".' },
+      type: { type: 'string', enum: ['quantitative', 'nominal', 'ordinal', 'temporal'], description: 'Defaults to the column\'s inferred type.' },
+      aggregate: { type: 'string', enum: AGGREGATES },
+      bin: { type: ['boolean', 'object'], properties: { maxbins: { type: 'integer' } }, description: 'Bin a quantitative field (histograms).' },
+      timeUnit: { type: 'string', enum: TIME_UNITS, description: 'Bucket a temporal field, e.g. yearmonth.' },
+      sort: {
+        type: 'string',
+        enum: ['ascending', 'descending', 'x', '-x', 'y', '-y', 'color', '-color'],
+        description: 'Sort order; "-y" sorts categories by the y value, descending.',
+      },
+      title: { type: 'string', description: 'Axis or legend title.' },
+      stack: { type: ['string', 'boolean'], description: '"normalize" for 100% stacked bars/areas, false to overlap.' },
+      scheme: { type: 'string', description: 'Color scheme (color channel only).' },
+      columns: { type: 'integer', description: 'Number of columns (facet channel only).' },
+    },
+    description,
+  };
+}
+
+module.exports = {
+  filtersSchema,
+  channelSchema
+};
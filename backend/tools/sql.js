@@ -0,0 +1,52 @@
+const { runSql, MAX_ROW_LIMIT } = require('../services/sqlService');
+const { getDatasetInfo } = require('../services/statsService');
+const { mergeOutput } = require('./merge');
+
+const MODEL_PREVIEW_ROWS = 50;
+
+const runSqlTool = {
+  name: 'run_sql',
+  description: 'Runs one read-only SQLite SELECT against the working dataset, available as the table "data" ' +
+    '(quote column names with spaces or capitals in double quotes, e.g. SELECT "Origin", AVG("Horsepower") FROM data GROUP BY 1). ' +
+    'Use it for joins of the table with itself, window functions, complex grouping or large datasets. ' +
+    'The result table is returned as output, or becomes the chart data with asDataset.',
+  parameters: {
+    type: 'object',
+    properties: {
+      sql: { type: 'string', description: 'A single SELECT or WITH ... SELECT statement.' },
+      limit: { type: 'integer', description: `Maximum rows to return (default 1000, max ${MAX_ROW_LIMIT}).` },
+      asDataset: {
+        type: 'boolean',
+        description: 'Replace the working dataset with the result, so generate_vega_spec and other tools use its columns.',
+      },
+    },
+    required: ['sql']
+  },
+  handler: async (args, context) => {
+    const result = await runSql(args, context.dataset, context.datasetInfo);
+    if (result.success && args.asDataset && result.rowCount > 0) {
+      context.dataset = result.output;
+      context.datasetInfo = getDatasetInfo(result.output);
+      result.datasetReplaced = true;
+    }
+    return result;
+  },
+  // A query used as chart data is not the answer itself
+  mergeResult: (functionResults, result) => {
+    if (!result.datasetReplaced) {
+      mergeOutput(functionResults, result);
+    }
+  },
+  formatForModel: (result) => {
+    if (result.output.length <= MODEL_PREVIEW_ROWS) return result;
+    return {
+      ...result,
+      output: result.output.slice(0, MODEL_PREVIEW_ROWS),
+      note: `Showing the first ${MODEL_PREVIEW_ROWS} of ${result.rowCount} rows; all rows are included in the response.`
+    };
+  }
+};
+
+module.exports = {
+  runSqlTool
+};
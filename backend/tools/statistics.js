@@ -0,0 +1,104 @@
+const { computeStatistic } = require('../services/statsService');
+const { filtersSchema } = require('./schemas');
+const { mergeOutput } = require('./merge');
+
+const computeStatisticTool = {
+  name: 'compute_statistic',
+  description: 'Computes statistical measures on the dataset: central tendency, spread, shape, counts, correlations and pandas-style describe summaries.',
+  parameters: {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: [
+          'mean', 'median', 'sum', 'min', 'max', 'correlation', 'count',
+          'std', 'variance', 'percentile', 'quantiles', 'iqr', 'mode',
+          'distinct_count', 'null_count', 'skewness', 'kurtosis', 'describe', 'aggregate'
+        ],
+        description: 'The statistical operation to perform. std/variance use the sample (n-1) formula. ' +
+          'mode, distinct_count, null_count, count and describe also work on categorical fields. ' +
+          'describe returns count/mean/std/min/25%/50%/75%/max for numeric fields and count/unique/top/freq otherwise. ' +
+          'aggregate computes every entry of "aggregations" per group and returns a table (array of rows).',
+      },
+      field: {
+        type: 'string',
+        description: 'The field/column to analyze. For describe, omit it or use "*" to summarize every column.',
+      },
+      percentile: {
+        type: 'number',
+        description: 'Percentile between 0 and 100, required for the percentile operation.',
+      },
+      percentiles: {
+        type: 'array',
+        items: { type: 'number' },
+        description: 'Percentiles (0-100) for the quantiles operation. Defaults to [25, 50, 75].',
+      },
+      field2: {
+        type: 'string',
+        description: 'The second field for correlation calculation.',
+      },
+      groupBy: {
+        type: ['string', 'array'],
+        items: { type: 'string' },
+        description: 'Field name to group results by, or an array of field names to group by several keys. ' +
+          'An array returns a table (array of rows) instead of an object keyed by group.',
+      },
+      aggregations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Field to aggregate. Omit for op "count" to count rows.' },
+            op: {
+              type: 'string',
+              enum: [
+                'count', 'mean', 'median', 'sum', 'min', 'max', 'std', 'variance', 'percentile',
+                'iqr', 'mode', 'distinct_count', 'null_count', 'skewness', 'kurtosis'
+              ],
+            },
+            as: { type: 'string', description: 'Output column name. Defaults to "<op>_<field>".' },
+          },
+          required: ['op'],
+        },
+        description: 'Several aggregations computed in one call, e.g. [{"field": "MPG", "op": "mean"}, {"field": "MPG", "op": "max"}].',
+      },
+      having: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Output column (aggregate alias or group key).' },
+            operator: { type: 'string', enum: ['==', '!=', '>', '<', '>=', '<='] },
+            value: { type: ['string', 'number'] },
+          },
+          required: ['field', 'operator', 'value'],
+        },
+        description: 'Filters applied to the aggregated rows (like SQL HAVING).',
+      },
+      sort: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            by: { type: 'string', description: 'Output column to sort by.' },
+            order: { type: 'string', enum: ['asc', 'desc'] },
+          },
+          required: ['by'],
+        },
+        description: 'Sort order for the aggregated rows.',
+      },
+      limit: {
+        type: 'integer',
+        description: 'Keep only the first N aggregated rows (after sorting), for top-N questions.',
+      },
+      filters: filtersSchema,
+    },
+    required: ['operation']
+  },
+  handler: (args, { dataset }) => computeStatistic(args, dataset),
+  mergeResult: mergeOutput
+};
+
+module.exports = {
+  computeStatisticTool
+};
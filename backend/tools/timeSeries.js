@@ -0,0 +1,37 @@
+const { timeSeries } = require('../services/timeSeriesService');
+const { filtersSchema } = require('./schemas');
+const { mergeOutput } = require('./merge');
+
+const timeSeriesTool = {
+  name: 'time_series',
+  description: 'Buckets a temporal field by day/week/month/quarter/year and aggregates a measure per period. ' +
+    'Returns the series with period-over-period change, a rolling average, a linear trend and an optional forecast.',
+  parameters: {
+    type: 'object',
+    properties: {
+      dateField: { type: 'string', description: 'Temporal field (dates, or integer years).' },
+      measure: { type: 'string', description: 'Numeric field to aggregate per period. Optional for aggregate "count".' },
+      aggregate: {
+        type: 'string',
+        enum: ['sum', 'mean', 'median', 'min', 'max', 'count'],
+        description: 'How to combine values within a period. Defaults to sum.',
+      },
+      interval: {
+        type: 'string',
+        enum: ['day', 'week', 'month', 'quarter', 'year'],
+        description: 'Bucket size. Defaults to month.',
+      },
+      groupBy: { type: 'string', description: 'Optional categorical field to build one series per category.' },
+      rollingWindow: { type: 'integer', description: 'Number of periods in the trailing rolling average. Defaults to 3.' },
+      forecastPeriods: { type: 'integer', description: 'Number of future periods to extrapolate from the linear trend (max 24). Defaults to 0.' },
+      filters: filtersSchema,
+    },
+    required: ['dateField']
+  },
+  handler: (args, { dataset }) => timeSeries(args, dataset),
+  mergeResult: mergeOutput
+};
+
+module.exports = {
+  timeSeriesTool
+};
@@ -0,0 +1,69 @@
+const { transformData, TRANSFORM_OPERATIONS, PIVOT_AGGREGATES } = require('../services/transformService');
+const { EXPRESSION_FUNCTIONS } = require('../utils/expression');
+const { filtersSchema } = require('./schemas');
+
+const transformDataTool = {
+  name: 'transform_data',
+  description: 'Adds derived columns or reshapes the working dataset. The result replaces the dataset for the rest of ' +
+    'this request, so later tool calls and charts can use the new columns. ' +
+    'derive: computed columns from expressions; filter: keep matching rows; pivot: long to wide; ' +
+    'melt: wide to long; join: add columns from another uploaded dataset by key.',
+  parameters: {
+    type: 'object',
+    properties: {
+      operation: { type: 'string', enum: TRANSFORM_OPERATIONS },
+      columns: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'New column name.' },
+            expression: {
+              type: 'string',
+              description: 'e.g. "Price / Horsepower", "year([Order Date])", "MPG > 30 ? \\"high\\" : \\"low\\"", ' +
+                '"bucket(Age, 18, 35, 65)". Operators: + - * / % ^ == != < <= > >= and or not ?: ; ' +
+                'wrap field names with spaces in [brackets]. Functions: ' + EXPRESSION_FUNCTIONS.join(', ') + '.',
+            },
+          },
+          required: ['name', 'expression'],
+        },
+        description: 'Columns to derive (derive only). Later columns may use earlier ones.',
+      },
+      index: {
+        type: ['string', 'array'],
+        items: { type: 'string' },
+        description: 'Row key field(s) kept as rows (pivot only).',
+      },
+      pivotColumn: { type: 'string', description: 'Field whose values become new columns (pivot only).' },
+      valueField: { type: 'string', description: 'Field aggregated into the pivoted cells (pivot only).' },
+      aggregate: { type: 'string', enum: PIVOT_AGGREGATES, description: 'Pivot cell aggregate. Defaults to sum, or count without valueField.' },
+      idFields: { type: 'array', items: { type: 'string' }, description: 'Fields kept on every melted row (melt only).' },
+      valueFields: { type: 'array', items: { type: 'string' }, description: 'Fields melted into rows; defaults to all non-id fields (melt only).' },
+      varName: { type: 'string', description: 'Name of the melted column-name field. Defaults to "variable".' },
+      valueName: { type: 'string', description: 'Name of the melted value field. Defaults to "value".' },
+      datasetId: { type: 'string', description: 'Id of the uploaded dataset to join with (join only).' },
+      on: {
+        type: ['string', 'object'],
+        properties: { left: { type: 'string' }, right: { type: 'string' } },
+        description: 'Join key: a field name present in both datasets, or {left, right} (join only).',
+      },
+      how: { type: 'string', enum: ['left', 'inner'], description: 'Join type. Defaults to left.' },
+      fields: { type: 'array', items: { type: 'string' }, description: 'Columns to bring from the other dataset (join only).' },
+      filters: filtersSchema,
+    },
+    required: ['operation']
+  },
+  // Replaces the request's working dataset; the model only sees the summary
+  handler: (args, context) => {
+    const { data, info, ...result } = transformData(args, context.dataset);
+    if (result.success) {
+      context.dataset = data;
+      context.datasetInfo = info;
+    }
+    return result;
+  }
+};
+
+module.exports = {
+  transformDataTool
+};
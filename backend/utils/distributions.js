@@ -0,0 +1,134 @@
+// Probability distributions used to turn test statistics into p-values.
+// Implementations follow Numerical Recipes (Lanczos log-gamma, continued fractions).
+
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(c => { series += c / ++y; });
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+function betaContinuedFraction(a, b, x) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const FPMIN = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(a, b, x) / a;
+  }
+  return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Regularized upper incomplete gamma function Q(a, x)
+function upperIncompleteGamma(a, x) {
+  if (x <= 0) return 1;
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const gln = logGamma(a);
+
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    let ap = a;
+    for (let n = 1; n <= MAX_ITERATIONS; n++) {
+      term *= x / ++ap;
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+
+  const FPMIN = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / FPMIN;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= MAX_ITERATIONS; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = b + an / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+// Two-sided p-value of a t statistic
+function tTestPValue(t, df) {
+  if (!isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Upper-tail p-value of an F statistic
+function fTestPValue(f, df1, df2) {
+  if (!isFinite(f)) return 0;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+// Upper-tail p-value of a chi-square statistic
+function chiSquarePValue(chi2, df) {
+  return upperIncompleteGamma(df / 2, chi2 / 2);
+}
+
+// Two-sided p-value of a standard normal z score
+function normalPValue(z) {
+  return upperIncompleteGamma(0.5, (z * z) / 2);
+}
+
+module.exports = {
+  logGamma,
+  incompleteBeta,
+  upperIncompleteGamma,
+  tTestPValue,
+  fTestPValue,
+  chiSquarePValue,
+  normalPValue
+};
@@ -0,0 +1,379 @@
+const { resolveField, isNullValue, parseNumeric, toDate } = require('./values');
+
+// Safe expression language for derived columns. Expressions are parsed into closures;
+// nothing is ever passed to eval/Function, and only the functions below can be called.
+//
+//   Price / Horsepower                 arithmetic: + - * / % ^ (null in, null out; x / 0 is null)
+//   [Model Year] >= 1975               fields: bare names, [bracketed] or `backticked` for spaces
+//   Origin == "USA" and not (MPG < 20) comparisons and logic: == != < <= > >= and/&& or/|| not/!
+//   MPG > 30 ? "efficient" : "thirsty" conditionals, also if(cond, then, else) and coalesce(...)
+//   year(Date), upper(Name), bucket(Age, 18, 65)
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_DEPTH = 50;
+
+const DATE_PARTS = {
+  year: date => date.getUTCFullYear(),
+  month: date => date.getUTCMonth() + 1,
+  day: date => date.getUTCDate(),
+  weekday: date => date.getUTCDay(),
+  hour: date => date.getUTCHours(),
+  quarter: date => Math.floor(date.getUTCMonth() / 3) + 1,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIFF_UNITS = { days: DAY_MS, weeks: 7 * DAY_MS, hours: 60 * 60 * 1000, minutes: 60 * 1000 };
+
+const toNumber = (value) => {
+  if (isNullValue(value)) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const number = parseNumeric(value);
+  return isNaN(number) ? null : number;
+};
+const toText = (value) => (isNullValue(value) ? null : String(value));
+const numeric = (fn) => (...args) => {
+  const numbers = args.map(toNumber);
+  if (numbers.some(n => n === null)) return null;
+  const result = fn(...numbers);
+  return isFinite(result) ? result : null;
+};
+const textual = (fn) => (value, ...rest) => {
+  const text = toText(value);
+  return text === null ? null : fn(text, ...rest);
+};
+const datePart = (fn) => (value) => {
+  const date = toDate(value);
+  return date ? fn(date) : null;
+};
+
+function formatBound(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(4)));
+}
+
+// name: [minArgs, maxArgs, implementation]; maxArgs Infinity for variadic functions
+const FUNCTIONS = {
+  abs: [1, 1, numeric(Math.abs)],
+  round: [1, 2, numeric((x, digits = 0) => Number(x.toFixed(Math.max(0, Math.min(10, digits)))))],
+  floor: [1, 1, numeric(Math.floor)],
+  ceil: [1, 1, numeric(Math.ceil)],
+  sqrt: [1, 1, numeric(Math.sqrt)],
+  log: [1, 1, numeric(Math.log)],
+  log10: [1, 1, numeric(Math.log10)],
+  exp: [1, 1, numeric(Math.exp)],
+  pow: [2, 2, numeric(Math.pow)],
+  min: [1, Infinity, numeric(Math.min)],
+  max: [1, Infinity, numeric(Math.max)],
+  number: [1, 1, toNumber],
+  string: [1, 1, toText],
+
+  lower: [1, 1, textual(text => text.toLowerCase())],
+  upper: [1, 1, textual(text => text.toUpperCase())],
+  trim: [1, 1, textual(text => text.trim())],
+  length: [1, 1, textual(text => text.length)],
+  substr: [2, 3, textual((text, start, length) => {
+    const from = toNumber(start) || 0;
+    return length === undefined ? text.substr(from) : text.substr(from, toNumber(length) || 0);
+  })],
+  replace: [3, 3, textual((text, search, replacement) => text.split(String(search)).join(toText(replacement) || ''))],
+  contains: [2, 2, textual((text, search) => text.toLowerCase().includes(String(search).toLowerCase()))],
+  startsWith: [2, 2, textual((text, search) => text.toLowerCase().startsWith(String(search).toLowerCase()))],
+  endsWith: [2, 2, textual((text, search) => text.toLowerCase().endsWith(String(search).toLowerCase()))],
+  concat: [1, Infinity, (...values) => values.map(value => toText(value) || '').join('')],
+
+  year: [1, 1, datePart(DATE_PARTS.year)],
+  month: [1, 1, datePart(DATE_PARTS.month)],
+  day: [1, 1, datePart(DATE_PARTS.day)],
+  weekday: [1, 1, datePart(DATE_PARTS.weekday)],
+  hour: [1, 1, datePart(DATE_PARTS.hour)],
+  quarter: [1, 1, datePart(DATE_PARTS.quarter)],
+  date: [1, 1, datePart(date => date.toISOString().slice(0, 10))],
+  date_diff: [2, 3, (a, b, unit = 'days') => {
+    const start = toDate(a);
+    const end = toDate(b);
+    const size = DIFF_UNITS[unit];
+    if (!size) throw new Error(`date_diff unit must be one of: ${Object.keys(DIFF_UNITS).join(', ')}`);
+    return start && end ? (end.getTime() - start.getTime()) / size : null;
+  }],
+
+  if: [3, 3, (condition, whenTrue, whenFalse) => (condition ? whenTrue : whenFalse)],
+  coalesce: [1, Infinity, (...values) => {
+    const found = values.find(value => !isNullValue(value));
+    return found === undefined ? null : found;
+  }],
+  isnull: [1, 1, value => isNullValue(value)],
+
+  // bin(x, width) -> lower edge of the bin; bucket(x, edge1, edge2, ...) -> "<18", "18-65", ">=65"
+  bin: [2, 2, numeric((x, width) => (width > 0 ? Math.floor(x / width) * width : null))],
+  bucket: [2, Infinity, (value, ...edgeValues) => {
+    const x = toNumber(value);
+    const edges = edgeValues.map(toNumber);
+    if (edges.some(edge => edge === null)) throw new Error('bucket edges must be numbers');
+    if (x === null) return null;
+    if (x < edges[0]) return `<${formatBound(edges[0])}`;
+    for (let i = 1; i < edges.length; i++) {
+      if (x < edges[i]) return `${formatBound(edges[i - 1])}-${formatBound(edges[i])}`;
+    }
+    return `>=${formatBound(edges[edges.length - 1])}`;
+  }],
+};
+
+const KEYWORDS = { and: '&&', or: '||', not: '!' };
+const LITERALS = { true: true, false: false, null: null };
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) j++;
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) throw new Error(`Unterminated string starting at position ${i}`);
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else if (char === '[' || char === '`') {
+      const close = char === '[' ? ']' : '`';
+      const end = source.indexOf(close, i + 1);
+      if (end < 0) throw new Error(`Unterminated field reference starting at position ${i}`);
+      tokens.push({ type: 'field', value: source.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+      const lower = word.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, lower)) {
+        tokens.push({ type: 'operator', value: KEYWORDS[lower], position: i });
+      } else if (Object.prototype.hasOwnProperty.call(LITERALS, lower)) {
+        tokens.push({ type: 'literal', value: LITERALS[lower], position: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: i });
+      }
+      i += word.length;
+    } else {
+      const operator = ['==', '!=', '<>', '<=', '>=', '&&', '||'].find(op => source.startsWith(op, i)) ||
+        ('+-*/%^<>=!?:(),'.includes(char) ? char : null);
+      if (!operator) throw new Error(`Unexpected character "${char}" at position ${i}`);
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    }
+  }
+  return tokens;
+}
+
+// Numeric strings compare as numbers and date strings as dates, everything else as text
+const asNumber = (value) => {
+  if (typeof value === 'number' || typeof value === 'boolean') return Number(value);
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+};
+const compare = (a, b) => {
+  const numberA = asNumber(a);
+  const numberB = asNumber(b);
+  if (numberA !== null && numberB !== null) return numberA - numberB;
+  const dateA = typeof a === 'string' ? toDate(a) : null;
+  const dateB = typeof b === 'string' ? toDate(b) : null;
+  if (dateA && dateB) return dateA.getTime() - dateB.getTime();
+  return String(a).localeCompare(String(b));
+};
+
+const BINARY = {
+  '+': (a, b) => {
+    if (isNullValue(a) || isNullValue(b)) return null;
+    if (asNumber(a) === null || asNumber(b) === null) return `${a}${b}`;
+    return numeric((x, y) => x + y)(a, b);
+  },
+  '-': numeric((a, b) => a - b),
+  '*': numeric((a, b) => a * b),
+  '/': numeric((a, b) => (b === 0 ? null : a / b)),
+  '%': numeric((a, b) => (b === 0 ? null : a % b)),
+  '^': numeric(Math.pow),
+  '==': (a, b) => (isNullValue(a) || isNullValue(b) ? isNullValue(a) && isNullValue(b) : compare(a, b) === 0),
+  '!=': (a, b) => !BINARY['=='](a, b),
+  '<': (a, b) => (isNullValue(a) || isNullValue(b) ? null : compare(a, b) < 0),
+  '<=': (a, b) => (isNullValue(a) || isNullValue(b) ? null : compare(a, b) <= 0),
+  '>': (a, b) => (isNullValue(a) || isNullValue(b) ? null : compare(a, b) > 0),
+  '>=': (a, b) => (isNullValue(a) || isNullValue(b) ? null : compare(a, b) >= 0),
+};
+BINARY['='] = BINARY['=='];
+BINARY['<>'] = BINARY['!='];
+
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '=', '!=', '<>', '<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+// Recursive-descent parser producing (row) => value closures
+function parse(tokens, availableFields, referencedFields) {
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new Error(token ? `Expected "${value}" at position ${token.position}` : `Expected "${value}" at end of expression`);
+    }
+    index++;
+  };
+  const enter = () => {
+    if (++depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+  };
+
+  const resolve = (name, position) => {
+    const field = availableFields.includes(name) ? name : resolveField(availableFields, name);
+    if (!field) {
+      throw new Error(`Unknown field "${name}" at position ${position}. Available fields are: ${availableFields.join(', ')}`);
+    }
+    referencedFields.add(field);
+    return row => row[field];
+  };
+
+  function parseExpression() {
+    enter();
+    const condition = parseBinary(0);
+    if (isOperator('?')) {
+      index++;
+      const whenTrue = parseExpression();
+      expect(':');
+      const whenFalse = parseExpression();
+      depth--;
+      return row => (condition(row) ? whenTrue(row) : whenFalse(row));
+    }
+    depth--;
+    return condition;
+  }
+
+  function parseBinary(level) {
+    if (level >= PRECEDENCE.length) return parseUnary();
+    let left = parseBinary(level + 1);
+    while (peek() && peek().type === 'operator' && PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      const right = parseBinary(level + 1);
+      const lhs = left;
+      if (operator === '&&') left = row => !!lhs(row) && !!right(row);
+      else if (operator === '||') left = row => !!lhs(row) || !!right(row);
+      else left = row => BINARY[operator](lhs(row), right(row));
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOperator('!')) {
+      index++;
+      enter();
+      const operand = parseUnary();
+      depth--;
+      return row => !operand(row);
+    }
+    if (isOperator('-')) {
+      index++;
+      enter();
+      const operand = parseUnary();
+      depth--;
+      return row => BINARY['-'](0, operand(row));
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      index++;
+      const exponent = parseUnary();
+      return row => BINARY['^'](base(row), exponent(row));
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      return () => token.value;
+    }
+    if (token.type === 'field') {
+      return resolve(token.value, token.position);
+    }
+    if (token.type === 'identifier') {
+      if (!isOperator('(')) return resolve(token.value, token.position);
+
+      const name = Object.keys(FUNCTIONS).find(fn => fn.toLowerCase() === token.value.toLowerCase());
+      if (!name) {
+        throw new Error(`Unknown function "${token.value}". Available functions: ${Object.keys(FUNCTIONS).join(', ')}`);
+      }
+      index++;
+      const args = [];
+      if (!isOperator(')')) {
+        args.push(parseExpression());
+        while (isOperator(',')) {
+          index++;
+          args.push(parseExpression());
+        }
+      }
+      expect(')');
+
+      const [minArgs, maxArgs, fn] = FUNCTIONS[name];
+      if (args.length < minArgs || args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? minArgs : `${minArgs}${maxArgs === Infinity ? ' or more' : `-${maxArgs}`}`;
+        throw new Error(`Function ${name} expects ${expected} argument(s), got ${args.length}`);
+      }
+      // if() only evaluates the branch it returns
+      if (name === 'if') {
+        return row => (args[0](row) ? args[1](row) : args[2](row));
+      }
+      return row => fn(...args.map(arg => arg(row)));
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+  }
+
+  const evaluate = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" at position ${tokens[index].position}`);
+  }
+  return evaluate;
+}
+
+// Compiles an expression against the available fields. Throws descriptive Errors for
+// syntax problems, unknown fields or functions; evaluation errors surface per row.
+function compileExpression(source, availableFields) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression is too long (max ${MAX_EXPRESSION_LENGTH} characters)`);
+  }
+
+  const referencedFields = new Set();
+  const evaluate = parse(tokenize(source), availableFields, referencedFields);
+  return {
+    evaluate: (row) => {
+      const value = evaluate(row);
+      return value === undefined || (typeof value === 'number' && !isFinite(value)) ? null : value;
+    },
+    fields: Array.from(referencedFields)
+  };
+}
+
+module.exports = {
+  compileExpression,
+  EXPRESSION_FUNCTIONS: Object.keys(FUNCTIONS)
+};
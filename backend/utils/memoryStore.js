@@ -0,0 +1,47 @@
+// In-memory keyed store with least-recently-used eviction and an idle TTL.
+// Map preserves insertion order and get() re-inserts on access, so the first key is always the LRU entry.
+function createMemoryStore({ maxEntries, ttlMs }) {
+  const entries = new Map();
+
+  const isExpired = (entry) => Date.now() - entry.lastAccessedAt > ttlMs;
+
+  function prune() {
+    for (const [id, entry] of entries) {
+      if (isExpired(entry)) {
+        entries.delete(id);
+      }
+    }
+    while (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    set(id, entry) {
+      prune();
+      entry.lastAccessedAt = Date.now();
+      entries.set(id, entry);
+      return entry;
+    },
+
+    get(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+
+      entries.delete(id);
+      if (isExpired(entry)) return null;
+
+      entry.lastAccessedAt = Date.now();
+      entries.set(id, entry);
+      return entry;
+    },
+
+    delete(id) {
+      return entries.delete(id);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
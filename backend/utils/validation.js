@@ -1,3 +1,7 @@
+const Ajv = require('ajv');
+const vegaLiteSchema = require('vega-lite/build/vega-lite-schema.json');
+const { resolveField } = require('./values');
+
 // Utility Functions
 function print_red(...strings) {
     console.log('\x1b[31m%s\x1b[0m', strings.join(' '));
@@ -7,72 +11,175 @@ function print_red(...strings) {
     console.log('\x1b[34m%s\x1b[0m', strings.join(' '));
   }
 
+const MAX_SCHEMA_ISSUES = 8;
+
+// Keys whose contents are not field references of the visualized dataset
+const NON_FIELD_KEYS = new Set(['$schema', 'data', 'datasets', 'config', 'from', 'as', 'usermeta']);
+// Keys holding a single field name or a list of field names (transforms, selections, repeat)
+const FIELD_KEYS = new Set(['field', 'pivot', 'regression', 'loess', 'density', 'quantile']);
+// "on" names the independent field of regression and loess transforms; elsewhere (selection
+// params) it holds an event type such as "click"
+const FIELD_ON_TRANSFORMS = ['regression', 'loess'];
+const FIELD_LIST_KEYS = new Set(['groupby', 'fold', 'fields', 'repeat', 'row', 'column', 'layer']);
+
+// The Vega-Lite schema is large, so it is compiled on first use and reused afterwards
+let vegaLiteValidator = null;
+function getVegaLiteValidator() {
+  if (!vegaLiteValidator) {
+    const ajv = new Ajv({ strict: false, allErrors: true, allowUnionTypes: true, validateFormats: false });
+    vegaLiteValidator = ajv.compile(vegaLiteSchema);
+  }
+  return vegaLiteValidator;
+}
+
+// Ajv reports every failed anyOf branch; keep the most specific location and merge
+// the alternatives reported there into one readable issue per kind
+function summarizeSchemaErrors(errors) {
+  const relevant = errors.filter(error => !['anyOf', 'oneOf', 'if'].includes(error.keyword));
+  const deepest = relevant.filter(error =>
+    !relevant.some(other => other.instancePath.startsWith(`${error.instancePath}/`))
+  );
+
+  const byLocation = new Map();
+  deepest.forEach(error => {
+    const location = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'spec';
+    if (!byLocation.has(location)) byLocation.set(location, []);
+    byLocation.get(location).push(error);
+  });
+
+  const issues = [];
+  byLocation.forEach((locationErrors, location) => {
+    const enumError = locationErrors.find(error => error.keyword === 'enum');
+    if (enumError) {
+      issues.push(`${location}: must be one of ${enumError.params.allowedValues.join(', ')}`);
+      return;
+    }
+
+    const missing = [...new Set(locationErrors
+      .filter(error => error.keyword === 'required')
+      .map(error => error.params.missingProperty))];
+    if (missing.length > 0) {
+      issues.push(`${location}: missing required property ${missing.length > 1 ? `(one of ${missing.join(', ')})` : missing[0]}`);
+    }
+
+    const unknown = [...new Set(locationErrors
+      .filter(error => error.keyword === 'additionalProperties')
+      .map(error => error.params.additionalProperty))];
+    if (unknown.length > 0) {
+      issues.push(`${location}: unexpected property ${unknown.map(name => `"${name}"`).join(', ')}`);
+    }
+
+    const expected = [...new Set(locationErrors
+      .filter(error => error.keyword === 'type' || error.keyword === 'const')
+      .map(error => (error.keyword === 'type' ? [].concat(error.params.type).join(' or ') : JSON.stringify(error.params.allowedValue))))];
+    if (expected.length > 0) {
+      issues.push(`${location}: must be ${expected.join(' or ')}`);
+    }
+
+    locationErrors
+      .filter(error => !['required', 'additionalProperties', 'type', 'const'].includes(error.keyword))
+      .forEach(error => {
+        const issue = `${location}: ${error.message}`;
+        if (!issues.includes(issue)) issues.push(issue);
+      });
+  });
+  return issues.slice(0, MAX_SCHEMA_ISSUES);
+}
+
+// Collects fields created inside the spec (transform "as" outputs and default output names)
+function collectDerivedFields(node, derived) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectDerivedFields(item, derived));
+    return derived;
+  }
+  if (!node || typeof node !== 'object') return derived;
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'as') {
+      [].concat(value).filter(name => typeof name === 'string').forEach(name => derived.add(name));
+    } else if (key === 'fold' && !node.as) {
+      derived.add('key').add('value');
+    } else if (key === 'density' && !node.as) {
+      derived.add('value').add('density');
+    } else if (key === 'quantile' && !node.as) {
+      derived.add('prob').add('value');
+    } else if (key === 'pivot') {
+      // Pivot creates one column per distinct value, which cannot be known statically
+      derived.dynamic = true;
+    }
+    if (!NON_FIELD_KEYS.has(key)) collectDerivedFields(value, derived);
+  });
+  return derived;
+}
+
+function collectFieldReferences(node, references, parentKey) {
+  if (Array.isArray(node)) {
+    node.forEach(item => {
+      if (typeof item === 'string' && FIELD_LIST_KEYS.has(parentKey)) references.add(item);
+      else collectFieldReferences(item, references, parentKey);
+    });
+    return references;
+  }
+  if (!node || typeof node !== 'object') return references;
+
+  Object.entries(node).forEach(([key, value]) => {
+    if (NON_FIELD_KEYS.has(key)) return;
+    const isFieldKey = FIELD_KEYS.has(key) || (key === 'on' && FIELD_ON_TRANSFORMS.some(transform => transform in node));
+    if (isFieldKey && typeof value === 'string') {
+      references.add(value);
+    } else {
+      collectFieldReferences(value, references, key);
+    }
+  });
+  return references;
+}
+
+// Vega-Lite field strings may escape dots and brackets that are part of the column name
+function unescapeField(field) {
+  return field.replace(/\\(.)/g, '$1');
+}
+
+function checkFieldReferences(spec, datasetInfo) {
+  const columns = (datasetInfo && datasetInfo.columns) || [];
+  const derived = collectDerivedFields(spec, new Set());
+  if (derived.dynamic) return [];
+
+  const issues = [];
+  collectFieldReferences(spec, new Set()).forEach(field => {
+    const name = unescapeField(field);
+    if (columns.includes(name) || derived.has(name) || derived.has(field)) return;
+
+    const suggestion = resolveField(columns, name);
+    issues.push(suggestion
+      ? `Unknown field "${field}". Did you mean "${suggestion}"?`
+      : `Unknown field "${field}". Available fields are: ${columns.join(', ')}`);
+  });
+  return issues;
+}
+
   // Utility object for validation and debugging
 const serverUtils = {
-    validateVegaSpec: (spec) => {
-      const requiredProps = ['mark', 'encoding'];
-      const issues = [];
-      
-      if (!spec) {
+    // Validates a chart against the Vega-Lite v5 JSON schema and, when datasetInfo is given,
+    // checks that every referenced field exists in the dataset or is derived by a transform.
+    // Data is attached after validation (services/chartDataService.js), so a missing "data" property is not an issue.
+    validateVegaSpec: (spec, datasetInfo) => {
+      if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
         return { isValid: false, issues: ['Specification is null or undefined'] };
       }
-      
-      requiredProps.forEach(prop => {
-        if (!spec[prop]) {
-          issues.push(`Missing required property: ${prop}`);
-        }
-      });
-      
-      if (spec.encoding) {
-        const hasValidChannel = Object.keys(spec.encoding).some(channel => 
-          ['x', 'y', 'color', 'size', 'shape'].includes(channel)
-        );
-        if (!hasValidChannel) {
-          issues.push('No valid encoding channels found');
-        }
+
+      const validate = getVegaLiteValidator();
+      const issues = validate({ data: { values: [] }, ...spec })
+        ? []
+        : summarizeSchemaErrors(validate.errors || []);
+
+      if (datasetInfo) {
+        issues.push(...checkFieldReferences(spec, datasetInfo));
       }
-      
+
       return {
         isValid: issues.length === 0,
         issues
       };
-    },
-  
-    debugDataset: (data) => {
-      if (!data || !Array.isArray(data)) {
-        return {
-          isValid: false,
-          issues: ['Dataset is not an array or is null']
-        };
-      }
-  
-      const sample = data.slice(0, 5);
-      const columnTypes = {};
-      const issues = [];
-  
-      if (sample.length > 0) {
-        const columns = Object.keys(sample[0]);
-        
-        columns.forEach(col => {
-          const values = sample.map(row => row[col]);
-          const types = new Set(values.map(val => typeof val));
-          columnTypes[col] = Array.from(types);
-          
-          if (types.size > 1) {
-            issues.push(`Mixed types in column "${col}": ${Array.from(types).join(', ')}`);
-          }
-        });
-      }
-  
-      return {
-        isValid: issues.length === 0,
-        issues,
-        debugInfo: {
-          totalRows: data.length,
-          sampleData: sample,
-          columnTypes
-        }
-      };
     }
   };
 
@@ -0,0 +1,74 @@
+// Value helpers shared by the statistics and filter services
+
+function isNullValue(value) {
+  return value === null || value === undefined || value === '' ||
+    (typeof value === 'number' && isNaN(value));
+}
+
+const NUMERIC_TEXT = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+const CURRENCY_SYMBOL = /^[$€£¥₹]|[$€£¥₹]$/;
+
+// Accepts numbers and whole numeric strings, optionally with one currency symbol ("$1,200",
+// "-€30", "30€") or a trailing percent sign ("12.5%" is 12.5, as the column profiles read it).
+// Anything else, including partial numbers such as "123abc", is NaN.
+function parseNumeric(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  let text = value.replace(/\s/g, '');
+  let sign = '';
+  if (/^[-+][$€£¥₹]/.test(text)) {
+    sign = text[0];
+    text = text.slice(1);
+  }
+  if (text.endsWith('%')) text = text.slice(0, -1);
+  else text = text.replace(CURRENCY_SYMBOL, '');
+
+  if (!/\d/.test(text) || !NUMERIC_TEXT.test(text)) return NaN;
+  return Number(sign + text.replace(/,/g, ''));
+}
+
+function parseTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  if (isNullValue(value)) return NaN;
+  return new Date(value).getTime();
+}
+
+// Plain integers in a plausible year range are years ("Year": 1970), not epoch milliseconds
+function toDate(value) {
+  if (isNullValue(value)) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number' || /^\d{4}$/.test(String(value).trim())) {
+    const year = Number(value);
+    if (Number.isInteger(year) && year >= 1000 && year <= 9999) {
+      return new Date(Date.UTC(year, 0, 1));
+    }
+    if (typeof value === 'number') return null;
+  }
+  const date = new Date(value);
+  if (!isNaN(date.getTime())) return date;
+
+  // Day-first dates (14/03/2024) are not understood by Date; month-first ones already parsed above
+  const parts = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(String(value).trim());
+  if (parts && Number(parts[1]) > 12 && Number(parts[2]) <= 12) {
+    return new Date(Date.UTC(Number(parts[3]), Number(parts[2]) - 1, Number(parts[1])));
+  }
+  return null;
+}
+
+// Column lookup that tolerates case, spaces and underscores ("miles per gallon" -> "Miles_per_Gallon")
+const normalizeFieldName = (name) => String(name).toLowerCase().replace(/[\s_]/g, '');
+
+function resolveField(availableFields, name) {
+  if (name === undefined || name === null) return undefined;
+  return availableFields.find(f => normalizeFieldName(f) === normalizeFieldName(name));
+}
+
+module.exports = {
+  normalizeFieldName,
+  resolveField,
+  isNullValue,
+  parseNumeric,
+  parseTimestamp,
+  toDate
+};
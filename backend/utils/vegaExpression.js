@@ -0,0 +1,237 @@
+const { parseExpression } = require('vega-expression');
+const { findUnsafeRegexConstruct } = require('../services/filterService');
+
+// Evaluates Vega-Lite filter predicates and calculate expressions on the server, so chart
+// data can be filtered over the full dataset before it is aggregated or sampled.
+// Expressions are parsed with vega-expression and interpreted over the AST; nothing is passed
+// to eval/Function, and only "datum" and the functions below are available. Anything else
+// throws, and callers fall back to leaving the transform to the client. Specs can come from
+// clients, so regexp() only takes literal patterns that pass the filter tool's backtracking check.
+const isValid = (value) => value !== null && value !== undefined && value === value;
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : +value);
+const toDateValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  return value instanceof Date ? value : typeof value === 'number' ? value : Date.parse(value);
+};
+const asDate = (value) => (value instanceof Date ? value : new Date(value));
+
+const FUNCTIONS = {
+  isValid,
+  isNaN: (value) => Number.isNaN(+value),
+  isFinite: (value) => Number.isFinite(+value),
+  isNumber: (value) => typeof value === 'number',
+  isString: (value) => typeof value === 'string',
+  isBoolean: (value) => typeof value === 'boolean',
+  isDate: (value) => value instanceof Date,
+  toNumber,
+  toString: (value) => (value === null || value === undefined || value === '' ? null : String(value)),
+  toBoolean: (value) => (value === null || value === undefined || value === '' ? null
+    : value === 'false' ? false : !!value),
+  toDate: toDateValue,
+  time: (value) => asDate(value).getTime(),
+  year: (value) => asDate(value).getFullYear(),
+  quarter: (value) => Math.floor(asDate(value).getMonth() / 3),
+  month: (value) => asDate(value).getMonth(),
+  date: (value) => asDate(value).getDate(),
+  day: (value) => asDate(value).getDay(),
+  hours: (value) => asDate(value).getHours(),
+  utcyear: (value) => asDate(value).getUTCFullYear(),
+  utcquarter: (value) => Math.floor(asDate(value).getUTCMonth() / 3),
+  utcmonth: (value) => asDate(value).getUTCMonth(),
+  utcdate: (value) => asDate(value).getUTCDate(),
+  utcday: (value) => asDate(value).getUTCDay(),
+  utchours: (value) => asDate(value).getUTCHours(),
+  lower: (value) => String(value).toLowerCase(),
+  upper: (value) => String(value).toUpperCase(),
+  trim: (value) => String(value).trim(),
+  length: (value) => (value === null || value === undefined ? 0 : value.length),
+  indexOf: (value, search) => (value === null || value === undefined ? -1 : value.indexOf(search)),
+  lastindexof: (value, search) => (value === null || value === undefined ? -1 : value.lastIndexOf(search)),
+  substring: (value, start, end) => String(value).substring(start, end),
+  replace: (value, pattern, replacement) => String(value).replace(pattern, replacement),
+  regexp: (pattern, flags) => new RegExp(pattern, flags),
+  test: (regexp, value) => regexp.test(value),
+  inrange: (value, range) => {
+    const [low, high] = range[0] <= range[1] ? range : [range[1], range[0]];
+    return value >= low && value <= high;
+  },
+  if: (test, whenTrue, whenFalse) => (test ? whenTrue : whenFalse),
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round,
+  sqrt: Math.sqrt,
+  log: Math.log,
+  exp: Math.exp,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+};
+
+const CONSTANTS = { PI: Math.PI, E: Math.E, NaN: NaN, Infinity: Infinity };
+
+const BINARY_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '==': (a, b) => a == b,
+  '!=': (a, b) => a != b,
+  '===': (a, b) => a === b,
+  '!==': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+const UNARY_OPERATORS = {
+  '!': (a) => !a,
+  '-': (a) => -a,
+  '+': (a) => +a
+};
+
+function checkRegexpArguments([pattern, flags]) {
+  const isStringLiteral = (node) => node && node.type === 'Literal' && typeof node.value === 'string';
+  if (!isStringLiteral(pattern) || (flags && !isStringLiteral(flags))) {
+    throw new Error('regexp() needs a literal pattern and flags');
+  }
+  new RegExp(pattern.value, flags ? flags.value : undefined);
+  const unsafe = findUnsafeRegexConstruct(pattern.value);
+  if (unsafe) throw new Error(`Unsupported regexp pattern: ${unsafe}`);
+}
+
+// Compiles an AST node into a closure over the datum
+function compileNode(node) {
+  switch (node.type) {
+    case 'Literal': {
+      const { value } = node;
+      return () => value;
+    }
+    case 'Identifier':
+      if (node.name === 'datum') return (datum) => datum;
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) return () => CONSTANTS[node.name];
+      throw new Error(`Unsupported identifier "${node.name}"`);
+    case 'MemberExpression': {
+      const object = compileNode(node.object);
+      const property = node.computed ? compileNode(node.property) : () => node.property.name;
+      return (datum) => {
+        const target = object(datum);
+        const key = property(datum);
+        if (target === null || target === undefined) return undefined;
+        if (key === 'length') return target.length;
+        return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+      };
+    }
+    case 'ArrayExpression': {
+      const elements = node.elements.map(compileNode);
+      return (datum) => elements.map(element => element(datum));
+    }
+    case 'CallExpression': {
+      const name = node.callee.name;
+      if (node.callee.type !== 'Identifier' || !Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+        throw new Error(`Unsupported function "${name || node.callee.type}"`);
+      }
+      const fn = FUNCTIONS[name];
+      if (name === 'regexp') checkRegexpArguments(node.arguments);
+      const args = node.arguments.map(compileNode);
+      if (name === 'if') {
+        const [test, whenTrue, whenFalse] = args;
+        return (datum) => (test(datum) ? whenTrue(datum) : whenFalse(datum));
+      }
+      return (datum) => fn(...args.map(arg => arg(datum)));
+    }
+    case 'BinaryExpression': {
+      const operator = BINARY_OPERATORS[node.operator];
+      if (!operator) throw new Error(`Unsupported operator "${node.operator}"`);
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (datum) => operator(left(datum), right(datum));
+    }
+    case 'LogicalExpression': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return node.operator === '&&'
+        ? (datum) => left(datum) && right(datum)
+        : (datum) => left(datum) || right(datum);
+    }
+    case 'UnaryExpression': {
+      const operator = UNARY_OPERATORS[node.operator];
+      if (!operator) throw new Error(`Unsupported operator "${node.operator}"`);
+      const argument = compileNode(node.argument);
+      return (datum) => operator(argument(datum));
+    }
+    case 'ConditionalExpression': {
+      const test = compileNode(node.test);
+      const consequent = compileNode(node.consequent);
+      const alternate = compileNode(node.alternate);
+      return (datum) => (test(datum) ? consequent(datum) : alternate(datum));
+    }
+    default:
+      throw new Error(`Unsupported expression node "${node.type}"`);
+  }
+}
+
+function compileVegaExpression(source) {
+  return compileNode(parseExpression(String(source)));
+}
+
+// Field predicates follow the expressions Vega-Lite generates for them (strict equality, "valid" means a finite number)
+function compileFieldPredicate(predicate) {
+  const { field } = predicate;
+  if (predicate.timeUnit || typeof field !== 'string') {
+    throw new Error('Unsupported field predicate');
+  }
+  const get = (datum) => datum[field];
+
+  if ('equal' in predicate) return (datum) => get(datum) === predicate.equal;
+  if ('lt' in predicate) return (datum) => get(datum) < predicate.lt;
+  if ('lte' in predicate) return (datum) => get(datum) <= predicate.lte;
+  if ('gt' in predicate) return (datum) => get(datum) > predicate.gt;
+  if ('gte' in predicate) return (datum) => get(datum) >= predicate.gte;
+  if ('oneOf' in predicate) return (datum) => predicate.oneOf.includes(get(datum));
+  if ('range' in predicate) {
+    const [low, high] = predicate.range;
+    return (datum) => {
+      const value = get(datum);
+      return (low === null || low === undefined || value >= low) && (high === null || high === undefined || value <= high);
+    };
+  }
+  if ('valid' in predicate) {
+    return (datum) => {
+      const valid = isValid(get(datum)) && Number.isFinite(+get(datum));
+      return predicate.valid ? valid : !valid;
+    };
+  }
+  throw new Error('Unsupported field predicate');
+}
+
+// A filter is an expression string, a field predicate or an and/or/not composition of them
+function compileVegaPredicate(predicate) {
+  if (typeof predicate === 'string') {
+    const evaluate = compileVegaExpression(predicate);
+    return (datum) => !!evaluate(datum);
+  }
+  if (!predicate || typeof predicate !== 'object') {
+    throw new Error('Unsupported predicate');
+  }
+  if (Array.isArray(predicate.and)) {
+    const predicates = predicate.and.map(compileVegaPredicate);
+    return (datum) => predicates.every(test => test(datum));
+  }
+  if (Array.isArray(predicate.or)) {
+    const predicates = predicate.or.map(compileVegaPredicate);
+    return (datum) => predicates.some(test => test(datum));
+  }
+  if (predicate.not !== undefined) {
+    const test = compileVegaPredicate(predicate.not);
+    return (datum) => !test(datum);
+  }
+  return compileFieldPredicate(predicate);
+}
+
+module.exports = {
+  compileVegaExpression,
+  compileVegaPredicate
+};
@@ -1,19 +1,30 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { VegaLite } from 'react-vega';
 import axios from 'axios';
-import { FileUpload, DataPreview } from './csvhandle.js';
+import { FileUpload, DataQualityReport } from './csvhandle.js';
+import DataGrid, { describeScope } from './DataGrid';
 import userAvatar from './pictures/user.jpg';
 import assistantAvatar from './pictures/aiassistant.jpg';
 import Spinner from './Spinner';
-
-function formatStatisticOutput(output) {
-  if (typeof output === 'object' && output !== null) {
-    return Object.entries(output)
-      .map(([key, value]) => `${key}: ${value}`)
-      .join('\n');
-  }
-  return output.toString();
-}
+import { streamGenerateResponse } from './streamResponse.js';
+import SessionSidebar from './SessionSidebar';
+import ResultActions from './ResultActions';
+import StatisticOutput from './StatisticOutput';
+import ChartEditor from './ChartEditor';
+import { chartSource, fieldTypes, toEditableSpec, validateSpec } from './chartEditing.js';
+import { buildHTMLReport, buildMarkdownReport, displayedChartSpec, downloadFile, toFileName } from './exportResults.js';
+import {
+  listSessions,
+  loadSession,
+  createSession,
+  saveDataset,
+  updateSession,
+  renameSession,
+  deleteSession,
+} from './sessionStore.js';
+
+// Message edits are written to IndexedDB at most this often
+const SESSION_SAVE_DELAY_MS = 500;
 
 const debugDataFlow = {
   validatePayload: (data, query, datasetInfo) => {
@@ -25,9 +36,8 @@ const debugDataFlow = {
       console.log("Data sample:", data.slice(0, 2));
     }
     
-    if (!datasetInfo) {
-      issues.push("Dataset info is null");
-    } else {
+    // Column profiles come from the server when the dataset is registered; inline requests are profiled there
+    if (datasetInfo) {
       if (!datasetInfo.columns || datasetInfo.columns.length === 0) {
         issues.push("No columns defined in dataset info");
       }
@@ -79,51 +89,224 @@ const debugDataFlow = {
       debugInfo: {
         hasChartSpec: !!response.chartSpec,
         hasDescription: !!response.description,
-        hasOutput: !!response.output,
+        hasOutput: response.output !== undefined,
         hasError: !!response.error
       }
     };
   }
 };
 
-function ChartRenderer({ spec }) {
+// Edits of charts over scoped, transformed or cleaned rows are sent to the server for
+// rebuilding at most this often; charts over the client's own rows re-render locally
+const CHART_PREPARE_DELAY_MS = 400;
+
+const EDITOR_UNAVAILABLE = 'This chart cannot be edited because its data is no longer available. Ask the question again to edit it.';
+const EDITOR_NEEDS_DATASET = 'Upload the dataset again to edit this chart.';
+
+const serverErrorMessage = (error) => {
+  const body = (error.response && error.response.data) || {};
+  return [body.error || error.message, ...(body.details || [])].join('\n');
+};
+
+function ChartRenderer({ message, data, datasetInfo, onEdit }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editStatus, setEditStatus] = useState(null);
+  const [unavailable, setUnavailable] = useState(null);
+  const prepareTimerRef = useRef(null);
+  const prepareRequestRef = useRef(0);
+
+  const spec = message.chartSpec;
+  const editedSpec = message.editedChartSpec || null;
+  const editedRender = message.editedChartRender || null;
+  const source = useMemo(() => chartSource(spec), [spec]);
+  const rendersLocally = source.clientData && !!data;
+  const displayedSpec = useMemo(
+    () => displayedChartSpec({ chartSpec: spec, editedChartSpec: editedSpec, editedChartRender: editedRender }, data),
+    [spec, editedSpec, editedRender, data]
+  );
+  const editableSpec = useMemo(() => editedSpec || (spec ? toEditableSpec(spec) : null), [spec, editedSpec]);
+  const types = useMemo(() => fieldTypes(spec, datasetInfo), [spec, datasetInfo]);
+
+  useEffect(() => () => clearTimeout(prepareTimerRef.current), []);
+
   if (!spec) {
     return null;
   }
 
+  const markUnavailable = (reason) => {
+    setUnavailable(reason);
+    setIsEditing(false);
+  };
+
+  const openEditor = () => {
+    if (rendersLocally || source.server) {
+      setIsEditing(true);
+    } else {
+      markUnavailable(source.clientData ? EDITOR_NEEDS_DATASET : EDITOR_UNAVAILABLE);
+    }
+  };
+
+  // Only the latest edit's response is applied
+  const prepareEdit = async (nextSpec) => {
+    const requestId = ++prepareRequestRef.current;
+    try {
+      const response = await axios.post(`${process.env.REACT_APP_API_URL}/api/charts/prepare`, {
+        chartSpec: nextSpec,
+        ...source.server,
+      });
+      if (requestId !== prepareRequestRef.current) return;
+      onEdit({ editedChartRender: response.data.chartSpec });
+      setEditStatus(null);
+    } catch (error) {
+      if (requestId !== prepareRequestRef.current) return;
+      if (error.response && error.response.status === 404) {
+        markUnavailable(serverErrorMessage(error));
+        return;
+      }
+      setEditStatus({ error: true, message: serverErrorMessage(error) });
+    }
+  };
+
+  const handleEdit = (nextSpec) => {
+    clearTimeout(prepareTimerRef.current);
+    prepareRequestRef.current += 1;
+    if (rendersLocally) {
+      onEdit({ editedChartSpec: nextSpec, editedChartRender: null });
+      return;
+    }
+    onEdit({ editedChartSpec: nextSpec });
+    if (validateSpec(nextSpec)) {
+      setEditStatus(null);
+      return;
+    }
+    setEditStatus({ message: 'Updating the chart…' });
+    prepareTimerRef.current = setTimeout(() => prepareEdit(nextSpec), CHART_PREPARE_DELAY_MS);
+  };
+
+  const handleReset = () => {
+    clearTimeout(prepareTimerRef.current);
+    prepareRequestRef.current += 1;
+    setEditStatus(null);
+    onEdit({ editedChartSpec: null, editedChartRender: null });
+  };
+
+  const editor = isEditing && (
+    <ChartEditor
+      spec={editableSpec}
+      types={types}
+      status={editStatus}
+      shareEdits={message.shareChartEdits !== false}
+      onChange={handleEdit}
+      onShareEditsChange={(shareChartEdits) => onEdit({ shareChartEdits })}
+      onReset={handleReset}
+      onClose={() => setIsEditing(false)}
+    />
+  );
+  const showsEdit = editedSpec && (rendersLocally || editedRender);
+  const editControls = (
+    <div className="flex items-center gap-3 mt-1 text-xs text-[#281332]">
+      {!isEditing && !unavailable && (
+        <button className="underline" onClick={openEditor}>Edit chart</button>
+      )}
+      {showsEdit && <span className="text-gray-500">Edited</span>}
+      {editedSpec && !showsEdit && !isEditing && (
+        <span className="text-gray-500">
+          {source.clientData
+            ? 'Showing the original chart; upload the dataset again to see your edits.'
+            : 'Showing the original chart; your edits could not be rebuilt.'}
+        </span>
+      )}
+      {unavailable && <span className="text-gray-500 whitespace-pre-wrap">{unavailable}</span>}
+    </div>
+  );
+
   try {
-    if (!spec.mark || !spec.encoding) {
+    if (!displayedSpec.mark || !displayedSpec.encoding) {
       throw new Error('Invalid chart specification: missing required properties');
     }
+    const specError = editedSpec && rendersLocally ? validateSpec(editedSpec) : null;
+    if (specError) {
+      throw new Error(specError);
+    }
 
     return (
       <div className="mt-4">
-        <VegaLite spec={spec} />
+        <VegaLite spec={displayedSpec} />
+        {editControls}
+        {editor}
       </div>
     );
   } catch (error) {
     console.error('Error rendering chart:', error);
     return (
-      <div className="mt-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
-        <p>Failed to render the chart. Please check the chart specification.</p>
-        <pre>{error.message}</pre>
+      <div className="mt-4">
+        <div className="p-4 bg-red-100 border border-red-400 text-red-700 rounded">
+          <p>Failed to render the chart. Please check the chart specification.</p>
+          <pre className="whitespace-pre-wrap">{error.message}</pre>
+        </div>
+        {editControls}
+        {editor}
       </div>
     );
   }
 }
 
-function Chatbot({ data }) {
+function Chatbot({
+  data,
+  datasetId,
+  datasetInfo,
+  scope,
+  onClearScope,
+  initialMessages = [],
+  onMessagesChange,
+  reportTitle,
+}) {
   const [userQuery, setUserQuery] = useState('');
-  const [conversationHistory, setConversationHistory] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [conversationHistory, setConversationHistory] = useState(initialMessages);
   const [isLoading, setIsLoading] = useState(false);
 
   const placeholderIdRef = useRef(null);
   const messagesEndRef = useRef(null);
+  const conversationIdRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   const generateMessageId = () => {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   };
 
+  // Chart editor changes are kept on the message, so they are saved with the session
+  const handleChartEdit = (messageId, changes) => {
+    setConversationHistory((prevHistory) =>
+      prevHistory.map((message) => (message.id === messageId ? { ...message, ...changes } : message))
+    );
+  };
+
+  useEffect(() => {
+    // A new dataset starts a new server-side conversation
+    conversationIdRef.current = null;
+  }, [datasetId]);
+
+  const ensureConversation = async () => {
+    if (conversationIdRef.current) {
+      return conversationIdRef.current;
+    }
+    const response = await axios.post(
+      `${process.env.REACT_APP_API_URL}/api/conversations`,
+      { datasetId: datasetId }
+    );
+    conversationIdRef.current = response.data.id;
+    console.log('Started conversation:', response.data.id);
+    return response.data.id;
+  };
+
+  useEffect(() => {
+    if (onMessagesChange) {
+      onMessagesChange(conversationHistory);
+    }
+  }, [conversationHistory, onMessagesChange]);
+
   useEffect(() => {
     if (messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
@@ -158,7 +341,12 @@ function Chatbot({ data }) {
     setIsLoading(true);
 
     const userMessageId = generateMessageId();
-    const userMessage = { id: userMessageId, sender: 'user', text: userQuery };
+    const userMessage = {
+      id: userMessageId,
+      sender: 'user',
+      text: userQuery,
+      scopeLabel: scope ? describeScope(scope) : null,
+    };
     setConversationHistory((prevHistory) => [...prevHistory, userMessage]);
 
     if (!data) {
@@ -188,9 +376,6 @@ function Chatbot({ data }) {
       return;
     }
     
-    const datasetInfo = getDatasetInfo(data);
-    console.log('Dataset Info:', JSON.stringify(datasetInfo, null, 2));
-
     const validationResult = debugDataFlow.validatePayload(data, userQuery, datasetInfo);
     if (!validationResult.isValid) {
       console.error("Payload validation failed:", validationResult.issues);
@@ -212,21 +397,98 @@ function Chatbot({ data }) {
       sender: 'assistant',
       text: 'Working on it... this may take a few seconds.',
       isLoading: true,
+      steps: [],
+      streamedText: '',
     };
     setConversationHistory((prevHistory) => [...prevHistory, placeholderMessage]);
     placeholderIdRef.current = placeholderMessageId;
 
+    const updatePlaceholder = (update) => {
+      setConversationHistory((prevHistory) =>
+        prevHistory.map((message) =>
+          message.id === placeholderMessageId ? { ...message, ...update(message) } : message
+        )
+      );
+    };
+
+    // Progress events from the server replace the static placeholder as the agent works
+    const handleStreamEvent = (event, payload) => {
+      if (event === 'tool_call') {
+        updatePlaceholder((message) => ({
+          steps: [...message.steps, { id: payload.id, name: payload.name, args: payload.arguments, status: 'running' }],
+        }));
+      } else if (event === 'tool_result') {
+        updatePlaceholder((message) => {
+          const steps = [...message.steps];
+          // Parallel calls of the same tool are told apart by their tool call id
+          const index = payload.id
+            ? steps.findIndex((step) => step.id === payload.id)
+            : steps.map((step) => step.name).lastIndexOf(payload.name);
+          if (index >= 0) {
+            steps[index] = { ...steps[index], status: payload.success ? 'done' : 'failed' };
+          }
+          return { steps };
+        });
+      } else if (event === 'delta') {
+        updatePlaceholder((message) => ({ streamedText: message.streamedText + payload.text }));
+      } else if (event === 'repair') {
+        // The rejected answer is being regenerated, so drop its partial description
+        updatePlaceholder(() => ({ streamedText: '' }));
+      }
+    };
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    const streamOptions = { onEvent: handleStreamEvent, signal: abortController.signal };
+
     try {
       console.log('Sending request to server with validated payload');
 
-      const response = await axios.post(
-        `${process.env.REACT_APP_API_URL}/api/generate-response`,
-        {
-          userQuery: userQuery,
-          datasetInfo: datasetInfo,
-          data: data,
+      // A grid selection only applies to this question
+      const scopePayload = scope
+        ? { scope: { ...(scope.columns && { columns: scope.columns }), ...(scope.filters && { filters: scope.filters }) } }
+        : {};
+      onClearScope();
+
+      // Edits to the latest chart replace it as the chart that follow-ups refer to
+      const lastChartMessage = [...conversationHistory].reverse().find((message) => message.chartSpec);
+      const chartPayload = lastChartMessage && lastChartMessage.editedChartSpec && lastChartMessage.shareChartEdits !== false
+        ? { chartSpec: lastChartMessage.editedChartSpec }
+        : {};
+
+      const inlinePayload = {
+        userQuery: userQuery,
+        data: data,
+        ...scopePayload,
+        ...chartPayload,
+      };
+
+      let conversationId = null;
+      try {
+        conversationId = await ensureConversation();
+      } catch (error) {
+        // Follow-ups lose context, but the question itself can still be answered
+        console.warn('Failed to start a conversation:', error.message);
+      }
+
+      let response;
+      try {
+        response = await streamGenerateResponse(
+          datasetId
+            ? { userQuery: userQuery, datasetId: datasetId, conversationId: conversationId, ...scopePayload, ...chartPayload }
+            : { ...inlinePayload, conversationId: conversationId },
+          streamOptions
+        );
+      } catch (error) {
+        // The server keeps datasets and conversations in memory, so resend inline if either expired
+        if (error.response?.status !== 404) {
+          throw error;
         }
-      );
+        console.warn('Dataset or conversation not found on server, resending data inline');
+        conversationIdRef.current = null;
+        updatePlaceholder(() => ({ steps: [], streamedText: '' }));
+        response = await streamGenerateResponse(inlinePayload, streamOptions);
+      }
 
       console.log('Received response from server:', response);
 
@@ -236,7 +498,7 @@ function Chatbot({ data }) {
         throw new Error(responseValidation.issues.join(', '));
       }
 
-      const { chartSpec, description, output, error } = response.data;
+      const { chartSpec, description, output, outputMeta, error } = response.data;
       const currentPlaceholderId = placeholderIdRef.current;
 
       if (error) {
@@ -253,9 +515,6 @@ function Chatbot({ data }) {
           throw new Error('Invalid chart specification received from server');
         }
         
-        const sampledData = sampleData(data);
-        chartSpec.data = { values: sampledData };
-
         setConversationHistory((prevHistory) =>
           prevHistory.map((message) =>
             message.id === currentPlaceholderId
@@ -263,6 +522,7 @@ function Chatbot({ data }) {
                   ...message,
                   text: description,
                   chartSpec: chartSpec,
+                  ...(output !== undefined && { output, outputMeta }),
                   isLoading: false,
                 }
               : message
@@ -270,16 +530,15 @@ function Chatbot({ data }) {
         );
         console.log('Updated with chart and description');
       } else if (output !== undefined) {
-        // Updated output handling using formatStatisticOutput
-        const formattedOutput = formatStatisticOutput(output);
+        // The output itself is rendered as cards or a table under the description
         setConversationHistory((prevHistory) =>
           prevHistory.map((message) =>
             message.id === currentPlaceholderId
-              ? { ...message, text: formattedOutput, isLoading: false }
+              ? { ...message, text: description || '', output, outputMeta, isLoading: false }
               : message
           )
         );
-        console.log('Updated with formatted output:', formattedOutput);
+        console.log('Updated with output:', output);
       } else {
         throw new Error('Invalid response format from server');
       }
@@ -287,7 +546,9 @@ function Chatbot({ data }) {
       console.error('Error:', error.response ? error.response.data : error.message);
 
       let errorMessage = 'An error occurred while processing your request. ';
-      if (error.response) {
+      if (error.name === 'AbortError') {
+        errorMessage = 'Request cancelled.';
+      } else if (error.response) {
         if (error.response.status === 429) {
           errorMessage = 'Rate limit exceeded. Please wait a moment and try again.';
         } else {
@@ -309,10 +570,18 @@ function Chatbot({ data }) {
       console.log('handleSendQuery: Request finished');
       setIsLoading(false);
       placeholderIdRef.current = null;
+      abortControllerRef.current = null;
       setUserQuery('');
     }
   };
 
+  const handleCancelQuery = () => {
+    if (abortControllerRef.current) {
+      console.log('handleCancelQuery: Cancelling in-flight request');
+      abortControllerRef.current.abort();
+    }
+  };
+
   const handleInputKeyDown = (e) => {
     if (e.key === 'Enter') {
       console.log('handleInputKeyDown: Enter key pressed');
@@ -321,7 +590,34 @@ function Chatbot({ data }) {
     }
   };
 
+  // Whole conversation as a self-contained report file
+  const handleExportReport = async (format) => {
+    setIsExporting(true);
+    setExportError(null);
+    const title = reportTitle ? `${reportTitle} - analysis report` : 'Data analysis report';
+    try {
+      if (format === 'html') {
+        const html = await buildHTMLReport(conversationHistory, { title, data });
+        downloadFile(html, `${toFileName(title, 'report')}.html`, 'text/html');
+      } else {
+        const markdown = await buildMarkdownReport(conversationHistory, { title, data });
+        downloadFile(markdown, `${toFileName(title, 'report')}.md`, 'text/markdown');
+      }
+    } catch (error) {
+      console.error('Failed to export the conversation:', error);
+      setExportError(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleClearMessages = () => {
+    if (conversationIdRef.current) {
+      axios
+        .delete(`${process.env.REACT_APP_API_URL}/api/conversations/${conversationIdRef.current}`)
+        .catch((error) => console.warn('Failed to delete conversation:', error.message));
+      conversationIdRef.current = null;
+    }
     setConversationHistory([]);
     setUserQuery('');
   };
@@ -362,16 +658,46 @@ function Chatbot({ data }) {
                   }`}
                 >
                   {message.isLoading ? (
-                    <div className="flex items-center">
-                      <Spinner />
-                      <span className="ml-2">{message.text}</span>
+                    <div>
+                      <div className="flex items-center">
+                        <Spinner />
+                        <span className="ml-2">{message.streamedText || message.text}</span>
+                      </div>
+                      {message.steps && message.steps.length > 0 && (
+                        <ul className="mt-2 text-xs text-gray-300">
+                          {message.steps.map((step, index) => (
+                            <li key={index}>
+                              {step.status === 'running' ? '…' : step.status === 'done' ? '✓' : '✗'}{' '}
+                              {step.name}({Object.entries(step.args || {})
+                                .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+                                .join(', ')})
+                            </li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
                   ) : (
                     message.text
                   )}
                 </div>
+                {message.scopeLabel && (
+                  <div className="text-xs text-gray-500 text-right mt-1">About: {message.scopeLabel}</div>
+                )}
                 {message.sender === 'assistant' && message.chartSpec && (
-                  <ChartRenderer spec={message.chartSpec} />
+                  <ChartRenderer
+                    message={message}
+                    data={data}
+                    datasetInfo={datasetInfo}
+                    onEdit={(changes) => handleChartEdit(message.id, changes)}
+                  />
+                )}
+                {message.sender === 'assistant' && !message.isLoading && message.output !== undefined && (
+                  <div className="mt-2">
+                    <StatisticOutput output={message.output} meta={message.outputMeta} />
+                  </div>
+                )}
+                {message.sender === 'assistant' && !message.isLoading && (
+                  <ResultActions message={message} data={data} />
                 )}
               </div>
             </div>
@@ -380,6 +706,38 @@ function Chatbot({ data }) {
         <div ref={messagesEndRef} />
       </div>
 
+      {conversationHistory.length > 0 && (
+        <div className="flex items-center justify-end gap-2 mt-2 text-sm text-[#281332]">
+          {exportError && <span className="text-red-700">{exportError}</span>}
+          <span>Export conversation:</span>
+          <button
+            onClick={() => handleExportReport('html')}
+            disabled={isExporting || isLoading}
+            className="px-3 py-1 bg-gray-200 rounded-full hover:bg-gray-300 disabled:opacity-50"
+          >
+            HTML
+          </button>
+          <button
+            onClick={() => handleExportReport('markdown')}
+            disabled={isExporting || isLoading}
+            className="px-3 py-1 bg-gray-200 rounded-full hover:bg-gray-300 disabled:opacity-50"
+          >
+            Markdown
+          </button>
+        </div>
+      )}
+
+      {scope && (
+        <div className="flex items-center mt-4 text-sm text-[#281332]">
+          <span className="px-3 py-1 bg-gray-200 rounded-full">
+            Next question is about {describeScope(scope)}
+            <button onClick={onClearScope} className="ml-2 text-gray-500 hover:text-gray-700" title="Ask about the whole dataset">
+              ✕
+            </button>
+          </span>
+        </div>
+      )}
+
       <div className="flex items-center mt-4">
         <input
           className="flex-grow p-3 border rounded-full border-gray-300 focus:outline-none focus:ring-2 focus:ring-[#4b284e] text-gray-700"
@@ -389,15 +747,21 @@ function Chatbot({ data }) {
           onChange={(e) => setUserQuery(e.target.value)}
           onKeyDown={handleInputKeyDown}
         />
-        <button
-          className={`ml-2 px-6 py-3 bg-[#4b284e] text-white rounded-full hover:bg-[#5c3c5c] focus:outline-none focus:ring-2 focus:ring-[#4b284e] ${
-            isLoading ? 'opacity-50 cursor-not-allowed' : ''
-          }`}
-          onClick={handleSendQuery}
-          disabled={isLoading}
-        >
-          Send
-        </button>
+        {isLoading ? (
+          <button
+            className="ml-2 px-6 py-3 bg-gray-500 text-white rounded-full hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            onClick={handleCancelQuery}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            className="ml-2 px-6 py-3 bg-[#4b284e] text-white rounded-full hover:bg-[#5c3c5c] focus:outline-none focus:ring-2 focus:ring-[#4b284e]"
+            onClick={handleSendQuery}
+          >
+            Send
+          </button>
+        )}
         <button
           className={`ml-2 px-6 py-3 bg-red-500 text-white rounded-full focus:outline-none focus:ring-2 focus:ring-red-500 ${
             isLoading ? 'opacity-50 cursor-not-allowed' : 'hover:bg-red-600'
@@ -412,96 +776,175 @@ function Chatbot({ data }) {
   );
 }
 
-function getDatasetInfo(data) {
-  if (!data || data.length === 0) {
-    console.error('getDatasetInfo: Data is empty or undefined');
-    return null;
-  }
-
-  const columns = Object.keys(data[0]);
-  const dataTypes = {};
-  const sampleValues = {};
-
-  columns.forEach((col) => {
-    const values = data.map((row) => row[col]);
-    dataTypes[col] = inferVegaLiteType(values);
-    sampleValues[col] = values.slice(0, 3);
-  });
-
-  return { columns, dataTypes, sampleValues };
-}
-
-function inferVegaLiteType(values) {
-  const sampleSize = 30;
-  const spread = Math.floor(values.length / 3);
-  const sampleValues = [
-    ...values.slice(0, sampleSize),
-    ...values.slice(spread, spread + sampleSize),
-    ...values.slice(-sampleSize)
-  ].filter(v => v !== null && v !== undefined);
-
-  if (sampleValues.length === 0) return 'nominal';
+function App() {
+  const [data, setData] = useState(null);
+  const [datasetId, setDatasetId] = useState(null);
+  const [datasetInfo, setDatasetInfo] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [scope, setScope] = useState(null);
+  // Remounts the grid so sort and filters of the previous file are dropped
+  const [uploadCount, setUploadCount] = useState(0);
+  const [sessions, setSessions] = useState([]);
+  const [activeSession, setActiveSession] = useState(null);
+  // Messages the chat starts from when a session is opened
+  const [sessionMessages, setSessionMessages] = useState([]);
+  const [awaitingDataset, setAwaitingDataset] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  // Remounts the upload box when another session is opened, so its options no longer apply
+  const [fileUploadKey, setFileUploadKey] = useState(0);
+  const saveTimerRef = useRef(null);
+
+  const registerDataset = async (parsedData) => {
+    try {
+      const response = await axios.post(
+        `${process.env.REACT_APP_API_URL}/api/datasets`,
+        { data: parsedData }
+      );
+      setDatasetId(response.data.id);
+      setDatasetInfo(response.data.info);
+      setValidation(response.data.validation);
+      console.log('Registered dataset on server:', response.data.id);
+    } catch (error) {
+      // Queries still work without an id by sending the data inline
+      console.error('Failed to register dataset:', error.response ? error.response.data : error.message);
+    }
+  };
 
-  const allNumbers = sampleValues.every(
-    (v) => !isNaN(Number(v)) && v !== ''
-  );
-  if (allNumbers) {
-    return 'quantitative';
-  }
+  const showDataset = (parsedData) => {
+    if (datasetId) {
+      axios
+        .delete(`${process.env.REACT_APP_API_URL}/api/datasets/${datasetId}`)
+        .catch((error) => console.warn('Failed to delete previous dataset:', error.message));
+    }
 
-  const allDates = sampleValues.every(
-    (v) => !isNaN(Date.parse(String(v)))
-  );
-  if (allDates) {
-    return 'temporal';
-  }
+    setData(parsedData);
+    setDatasetId(null);
+    setDatasetInfo(null);
+    setValidation(null);
+    setScope(null);
+    setUploadCount((count) => count + 1);
+    if (parsedData) {
+      console.log('Parsed Data Sample:', parsedData.slice(0, 2));
+      registerDataset(parsedData);
+    }
+  };
 
-  const uniqueValues = new Set(sampleValues);
-  const uniqueRatio = uniqueValues.size / sampleValues.length;
-  
-  if (uniqueRatio < 0.3) {
-    return 'ordinal';
-  }
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+      setStorageError(null);
+    } catch (error) {
+      console.warn('Failed to list saved sessions:', error.message);
+      setStorageError(`Sessions are not saved: ${error.message}`);
+    }
+  }, []);
 
-  return 'nominal';
-}
+  // A new file starts a new session, unless the open session is waiting for its data to be re-uploaded
+  const persistDataset = async (parsedData, fileName, isNewFile) => {
+    try {
+      let session;
+      if (activeSession && (!isNewFile || awaitingDataset)) {
+        session = await saveDataset(activeSession.id, parsedData, { fileName });
+      } else {
+        session = await createSession({ name: fileName, data: parsedData, fileName });
+        setSessionMessages([]);
+      }
+      setActiveSession(session);
+      setAwaitingDataset(false);
+    } catch (error) {
+      console.warn('Failed to save the dataset in the browser:', error.message);
+      setStorageError(`Sessions are not saved: ${error.message}`);
+    }
+    refreshSessions();
+  };
 
-function sampleData(data, sampleSize = 1000) {
-  if (!data || data.length === 0) {
-    console.error('sampleData: Empty or null data provided');
-    return [];
-  }
+  const handleFileUploaded = (parsedData, { fileName = null, isNewFile = true } = {}) => {
+    if (!parsedData || parsedData.length === 0) {
+      console.error('Empty or invalid data received from file upload');
+      return;
+    }
 
-  if (data.length <= sampleSize) {
-    return data;
-  }
+    showDataset(parsedData);
+    persistDataset(parsedData, fileName, isNewFile);
+  };
 
-  const result = [];
-  const step = data.length / sampleSize;
-  
-  for (let i = 0; i < sampleSize; i++) {
-    const index = Math.floor(i * step);
-    if (index < data.length) {
-      result.push(data[index]);
+  const openSession = async (id) => {
+    try {
+      const { session, data: storedData } = await loadSession(id);
+      const { messages, ...summary } = session;
+      setActiveSession(summary);
+      setSessionMessages(messages);
+      setAwaitingDataset(!storedData);
+      setFileUploadKey((key) => key + 1);
+      showDataset(storedData);
+    } catch (error) {
+      console.warn('Failed to open session:', error.message);
+      setStorageError(`Could not open the session: ${error.message}`);
     }
-  }
+    refreshSessions();
+  };
 
-  return result;
-}
+  const handleNewSession = () => {
+    setActiveSession(null);
+    setSessionMessages([]);
+    setAwaitingDataset(false);
+    setFileUploadKey((key) => key + 1);
+    showDataset(null);
+  };
 
-function App() {
-  const [data, setData] = useState(null);
+  const handleRenameSession = async (id, name) => {
+    try {
+      const session = await renameSession(id, name);
+      if (activeSession && activeSession.id === id) {
+        setActiveSession((current) => ({ ...current, name: session.name }));
+      }
+    } catch (error) {
+      console.warn('Failed to rename session:', error.message);
+    }
+    refreshSessions();
+  };
 
-  const handleFileUploaded = (parsedData) => {
-    if (!parsedData || parsedData.length === 0) {
-      console.error('Empty or invalid data received from file upload');
-      return;
+  const handleDeleteSession = async (id) => {
+    try {
+      await deleteSession(id);
+      if (activeSession && activeSession.id === id) {
+        handleNewSession();
+      }
+    } catch (error) {
+      console.warn('Failed to delete session:', error.message);
     }
-    
-    setData(parsedData);
-    console.log('Parsed Data Sample:', parsedData.slice(0, 2));
+    refreshSessions();
   };
 
+  const activeSessionId = activeSession ? activeSession.id : null;
+  const handleMessagesChange = useCallback((messages) => {
+    if (!activeSessionId) return;
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(() => {
+      // Requests still in progress are not worth restoring
+      updateSession(activeSessionId, { messages: messages.filter((message) => !message.isLoading) })
+        .then(refreshSessions)
+        .catch((error) => console.warn('Failed to save messages:', error.message));
+    }, SESSION_SAVE_DELAY_MS);
+  }, [activeSessionId, refreshSessions]);
+
+  // Reopen the most recent session after a page reload
+  const openSessionRef = useRef(openSession);
+  openSessionRef.current = openSession;
+  useEffect(() => {
+    listSessions()
+      .then((list) => {
+        setSessions(list);
+        if (list.length > 0) {
+          openSessionRef.current(list[0].id);
+        }
+      })
+      .catch((error) => {
+        console.warn('Failed to restore sessions:', error.message);
+        setStorageError(`Sessions are not saved: ${error.message}`);
+      });
+  }, []);
+
   return (
     <div className="flex flex-col min-h-screen bg-[#f9f5f1]">
       <div className="p-6">
@@ -510,18 +953,48 @@ function App() {
         </h1>
       </div>
 
-      <div className="flex flex-col flex-grow p-4 bg-white rounded-t-lg shadow-lg">
-        <div className="mb-4">
-          <FileUpload onFileUploaded={handleFileUploaded} />
-        </div>
+      <div className="flex flex-grow">
+        <SessionSidebar
+          sessions={sessions}
+          activeSessionId={activeSessionId}
+          error={storageError}
+          onOpen={openSession}
+          onRename={handleRenameSession}
+          onDelete={handleDeleteSession}
+          onNew={handleNewSession}
+        />
 
-        {data && (
+        <div className="flex flex-col flex-grow min-w-0 p-4 bg-white rounded-t-lg shadow-lg">
           <div className="mb-4">
-            <DataPreview data={data} />
+            <FileUpload key={fileUploadKey} onFileUploaded={handleFileUploaded} />
           </div>
-        )}
 
-        <Chatbot data={data} />
+          {awaitingDataset && activeSession && (
+            <p className="mb-4 p-3 border border-yellow-300 rounded-md bg-yellow-50 text-sm text-[#281332]">
+              The data of "{activeSession.name}" was not kept in this browser
+              {activeSession.fileName ? ` (${activeSession.fileName})` : ''}. Upload it again to continue the session.
+            </p>
+          )}
+
+          {data && (
+            <div className="mb-4">
+              <DataGrid key={uploadCount} data={data} datasetInfo={datasetInfo} onAskAboutView={setScope} />
+              <DataQualityReport validation={validation} />
+            </div>
+          )}
+
+          <Chatbot
+            key={activeSessionId || 'unsaved'}
+            data={data}
+            datasetId={datasetId}
+            datasetInfo={datasetInfo}
+            scope={scope}
+            onClearScope={() => setScope(null)}
+            initialMessages={sessionMessages}
+            onMessagesChange={handleMessagesChange}
+            reportTitle={activeSession ? activeSession.name : null}
+          />
+        </div>
       </div>
     </div>
   );
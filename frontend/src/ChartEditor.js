@@ -0,0 +1,218 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  MARK_TYPES,
+  EDITABLE_CHANNELS,
+  AGGREGATES,
+  COLOR_SCHEMES,
+  SORT_OPTIONS,
+  markType,
+  validateSpec,
+  parseSpecText,
+  setMark,
+  setChannelField,
+  setChannelAggregate,
+  setColorScheme,
+  setChannelSort,
+  getTitle,
+  setTitle,
+  sortValue,
+} from './chartEditing.js';
+
+const formatSpec = (spec) => JSON.stringify(spec, null, 2);
+
+const sameSpec = (text, spec) => {
+  try {
+    return JSON.stringify(JSON.parse(text)) === JSON.stringify(spec);
+  } catch (error) {
+    return false;
+  }
+};
+
+const selectClass = 'px-1 py-0.5 border rounded bg-white text-[#281332]';
+
+function ChannelRow({ channel, definition, columns, types, onChange }) {
+  const field = (definition && definition.field) || '';
+  const aggregate = (definition && definition.aggregate) || '';
+  return (
+    <tr>
+      <td className="pr-2 font-medium">{channel}</td>
+      <td className="pr-2">
+        <select
+          className={selectClass}
+          value={field}
+          onChange={(e) => onChange(setChannelField, e.target.value)}
+        >
+          <option value="">—</option>
+          {columns.map((column) => (
+            <option key={column} value={column}>{column}</option>
+          ))}
+        </select>
+      </td>
+      <td className="pr-2">
+        <select
+          className={selectClass}
+          value={aggregate}
+          onChange={(e) => onChange(setChannelAggregate, e.target.value)}
+          disabled={!definition}
+        >
+          <option value="">none</option>
+          {AGGREGATES.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      </td>
+      <td className="text-xs text-gray-500">{definition && definition.type}</td>
+    </tr>
+  );
+}
+
+// Edit panel for a rendered chart: form controls for the common changes and the raw spec as
+// JSON. Every valid change is passed to onChange right away; invalid JSON is only reported.
+// types maps the selectable fields to their types; status ({ message, error }) reports how the
+// server is getting on with rebuilding the chart.
+function ChartEditor({ spec, types, status, shareEdits, onChange, onShareEditsChange, onReset, onClose }) {
+  const [tab, setTab] = useState('controls');
+  const [text, setText] = useState(() => formatSpec(spec));
+  const [jsonError, setJsonError] = useState(null);
+
+  const columns = Object.keys(types);
+  const specError = useMemo(() => validateSpec(spec), [spec]);
+
+  // Control edits are mirrored in the JSON text, without reformatting text that already matches
+  useEffect(() => {
+    setText((current) => (sameSpec(current, spec) ? current : formatSpec(spec)));
+    setJsonError(null);
+  }, [spec]);
+
+  const handleTextChange = (value) => {
+    setText(value);
+    const result = parseSpecText(value);
+    setJsonError(result.error || null);
+    if (result.spec) {
+      onChange(result.spec);
+    }
+  };
+
+  const editChannel = (channel) => (update, value) => onChange(update(spec, channel, value, types));
+  const encoding = spec.encoding || {};
+  const sortChannels = ['x', 'y'].filter((channel) => encoding[channel]);
+
+  const tabClass = (name) =>
+    `px-3 py-1 rounded-t-md ${tab === name ? 'bg-white font-medium' : 'bg-gray-200 hover:bg-gray-300'}`;
+
+  return (
+    <div className="mt-2 p-3 bg-[#f0ebe6] rounded-lg text-sm text-[#281332]">
+      <div className="flex items-center justify-between">
+        <div className="flex gap-1">
+          <button className={tabClass('controls')} onClick={() => setTab('controls')}>Controls</button>
+          <button className={tabClass('json')} onClick={() => setTab('json')}>JSON</button>
+        </div>
+        <div className="flex gap-3 text-xs">
+          <button className="underline" onClick={onReset}>Reset to original</button>
+          <button className="underline" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      <div className="p-3 bg-white rounded-b-md rounded-tr-md">
+        {tab === 'controls' ? (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-1">
+                Mark
+                <select className={selectClass} value={markType(spec) || ''} onChange={(e) => onChange(setMark(spec, e.target.value))}>
+                  {MARK_TYPES.map((mark) => (
+                    <option key={mark} value={mark}>{mark}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-1 flex-1 min-w-[12rem]">
+                Title
+                <input
+                  className="flex-1 px-1 py-0.5 border rounded"
+                  value={getTitle(spec)}
+                  onChange={(e) => onChange(setTitle(spec, e.target.value))}
+                />
+              </label>
+            </div>
+
+            <table>
+              <thead>
+                <tr className="text-left text-xs text-gray-500">
+                  <th className="pr-2 font-normal">Channel</th>
+                  <th className="pr-2 font-normal">Field</th>
+                  <th className="pr-2 font-normal">Aggregate</th>
+                  <th className="font-normal">Type</th>
+                </tr>
+              </thead>
+              <tbody>
+                {EDITABLE_CHANNELS.map((channel) => (
+                  <ChannelRow
+                    key={channel}
+                    channel={channel}
+                    definition={encoding[channel]}
+                    columns={columns}
+                    types={types}
+                    onChange={editChannel(channel)}
+                  />
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-1">
+                Color scheme
+                <select
+                  className={selectClass}
+                  value={(encoding.color && encoding.color.scale && encoding.color.scale.scheme) || ''}
+                  onChange={(e) => onChange(setColorScheme(spec, e.target.value))}
+                  disabled={!encoding.color}
+                  title={encoding.color ? '' : 'Map a field to color first'}
+                >
+                  <option value="">default</option>
+                  {COLOR_SCHEMES.map((scheme) => (
+                    <option key={scheme} value={scheme}>{scheme}</option>
+                  ))}
+                </select>
+              </label>
+              {sortChannels.map((channel) => (
+                <label key={channel} className="flex items-center gap-1">
+                  Sort {channel}
+                  <select
+                    className={selectClass}
+                    value={sortValue(encoding[channel])}
+                    onChange={(e) => onChange(setChannelSort(spec, channel, e.target.value))}
+                  >
+                    <option value="">default</option>
+                    {SORT_OPTIONS.filter((option) => !option.value.endsWith(channel)).map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <textarea
+            className={`w-full h-72 p-2 font-mono text-xs border rounded ${jsonError ? 'border-red-500' : ''}`}
+            value={text}
+            onChange={(e) => handleTextChange(e.target.value)}
+            spellCheck={false}
+          />
+        )}
+        {(jsonError || specError) && (
+          <p className="mt-2 text-xs text-red-700">{jsonError || specError}</p>
+        )}
+        {!jsonError && !specError && status && (
+          <p className={`mt-2 text-xs whitespace-pre-wrap ${status.error ? 'text-red-700' : 'text-gray-500'}`}>{status.message}</p>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 mt-2 text-xs">
+        <input type="checkbox" checked={shareEdits} onChange={(e) => onShareEditsChange(e.target.checked)} />
+        Use the edited chart as context for my next question
+      </label>
+    </div>
+  );
+}
+
+export default ChartEditor;
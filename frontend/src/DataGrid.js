@@ -0,0 +1,397 @@
+import React, { useMemo, useState } from 'react';
+import { parseNumeric } from './values.js';
+
+// Virtualized grid over the full dataset with sort, per-column filters, search and column show/hide.
+// Filters use the backend filter language ({ field, operator, value } and { any: [...] }), so the
+// current view can be sent as the scope of the next question and applied to the server-side data.
+const ROW_HEIGHT = 33;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+const COLUMN_WIDTH = 160;
+const HISTOGRAM_BINS = 12;
+const TOP_VALUES = 5;
+
+const isMissing = (value) => value === null || value === undefined || value === '' || Number.isNaN(value);
+
+// Dates display as ISO text, date-only at midnight UTC, the same text the server stores after cleaning
+function formatValue(value) {
+  if (isMissing(value)) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return String(value);
+}
+
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (isMissing(value)) return NaN;
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+const isOrdered = (type) => type === 'quantitative' || type === 'temporal';
+const orderedValue = (type) => (type === 'temporal' ? toTime : parseNumeric);
+
+function summarizeColumn(values, type) {
+  if (isOrdered(type)) {
+    const toOrdered = orderedValue(type);
+    const numbers = values.map(toOrdered).filter(Number.isFinite);
+    if (numbers.length === 0) return null;
+    const [min, max] = numbers.reduce(([low, high], n) => [Math.min(low, n), Math.max(high, n)], [Infinity, -Infinity]);
+    const width = (max - min) / HISTOGRAM_BINS || 1;
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    numbers.forEach((n) => {
+      counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((n - min) / width))]++;
+    });
+    const label = (n) => (type === 'temporal' ? formatValue(new Date(n)) : Number(n.toPrecision(6)).toString());
+    return {
+      bars: counts.map((count, i) => ({ count, label: `${label(min + i * width)} – ${label(min + (i + 1) * width)}: ${count}` })),
+    };
+  }
+
+  const counts = new Map();
+  values.forEach((value) => {
+    if (isMissing(value)) return;
+    const key = formatValue(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  if (counts.size === 0) return null;
+  return {
+    bars: Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ count, label: `${value}: ${count}` })),
+    distinct: counts.size,
+  };
+}
+
+// Filter box syntax: ">10", "<=2020-01-01", "5..10", "=North", "!=North"; anything else is a substring match
+function parseColumnFilter(text, field, type) {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+
+  const range = /^(.+?)\s*\.\.\s*(.+)$/.exec(trimmed);
+  if (range && isOrdered(type)) {
+    const bounds = [range[1], range[2]];
+    if (!bounds.every((bound) => Number.isFinite(orderedValue(type)(bound)))) return { invalid: true };
+    return { field, operator: 'between', value: bounds.map((bound) => (type === 'quantitative' ? parseNumeric(bound) : bound)) };
+  }
+
+  const comparison = /^(>=|<=|!=|>|<|=)\s*(.*)$/.exec(trimmed);
+  if (comparison) {
+    const operator = comparison[1] === '=' ? '==' : comparison[1];
+    const operand = comparison[2];
+    if (isOrdered(type)) {
+      if (!Number.isFinite(orderedValue(type)(operand))) return { invalid: true };
+      return { field, operator, value: type === 'quantitative' ? parseNumeric(operand) : operand };
+    }
+    if (operator !== '==' && operator !== '!=') return { invalid: true };
+    return { field, operator, value: operand };
+  }
+
+  if (type === 'quantitative' && Number.isFinite(parseNumeric(trimmed))) {
+    return { field, operator: '==', value: parseNumeric(trimmed) };
+  }
+  return { field, operator: 'contains', value: trimmed };
+}
+
+// Client-side counterpart of the backend filterService for the operators the grid produces
+function matchesCondition(row, condition, types) {
+  if (condition.any) {
+    return condition.any.some((member) => matchesCondition(row, member, types));
+  }
+  const { field, operator, value } = condition;
+  const cell = row[field];
+  const type = types[field];
+
+  if (operator === 'contains') {
+    return !isMissing(cell) && formatValue(cell).toLowerCase().includes(String(value).toLowerCase());
+  }
+  if (operator === '==' || operator === '!=') {
+    const equal = !isMissing(cell) && (isOrdered(type)
+      ? orderedValue(type)(cell) === orderedValue(type)(value)
+      : formatValue(cell).toLowerCase() === String(value).toLowerCase());
+    return operator === '==' ? equal : !equal;
+  }
+
+  const toOrdered = orderedValue(type);
+  const cellValue = toOrdered(cell);
+  if (Number.isNaN(cellValue)) return false;
+  switch (operator) {
+    case '>': return cellValue > toOrdered(value);
+    case '<': return cellValue < toOrdered(value);
+    case '>=': return cellValue >= toOrdered(value);
+    case '<=': return cellValue <= toOrdered(value);
+    case 'between': return cellValue >= toOrdered(value[0]) && cellValue <= toOrdered(value[1]);
+    default: return true;
+  }
+}
+
+function compareCells(a, b, type) {
+  const aMissing = isMissing(a);
+  const bMissing = isMissing(b);
+  if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  if (isOrdered(type)) {
+    const toOrdered = orderedValue(type);
+    return toOrdered(a) - toOrdered(b);
+  }
+  return formatValue(a).localeCompare(formatValue(b), undefined, { numeric: true });
+}
+
+export function describeScope(scope) {
+  const parts = [`${scope.rowCount.toLocaleString()} of ${scope.totalRows.toLocaleString()} rows`];
+  if (scope.columns) {
+    parts.push(scope.columns.length <= 3 ? scope.columns.join(', ') : `${scope.columns.length} columns`);
+  }
+  return parts.join(' · ');
+}
+
+function ColumnSummary({ summary }) {
+  if (!summary) {
+    return <div className="h-6" />;
+  }
+  const max = Math.max(...summary.bars.map((bar) => bar.count), 1);
+  const barWidth = 100 / summary.bars.length;
+  return (
+    <svg width="100%" height="24" viewBox="0 0 100 24" preserveAspectRatio="none" className="block">
+      {summary.bars.map((bar, i) => (
+        <rect
+          key={i}
+          x={i * barWidth + 0.5}
+          y={24 - (bar.count / max) * 24}
+          width={Math.max(barWidth - 1, 0.5)}
+          height={(bar.count / max) * 24}
+          fill="#8b6a8f"
+        >
+          <title>{bar.label}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+function DataGrid({ data, datasetInfo, onAskAboutView }) {
+  const [isGridVisible, setIsGridVisible] = useState(false);
+  const [sort, setSort] = useState(null);
+  const [filterText, setFilterText] = useState({});
+  const [search, setSearch] = useState('');
+  const [hiddenColumns, setHiddenColumns] = useState([]);
+  const [selectedColumns, setSelectedColumns] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const columns = useMemo(() => {
+    const seen = new Set();
+    data.forEach((row) => Object.keys(row).forEach((column) => seen.add(column)));
+    return Array.from(seen);
+  }, [data]);
+
+  // Column types come from the server profile; until it arrives every column is text
+  const types = useMemo(() => {
+    const profiles = (datasetInfo && datasetInfo.profiles) || {};
+    const dataTypes = (datasetInfo && datasetInfo.dataTypes) || {};
+    const result = {};
+    columns.forEach((column) => {
+      result[column] = (profiles[column] && profiles[column].type) || dataTypes[column] || 'nominal';
+    });
+    return result;
+  }, [columns, datasetInfo]);
+
+  const summaries = useMemo(() => {
+    const result = {};
+    columns.forEach((column) => {
+      result[column] = summarizeColumn(data.map((row) => row[column]), types[column]);
+    });
+    return result;
+  }, [columns, data, types]);
+
+  const visibleColumns = useMemo(
+    () => columns.filter((column) => !hiddenColumns.includes(column)),
+    [columns, hiddenColumns]
+  );
+
+  const parsedFilters = useMemo(() => {
+    const result = {};
+    Object.entries(filterText).forEach(([column, text]) => {
+      const condition = parseColumnFilter(text, column, types[column]);
+      if (condition) result[column] = condition;
+    });
+    return result;
+  }, [filterText, types]);
+
+  const conditions = useMemo(() => {
+    const list = Object.values(parsedFilters).filter((condition) => !condition.invalid);
+    if (search.trim() !== '') {
+      list.push({ any: visibleColumns.map((column) => ({ field: column, operator: 'contains', value: search.trim() })) });
+    }
+    return list;
+  }, [parsedFilters, search, visibleColumns]);
+
+  const rows = useMemo(() => {
+    const filtered = conditions.length > 0
+      ? data.filter((row) => conditions.every((condition) => matchesCondition(row, condition, types)))
+      : data;
+    if (!sort) return filtered;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => {
+      const order = compareCells(a[sort.column], b[sort.column], types[sort.column]);
+      // Missing values stay at the bottom in both directions
+      return isMissing(a[sort.column]) || isMissing(b[sort.column]) ? order : order * direction;
+    });
+  }, [data, conditions, sort, types]);
+
+  const toggleSort = (column) => {
+    setSort((current) => {
+      if (!current || current.column !== column) return { column, direction: 'asc' };
+      if (current.direction === 'asc') return { column, direction: 'desc' };
+      return null;
+    });
+  };
+
+  const toggleInList = (setList, column) => {
+    setList((list) => (list.includes(column) ? list.filter((item) => item !== column) : [...list, column]));
+  };
+
+  const scopeColumns = selectedColumns.length > 0
+    ? columns.filter((column) => selectedColumns.includes(column))
+    : hiddenColumns.length > 0 ? visibleColumns : null;
+  const isNarrowed = conditions.length > 0 || scopeColumns !== null;
+
+  const handleAskAboutView = () => {
+    onAskAboutView({
+      ...(scopeColumns && { columns: scopeColumns }),
+      ...(conditions.length > 0 && { filters: conditions }),
+      rowCount: rows.length,
+      totalRows: data.length,
+    });
+  };
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const tableWidth = (visibleColumns.length + 1) * COLUMN_WIDTH;
+
+  return (
+    <div>
+      <div className="flex justify-center">
+        <button
+          onClick={() => setIsGridVisible(!isGridVisible)}
+          className="mt-4 mb-2 px-6 py-2 bg-gray-200 rounded-full text-[#281332]"
+        >
+          {isGridVisible ? 'Hide Data Grid' : 'Show Data Grid'}
+        </button>
+      </div>
+
+      {isGridVisible && (
+        <div className="text-sm text-[#281332]">
+          <div className="flex flex-wrap items-center gap-3 mb-2">
+            <input
+              type="text"
+              placeholder="Search all columns"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="px-3 py-1 border rounded-full border-gray-300 focus:outline-none focus:ring-2 focus:ring-[#4b284e]"
+            />
+            <details className="relative">
+              <summary className="px-4 py-1 bg-gray-200 rounded-full cursor-pointer">
+                Columns ({visibleColumns.length}/{columns.length})
+              </summary>
+              <div className="absolute z-20 mt-1 p-2 max-h-64 overflow-y-auto bg-white border rounded-md shadow-lg">
+                {columns.map((column) => (
+                  <label key={column} className="flex items-center gap-2 whitespace-nowrap">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenColumns.includes(column)}
+                      onChange={() => toggleInList(setHiddenColumns, column)}
+                    />
+                    {column}
+                  </label>
+                ))}
+              </div>
+            </details>
+            <span className="text-gray-500">
+              {rows.length.toLocaleString()} of {data.length.toLocaleString()} rows
+              {selectedColumns.length > 0 && ` · ${selectedColumns.length} column(s) selected`}
+            </span>
+            <button
+              onClick={handleAskAboutView}
+              disabled={!isNarrowed || rows.length === 0}
+              title="Send only the filtered rows and selected columns with the next question"
+              className={`ml-auto px-4 py-1 rounded-full text-white bg-[#4b284e] ${
+                !isNarrowed || rows.length === 0 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[#5c3c5c]'
+              }`}
+            >
+              Ask about this view
+            </button>
+          </div>
+
+          <div
+            className="overflow-auto border rounded-md"
+            style={{ height: VIEWPORT_HEIGHT }}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          >
+            <table className="table-fixed border-collapse" style={{ width: tableWidth }}>
+              <thead className="sticky top-0 z-10 bg-gray-50">
+                <tr>
+                  <th style={{ width: COLUMN_WIDTH / 2 }} className="px-2 py-1 text-left text-xs text-gray-500 border-b">#</th>
+                  {visibleColumns.map((column) => (
+                    <th key={column} style={{ width: COLUMN_WIDTH }} className="px-2 py-1 text-left align-top border-b">
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          title="Select column for the next question"
+                          checked={selectedColumns.includes(column)}
+                          onChange={() => toggleInList(setSelectedColumns, column)}
+                        />
+                        <button
+                          onClick={() => toggleSort(column)}
+                          className="flex-1 truncate text-left text-xs font-medium uppercase tracking-wider"
+                          title={`${column} (${types[column]}) - click to sort`}
+                        >
+                          {column}
+                          {sort && sort.column === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                        </button>
+                      </div>
+                      <div className="text-[10px] text-gray-500 font-normal">
+                        {types[column]}
+                        {summaries[column] && summaries[column].distinct !== undefined &&
+                          ` · ${summaries[column].distinct} distinct`}
+                      </div>
+                      <ColumnSummary summary={summaries[column]} />
+                      <input
+                        type="text"
+                        placeholder={isOrdered(types[column]) ? '>10, 5..10' : 'filter'}
+                        value={filterText[column] || ''}
+                        onChange={(e) => setFilterText({ ...filterText, [column]: e.target.value })}
+                        className={`mt-1 w-full px-1 border rounded font-normal text-xs ${
+                          parsedFilters[column] && parsedFilters[column].invalid ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                      />
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr style={{ height: firstRow * ROW_HEIGHT }} />
+                {rows.slice(firstRow, lastRow).map((row, index) => (
+                  <tr key={firstRow + index} style={{ height: ROW_HEIGHT }} className="border-b border-gray-100">
+                    <td className="px-2 text-xs text-gray-400">{firstRow + index + 1}</td>
+                    {visibleColumns.map((column) => (
+                      <td key={column} className="px-2 truncate" title={formatValue(row[column])}>
+                        {formatValue(row[column])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr style={{ height: (rows.length - lastRow) * ROW_HEIGHT }} />
+              </tbody>
+            </table>
+            {rows.length === 0 && (
+              <p className="p-4 text-center text-gray-500">No rows match the filters.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataGrid;
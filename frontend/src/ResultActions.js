@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import {
+  chartToSVG,
+  chartToPNG,
+  displayedChartSpec,
+  outputToRows,
+  rowsToCSV,
+  downloadFile,
+  downloadDataURL,
+  copyToClipboard,
+  chartTitle,
+  toFileName,
+} from './exportResults.js';
+
+// Download and copy actions under an assistant message's chart and output
+function ResultActions({ message, data }) {
+  const [status, setStatus] = useState(null);
+
+  const rows = message.output !== undefined ? outputToRows(message.output) : null;
+  if (!message.chartSpec && message.output === undefined) {
+    return null;
+  }
+
+  const spec = displayedChartSpec(message, data);
+  const baseName = toFileName(spec ? chartTitle(spec) : message.text, 'result');
+
+  const run = async (label, action) => {
+    try {
+      await action();
+      setStatus(label);
+    } catch (error) {
+      console.error(`Export failed (${label}):`, error);
+      setStatus(`Failed: ${error.message}`);
+    }
+    setTimeout(() => setStatus(null), 2000);
+  };
+
+  const buttonClass = 'px-2 py-0.5 bg-gray-200 rounded-full hover:bg-gray-300';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-[#281332]">
+      {spec && (
+        <>
+          <button
+            className={buttonClass}
+            onClick={() => run('PNG saved', async () => downloadDataURL(await chartToPNG(spec), `${baseName}.png`))}
+          >
+            PNG
+          </button>
+          <button
+            className={buttonClass}
+            onClick={() => run('SVG saved', async () => downloadFile(await chartToSVG(spec), `${baseName}.svg`, 'image/svg+xml'))}
+          >
+            SVG
+          </button>
+          <button
+            className={buttonClass}
+            onClick={() => run('Spec copied', () => copyToClipboard(JSON.stringify(spec, null, 2)))}
+          >
+            Copy spec
+          </button>
+          <button
+            className={buttonClass}
+            onClick={() => run('Spec saved', () =>
+              downloadFile(JSON.stringify(spec, null, 2), `${baseName}.vl.json`, 'application/json'))}
+          >
+            Spec JSON
+          </button>
+        </>
+      )}
+      {rows && (
+        <button
+          className={buttonClass}
+          onClick={() => run('CSV saved', () => downloadFile(rowsToCSV(rows), `${baseName}.csv`, 'text/csv'))}
+        >
+          CSV
+        </button>
+      )}
+      {message.output !== undefined && (
+        <button
+          className={buttonClass}
+          onClick={() => run('JSON saved', () =>
+            downloadFile(JSON.stringify(message.output, null, 2), `${baseName}.json`, 'application/json'))}
+        >
+          JSON
+        </button>
+      )}
+      {status && <span className="text-gray-500">{status}</span>}
+    </div>
+  );
+}
+
+export default ResultActions;
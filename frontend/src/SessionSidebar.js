@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+function SessionItem({ session, isActive, onOpen, onRename, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(session.name);
+
+  const finishRename = () => {
+    setIsEditing(false);
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== session.name) {
+      onRename(session.id, trimmed);
+    } else {
+      setName(session.name);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') finishRename();
+    if (e.key === 'Escape') {
+      setName(session.name);
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <li
+      className={`p-2 mb-1 rounded-md cursor-pointer ${isActive ? 'bg-[#4b284e] text-white' : 'hover:bg-gray-200'}`}
+      onClick={() => !isEditing && onOpen(session.id)}
+    >
+      {isEditing ? (
+        <input
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={finishRename}
+          onKeyDown={handleKeyDown}
+          onClick={(e) => e.stopPropagation()}
+          className="w-full px-1 text-sm text-[#281332] border rounded"
+        />
+      ) : (
+        <div className="text-sm font-medium truncate" title={session.name}>{session.name}</div>
+      )}
+      <div className={`text-xs ${isActive ? 'text-gray-200' : 'text-gray-500'}`}>
+        {formatDate(session.updatedAt)} · {session.messageCount} message(s)
+      </div>
+      <div className={`text-xs ${isActive ? 'text-gray-200' : 'text-gray-500'}`}>
+        {session.rowCount > 0 && `${session.rowCount.toLocaleString()} rows`}
+        {session.datasetStored && ` · ${formatSize(session.datasetSize)}`}
+        {session.rowCount > 0 && !session.datasetStored && ' · data not stored, re-upload to continue'}
+      </div>
+      <div className="flex gap-3 mt-1 text-xs">
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setIsEditing(true);
+          }}
+          className="underline"
+        >
+          Rename
+        </button>
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            if (window.confirm(`Delete session "${session.name}"? This cannot be undone.`)) {
+              onDelete(session.id);
+            }
+          }}
+          className="underline"
+        >
+          Delete
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Past sessions stored in the browser, most recently used first
+function SessionSidebar({ sessions, activeSessionId, error, onOpen, onRename, onDelete, onNew }) {
+  return (
+    <aside className="w-64 shrink-0 p-4 mr-4 bg-[#f0ebe6] rounded-lg text-[#281332]">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold">Sessions</h2>
+        <button
+          onClick={onNew}
+          className="px-3 py-1 text-sm bg-[#4b284e] text-white rounded-full hover:bg-[#5c3c5c]"
+        >
+          New
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-700 mb-2">{error}</p>}
+      {sessions.length === 0 && !error && (
+        <p className="text-sm text-gray-500">Upload a file to start a session. Sessions are saved in this browser.</p>
+      )}
+      <ul className="max-h-[80vh] overflow-y-auto">
+        {sessions.map((session) => (
+          <SessionItem
+            key={session.id}
+            session={session}
+            isActive={session.id === activeSessionId}
+            onOpen={onOpen}
+            onRename={onRename}
+            onDelete={onDelete}
+          />
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default SessionSidebar;
@@ -0,0 +1,281 @@
+import React, { useMemo, useState } from 'react';
+
+// Typed rendering of analysis outputs. The layout follows the shape of the output and, when the
+// answer came from a tool, its outputMeta (operation, field, groupBy, processedCount...):
+//   scalar                      KPI card ("Mean of Horsepower", processed/total counts)
+//   correlation                 card with r, p-value, n and both fields' stats
+//   array of rows               sortable table
+//   { group: value } + groupBy  sortable two-column table
+//   { key: { ... } }            sortable table with one row per key (describe, grouped stats)
+//   { stat: value }             grid of summary cards
+const MAX_TABLE_ROWS = 500;
+
+const OPERATION_LABELS = {
+  mean: 'Mean',
+  median: 'Median',
+  sum: 'Sum',
+  min: 'Minimum',
+  max: 'Maximum',
+  count: 'Count',
+  distinct: 'Distinct values',
+  mode: 'Mode',
+  stddev: 'Standard deviation',
+  variance: 'Variance',
+  percentile: 'Percentile',
+  correlation: 'Correlation',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+const numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 4 });
+
+export function formatStatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return Number.isFinite(value) ? numberFormat.format(value) : String(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value) && value.every(isScalar)) return value.map(formatStatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+const humanize = (key) => String(key).replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2');
+
+function operationLabel(meta) {
+  if (!meta || !meta.operation) return null;
+  const operation = OPERATION_LABELS[meta.operation] || humanize(meta.operation);
+  return meta.field ? `${operation} of ${meta.field}` : operation;
+}
+
+function correlationStrength(coefficient) {
+  const size = Math.abs(coefficient);
+  const strength = size >= 0.7 ? 'Strong' : size >= 0.4 ? 'Moderate' : size >= 0.1 ? 'Weak' : 'No';
+  if (strength === 'No') return 'No linear relationship';
+  return `${strength} ${coefficient > 0 ? 'positive' : 'negative'} relationship`;
+}
+
+function Card({ label, value, footnote, large }) {
+  return (
+    <div className="p-3 bg-white border rounded-lg text-[#281332]">
+      <div className="text-xs text-gray-500 uppercase tracking-wider">{label}</div>
+      <div className={`${large ? 'text-3xl' : 'text-lg'} font-semibold break-words`}>{formatStatValue(value)}</div>
+      {footnote && <div className="text-xs text-gray-500 mt-1">{footnote}</div>}
+    </div>
+  );
+}
+
+function ScalarCard({ value, meta }) {
+  const counts = [];
+  if (meta && meta.processedCount !== undefined) {
+    counts.push(meta.totalCount !== undefined && meta.totalCount !== meta.processedCount
+      ? `${meta.processedCount.toLocaleString()} of ${meta.totalCount.toLocaleString()} values used`
+      : `${meta.processedCount.toLocaleString()} values`);
+  }
+  return (
+    <div className="max-w-xs">
+      <Card label={operationLabel(meta) || 'Result'} value={value} footnote={counts.join(' · ')} large />
+    </div>
+  );
+}
+
+function CorrelationCard({ output, meta }) {
+  const coefficient = output.correlation !== undefined ? output.correlation : output.coefficient;
+  const fields = (meta && meta.fields) || ['Field 1', 'Field 2'];
+  const fieldStats = [output.field1Stats, output.field2Stats];
+  return (
+    <div className="p-3 bg-white border rounded-lg text-[#281332]">
+      <div className="text-xs text-gray-500 uppercase tracking-wider">
+        {output.method ? `${humanize(output.method)} correlation` : 'Correlation'}: {fields.join(' × ')}
+      </div>
+      <div className="flex items-baseline gap-3">
+        <span className="text-3xl font-semibold">{formatStatValue(coefficient)}</span>
+        <span className="text-sm">{correlationStrength(coefficient)}</span>
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        {output.p_value !== undefined && `p = ${formatStatValue(output.p_value)}`}
+        {output.n !== undefined && ` · n = ${output.n.toLocaleString()}`}
+        {output.significant !== undefined && ` · ${output.significant ? 'significant' : 'not significant'} at α = ${output.alpha}`}
+      </div>
+      {fieldStats.some(Boolean) && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          {fieldStats.map((stats, i) => stats && (
+            <div key={fields[i]} className="p-2 bg-gray-50 rounded-md text-sm">
+              <div className="font-medium truncate" title={fields[i]}>{fields[i]}</div>
+              {Object.entries(stats).map(([key, value]) => (
+                <div key={key} className="flex justify-between">
+                  <span className="text-gray-500">{humanize(key)}</span>
+                  <span>{formatStatValue(value)}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+export function SortableTable({ rows, columns: columnOrder }) {
+  const [sort, setSort] = useState(null);
+  const columns = useMemo(
+    () => columnOrder || Array.from(new Set(rows.flatMap((row) => Object.keys(row)))),
+    [rows, columnOrder]
+  );
+  const sortedRows = useMemo(() => {
+    if (!sort) return rows;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...rows].sort((a, b) => {
+      const order = compareValues(a[sort.column], b[sort.column]);
+      // Missing values stay last in both directions
+      const aMissing = a[sort.column] === null || a[sort.column] === undefined;
+      const bMissing = b[sort.column] === null || b[sort.column] === undefined;
+      return aMissing || bMissing ? order : order * direction;
+    });
+  }, [rows, sort]);
+
+  const toggleSort = (column) => {
+    setSort((current) => {
+      if (!current || current.column !== column) return { column, direction: 'asc' };
+      if (current.direction === 'asc') return { column, direction: 'desc' };
+      return null;
+    });
+  };
+
+  return (
+    <div className="overflow-x-auto max-h-96 overflow-y-auto bg-white border rounded-lg">
+      <table className="min-w-full text-sm text-[#281332]">
+        <thead className="sticky top-0 bg-gray-50">
+          <tr>
+            {columns.map((column) => (
+              <th key={column} className="px-3 py-1 text-left font-medium border-b whitespace-nowrap">
+                <button onClick={() => toggleSort(column)} title="Click to sort">
+                  {column}
+                  {sort && sort.column === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.slice(0, MAX_TABLE_ROWS).map((row, index) => (
+            <tr key={index} className="border-b border-gray-100">
+              {columns.map((column) => (
+                <td
+                  key={column}
+                  className={`px-3 py-1 whitespace-nowrap ${typeof row[column] === 'number' ? 'text-right' : ''}`}
+                >
+                  {formatStatValue(row[column])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > MAX_TABLE_ROWS && (
+        <p className="px-3 py-1 text-xs text-gray-500">
+          Showing {MAX_TABLE_ROWS} of {rows.length.toLocaleString()} rows; download the CSV for all of them.
+        </p>
+      )}
+    </div>
+  );
+}
+
+function TableTitle({ meta, rowCount }) {
+  const label = operationLabel(meta);
+  const parts = [];
+  if (label && meta.operation !== 'aggregate' && meta.operation !== 'run_sql') parts.push(label);
+  if (meta && meta.groupBy && [].concat(meta.groupBy).length > 0) parts.push(`by ${[].concat(meta.groupBy).join(', ')}`);
+  parts.push(`${rowCount.toLocaleString()} row(s)`);
+  if (meta && meta.truncated) parts.push('truncated');
+  return <div className="mb-1 text-xs text-gray-500">{parts.join(' · ')}</div>;
+}
+
+const isCorrelation = (output) =>
+  (output.correlation !== undefined && (output.field1Stats || output.field2Stats)) ||
+  (output.coefficient !== undefined && output.method !== undefined && output.p_value !== undefined);
+
+function StatisticOutput({ output, meta = null }) {
+  if (output === undefined) {
+    return null;
+  }
+
+  if (isScalar(output)) {
+    return <ScalarCard value={output} meta={meta} />;
+  }
+
+  if (Array.isArray(output)) {
+    if (output.length === 0) {
+      return <Card label={operationLabel(meta) || 'Result'} value="No rows" />;
+    }
+    const rows = output.map((item) => (isPlainObject(item) ? item : { value: item }));
+    return (
+      <div>
+        <TableTitle meta={meta} rowCount={rows.length} />
+        <SortableTable rows={rows} columns={meta && Array.isArray(meta.columns) ? meta.columns : undefined} />
+      </div>
+    );
+  }
+
+  if (isCorrelation(output)) {
+    return <CorrelationCard output={output} meta={meta} />;
+  }
+
+  const entries = Object.entries(output);
+
+  // Grouped statistics: { North: 12.5, South: 9 }
+  if (meta && meta.groupBy && !Array.isArray(meta.groupBy) && entries.every(([, value]) => isScalar(value))) {
+    const valueColumn = operationLabel(meta) || 'value';
+    const rows = entries.map(([group, value]) => ({ [meta.groupBy]: group, [valueColumn]: value }));
+    return (
+      <div>
+        <TableTitle meta={{ ...meta, operation: null }} rowCount={rows.length} />
+        <SortableTable rows={rows} columns={[meta.groupBy, valueColumn]} />
+      </div>
+    );
+  }
+
+  // One object per key: describe all columns, grouped results with several numbers each
+  if (entries.length > 1 && entries.every(([, value]) => isPlainObject(value) && Object.values(value).every(isScalar))) {
+    const keyColumn = (meta && typeof meta.groupBy === 'string' && meta.groupBy) || (meta && meta.operation === 'describe' ? 'column' : 'key');
+    const rows = entries.map(([key, value]) => ({ [keyColumn]: key, ...value }));
+    return (
+      <div>
+        <TableTitle meta={meta} rowCount={rows.length} />
+        <SortableTable rows={rows} />
+      </div>
+    );
+  }
+
+  // Named results (describe one field, test statistics): scalar cards, nested parts rendered below
+  const isCardValue = (value) => isScalar(value) || (Array.isArray(value) && value.every(isScalar));
+  const scalars = entries.filter(([, value]) => isCardValue(value));
+  const nested = entries.filter(([, value]) => !isCardValue(value));
+  return (
+    <div>
+      {operationLabel(meta) && <div className="mb-1 text-xs text-gray-500">{operationLabel(meta)}</div>}
+      {scalars.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {scalars.map(([key, value]) => (
+            <Card key={key} label={humanize(key)} value={value} />
+          ))}
+        </div>
+      )}
+      {nested.map(([key, value]) => (
+        <div key={key} className="mt-2">
+          <div className="mb-1 text-sm font-medium text-[#281332]">{humanize(key)}</div>
+          <StatisticOutput output={value} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default StatisticOutput;
@@ -0,0 +1,158 @@
+import { compile } from 'vega-lite';
+
+// Helpers for the chart editor. Edits are made to the chart as authored (its encoding before any
+// server-side aggregation or sampling). Charts drawn from the client's own rows re-render edits
+// against the local dataset; charts over scoped, transformed or cleaned rows are rebuilt on the
+// server from the data the original chart was drawn from.
+export const MARK_TYPES = ['bar', 'line', 'area', 'point', 'circle', 'square', 'tick', 'rect', 'arc', 'boxplot', 'text', 'rule'];
+export const EDITABLE_CHANNELS = ['x', 'y', 'color', 'size', 'shape', 'theta'];
+export const AGGREGATES = ['count', 'sum', 'mean', 'median', 'min', 'max', 'distinct', 'stdev'];
+export const COLOR_SCHEMES = [
+  'category10', 'tableau10', 'set2', 'dark2', 'paired',
+  'blues', 'greens', 'oranges', 'reds', 'purples', 'viridis', 'magma', 'redblue',
+];
+export const SORT_OPTIONS = [
+  { value: 'ascending', label: 'Ascending' },
+  { value: 'descending', label: 'Descending' },
+  { value: 'y', label: 'By y, ascending' },
+  { value: '-y', label: 'By y, descending' },
+  { value: 'x', label: 'By x, ascending' },
+  { value: '-x', label: 'By x, descending' },
+];
+
+// The authored chart without inlined data; charts aggregated on the server get their original
+// encoding, transforms and title back from usermeta.source
+export function toEditableSpec(spec) {
+  const { data, usermeta, ...rest } = spec;
+  const source = (usermeta && usermeta.source) || {};
+  const editable = { ...rest };
+  Object.entries(source).forEach(([key, value]) => {
+    if (value === undefined) delete editable[key];
+    else editable[key] = value;
+  });
+  return editable;
+}
+
+export const markType = (spec) => (spec.mark && typeof spec.mark === 'object' ? spec.mark.type : spec.mark);
+
+// Returns an error message, or null when the spec compiles
+export function validateSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return 'The spec must be a JSON object';
+  }
+  if (!spec.mark || !spec.encoding) {
+    return 'The spec needs a "mark" and an "encoding"';
+  }
+  if (!MARK_TYPES.includes(markType(spec))) {
+    return `Unknown mark "${markType(spec)}". Use one of: ${MARK_TYPES.join(', ')}`;
+  }
+  try {
+    compile(spec);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Parses editor text; returns { spec } or { error }
+export function parseSpecText(text) {
+  let spec;
+  try {
+    spec = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+  const error = validateSpec(spec);
+  return error ? { error } : { spec };
+}
+
+// Where edits of a chart can be rendered, from its usermeta.chartData: clientData when it was drawn
+// from the client's own rows, and the server's copy of its data ({ datasetId } or
+// { conversationId, workingDataId }) or null. Charts from before editing existed have neither.
+export function chartSource(spec) {
+  const chartData = (spec && spec.usermeta && spec.usermeta.chartData) || {};
+  const { clientData, datasetId, conversationId, workingDataId } = chartData;
+  let server = null;
+  if (datasetId) server = { datasetId };
+  else if (conversationId && workingDataId) server = { conversationId, workingDataId };
+  return { clientData: !!clientData, server };
+}
+
+// Column types for the field pickers: recorded with the chart, or from the dataset description
+export function fieldTypes(spec, datasetInfo) {
+  const recorded = spec && spec.usermeta && spec.usermeta.chartData && spec.usermeta.chartData.fields;
+  if (recorded) return recorded;
+
+  const types = {};
+  ((datasetInfo && datasetInfo.columns) || []).forEach((column) => {
+    types[column] = (datasetInfo.dataTypes && datasetInfo.dataTypes[column]) || 'nominal';
+  });
+  return types;
+}
+
+const withEncoding = (spec, channel, definition) => {
+  const encoding = { ...spec.encoding };
+  if (definition) encoding[channel] = definition;
+  else delete encoding[channel];
+  return { ...spec, encoding };
+};
+
+export function setMark(spec, type) {
+  return { ...spec, mark: spec.mark && typeof spec.mark === 'object' ? { ...spec.mark, type } : type };
+}
+
+// An empty field removes the channel. The title is dropped so Vega-Lite names the new field.
+export function setChannelField(spec, channel, field, types) {
+  if (!field) {
+    return withEncoding(spec, channel, null);
+  }
+  const { title, timeUnit, bin, ...current } = spec.encoding[channel] || {};
+  const fieldType = types[field] || 'nominal';
+  return withEncoding(spec, channel, {
+    ...current,
+    field,
+    type: current.aggregate && current.aggregate !== 'distinct' ? 'quantitative' : fieldType,
+    // Binning and time units only carry over to a field of the same kind
+    ...(timeUnit && fieldType === 'temporal' && { timeUnit }),
+    ...(bin && fieldType === 'quantitative' && { bin }),
+  });
+}
+
+export function setChannelAggregate(spec, channel, aggregate, types) {
+  const { title, aggregate: previous, ...current } = spec.encoding[channel] || {};
+  if (!aggregate) {
+    return withEncoding(spec, channel, current.field ? { ...current, type: types[current.field] || 'nominal' } : null);
+  }
+  return withEncoding(spec, channel, { ...current, aggregate, type: 'quantitative' });
+}
+
+export function setColorScheme(spec, scheme) {
+  const { scale, ...color } = spec.encoding.color || {};
+  const { scheme: previous, ...restScale } = scale || {};
+  const nextScale = scheme ? { ...restScale, scheme } : restScale;
+  return withEncoding(spec, 'color', {
+    ...color,
+    ...(Object.keys(nextScale).length > 0 && { scale: nextScale }),
+  });
+}
+
+export function setChannelSort(spec, channel, sort) {
+  const { sort: previous, ...current } = spec.encoding[channel] || {};
+  return withEncoding(spec, channel, sort ? { ...current, sort } : current);
+}
+
+export function getTitle(spec) {
+  const title = spec.title;
+  const text = title && typeof title === 'object' && !Array.isArray(title) ? title.text : title;
+  return Array.isArray(text) ? text.join(' ') : text || '';
+}
+
+export function setTitle(spec, text) {
+  const { title, ...rest } = spec;
+  if (title && typeof title === 'object' && !Array.isArray(title)) {
+    return { ...rest, title: { ...title, text } };
+  }
+  return text ? { ...rest, title: text } : rest;
+}
+
+export const sortValue = (definition) => (typeof (definition && definition.sort) === 'string' ? definition.sort : '');
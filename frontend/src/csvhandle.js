@@ -1,96 +1,241 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { csvParse, autoType } from 'd3-dsv'; 
+import { parseFile, FORMATS, DELIMITERS, ENCODINGS, DEFAULT_OPTIONS } from './fileParsers.js';
+
+const TEXT_FORMATS = ['csv', 'tsv', 'json', 'ndjson'];
+const HEADER_FORMATS = ['csv', 'tsv', 'xlsx'];
 
 function FileUpload({ onFileUploaded }) {
-    const onDrop = (acceptedFiles) => {
-        const file = acceptedFiles[0];
+    const [file, setFile] = useState(null);
+    const [options, setOptions] = useState(DEFAULT_OPTIONS);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [isParsing, setIsParsing] = useState(false);
+    // Only the latest parse may report back when options change quickly
+    const parseId = useRef(0);
+
+    // isNewFile is false when the same file is parsed again with other options
+    const load = async (nextFile, nextOptions, isNewFile) => {
+        const id = ++parseId.current;
+        setFile(nextFile);
+        setOptions(nextOptions);
+        setIsParsing(true);
+        setError(null);
 
-        if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-            alert('Please upload a CSV file.');
-            return;
+        try {
+            const parsed = await parseFile(nextFile, nextOptions);
+            if (id !== parseId.current) return;
+            setResult(parsed);
+            onFileUploaded(parsed.data, { fileName: nextFile.name, isNewFile });
+        } catch (parseError) {
+            if (id !== parseId.current) return;
+            setResult(null);
+            setError({ message: parseError.message, details: parseError.details || [] });
+        } finally {
+            if (id === parseId.current) setIsParsing(false);
         }
+    };
 
-        const reader = new FileReader();
-        reader.onload = () => {
-            const csvText = reader.result;
-            const data = csvParse(csvText, autoType);
-            onFileUploaded(data);
-        };
-        reader.readAsText(file);
+    const onDrop = (acceptedFiles) => {
+        if (acceptedFiles.length === 0) return;
+        load(acceptedFiles[0], DEFAULT_OPTIONS, true);
     };
 
-    const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop });
+    const updateOption = (name, value) => {
+        const nextOptions = { ...options, [name]: value };
+        // A different format has different sheets and delimiters
+        if (name === 'format') {
+            nextOptions.sheet = null;
+            nextOptions.delimiter = 'auto';
+        }
+        load(file, nextOptions, false);
+    };
+
+    const { getRootProps, getInputProps, isDragActive } = useDropzone({ onDrop, multiple: false });
+
+    const format = result ? result.format : options.format;
+    const selectClass = 'ml-1 px-2 py-1 border rounded-md bg-white';
 
     return (
-        <div
-            {...getRootProps()}
-            className={`w-full p-6 border-2 border-dashed rounded-md cursor-pointer focus:outline-none ${
-                isDragActive ? 'border-blue-400' : 'border-gray-300'
-            }`}
-        >
-            <input {...getInputProps()} />
-            {isDragActive ? (
-                <p className="text-center text-blue-400">Drop the CSV file here...</p>
-            ) : (
-                <p className="text-center text-gray-500">
-                    Drag and drop a CSV file here, or click to select one
-                </p>
+        <div>
+            <div
+                {...getRootProps()}
+                className={`w-full p-6 border-2 border-dashed rounded-md cursor-pointer focus:outline-none ${
+                    isDragActive ? 'border-blue-400' : 'border-gray-300'
+                }`}
+            >
+                <input {...getInputProps()} />
+                {isDragActive ? (
+                    <p className="text-center text-blue-400">Drop the data file here...</p>
+                ) : (
+                    <p className="text-center text-gray-500">
+                        Drag and drop a data file here, or click to select one
+                        <br />
+                        <span className="text-xs">CSV, TSV, Excel (.xlsx), JSON, NDJSON or Parquet</span>
+                    </p>
+                )}
+            </div>
+
+            {file && (
+                <div className="flex flex-wrap items-center gap-4 mt-2 text-sm text-[#281332]">
+                    <span className="font-medium">{file.name}</span>
+                    <label>
+                        Format
+                        <select
+                            value={options.format}
+                            onChange={(e) => updateOption('format', e.target.value)}
+                            className={selectClass}
+                        >
+                            <option value="auto">Auto{result ? ` (${FORMATS[result.format]})` : ''}</option>
+                            {Object.entries(FORMATS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {['csv', 'tsv'].includes(format) && (
+                        <label>
+                            Delimiter
+                            <select
+                                value={options.delimiter}
+                                onChange={(e) => updateOption('delimiter', e.target.value)}
+                                className={selectClass}
+                            >
+                                <option value="auto">
+                                    Auto{result && result.delimiter ? ` (${DELIMITERS[result.delimiter]})` : ''}
+                                </option>
+                                {Object.entries(DELIMITERS).map(([value, label]) => (
+                                    <option key={label} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    {TEXT_FORMATS.includes(format) && (
+                        <label>
+                            Encoding
+                            <select
+                                value={options.encoding}
+                                onChange={(e) => updateOption('encoding', e.target.value)}
+                                className={selectClass}
+                            >
+                                <option value="auto">Auto{result && result.encoding ? ` (${result.encoding})` : ''}</option>
+                                {ENCODINGS.map((encoding) => (
+                                    <option key={encoding} value={encoding}>{encoding}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    {HEADER_FORMATS.includes(format) && (
+                        <label title="Row that holds the column names; 0 if the file has none">
+                            Header row
+                            <input
+                                type="number"
+                                min="0"
+                                value={options.headerRow}
+                                onChange={(e) => updateOption('headerRow', Math.max(0, parseInt(e.target.value, 10) || 0))}
+                                className="ml-1 w-16 px-2 py-1 border rounded-md"
+                            />
+                        </label>
+                    )}
+                    {result && result.sheets.length > 1 && (
+                        <label>
+                            Sheet
+                            <select
+                                value={result.sheet}
+                                onChange={(e) => updateOption('sheet', e.target.value)}
+                                className={selectClass}
+                            >
+                                {result.sheets.map((sheet) => (
+                                    <option key={sheet} value={sheet}>{sheet}</option>
+                                ))}
+                            </select>
+                        </label>
+                    )}
+                    {isParsing ? (
+                        <span className="text-gray-500">Reading...</span>
+                    ) : result && (
+                        <span className="text-gray-500">
+                            {result.data.length.toLocaleString()} rows × {Object.keys(result.data[0]).length} columns
+                        </span>
+                    )}
+                </div>
+            )}
+
+            {result && result.warnings.length > 0 && (
+                <ul className="mt-2 p-3 border border-yellow-300 rounded-md bg-yellow-50 text-sm text-[#281332] list-disc list-inside">
+                    {result.warnings.map((warning, index) => (
+                        <li key={index}>{warning}</li>
+                    ))}
+                </ul>
+            )}
+
+            {error && (
+                <div className="mt-2 p-3 border border-red-300 rounded-md bg-red-50 text-sm text-red-700">
+                    <p className="font-medium">Could not read {file ? file.name : 'the file'}: {error.message}</p>
+                    {error.details.length > 0 && (
+                        <ul className="mt-1 list-disc list-inside">
+                            {error.details.map((detail, index) => (
+                                <li key={index}>{detail}</li>
+                            ))}
+                        </ul>
+                    )}
+                    <p className="mt-1 text-gray-600">Adjust the options above or upload another file.</p>
+                </div>
             )}
         </div>
     );
 }
 
-function DataPreview({ data }) {
-  const [isTableVisible, setIsTableVisible] = useState(false);
+// Server-side validation report: fixes that were applied and issues left for the user
+function DataQualityReport({ validation }) {
+  const [isExpanded, setIsExpanded] = useState(false);
 
-  const previewData = data.slice(0, 10);
+  if (!validation || (validation.issues.length === 0 && validation.fixes.length === 0)) {
+    return null;
+  }
+
+  const warnings = validation.issues.filter((issue) => issue.severity === 'warning');
 
   return (
-    <div>
-      <div className="flex justify-center">
+    <div className="mt-2 p-3 border rounded-md bg-gray-50 text-sm text-[#281332]">
+      <div className="flex items-center justify-between">
+        <span>
+          {validation.fixes.length > 0 && `${validation.fixes.length} automatic fix(es) applied. `}
+          {warnings.length > 0
+            ? `${warnings.length} data quality warning(s) found.`
+            : 'No data quality warnings.'}
+        </span>
         <button
-          onClick={() => setIsTableVisible(!isTableVisible)}
-          className="mt-4 mb-2 px-6 py-2 bg-gray-200 rounded-full text-[#281332]"
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="ml-4 px-4 py-1 bg-gray-200 rounded-full"
         >
-          {isTableVisible ? 'Hide Table Preview' : 'Show Table Preview'}
+          {isExpanded ? 'Hide Details' : 'Show Details'}
         </button>
       </div>
 
-      {isTableVisible && (
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200 border">
-            <thead className="bg-gray-50">
-              <tr>
-                {Object.keys(previewData[0]).map((key) => (
-                  <th
-                    key={key}
-                    className="px-4 py-2 text-left text-xs font-medium text-[#281332] uppercase tracking-wider"
-                  >
-                    {key}
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {previewData.map((row, index) => (
-                <tr key={index}>
-                  {Object.values(row).map((value, idx) => (
-                    <td
-                      key={idx}
-                      className="px-4 py-2 whitespace-nowrap text-sm text-[#281332]"
-                    >
-                      {value !== null ? value.toString() : ''}
-                    </td>
-                  ))}
-                </tr>
+      {isExpanded && (
+        <div className="mt-2">
+          {validation.fixes.length > 0 && (
+            <ul className="list-disc ml-6">
+              {validation.fixes.map((fix, index) => (
+                <li key={`fix-${index}`}>
+                  <strong>{fix.column || 'All rows'}</strong>: {fix.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          {validation.issues.length > 0 && (
+            <ul className="list-disc ml-6 mt-2">
+              {validation.issues.map((issue, index) => (
+                <li key={`issue-${index}`} className={issue.severity === 'warning' ? 'text-red-700' : ''}>
+                  <strong>{issue.column || 'All rows'}</strong>: {issue.message}. {issue.suggestion}
+                </li>
               ))}
-            </tbody>
-          </table>
+            </ul>
+          )}
         </div>
       )}
     </div>
   );
 }
 
-export { FileUpload, DataPreview };
\ No newline at end of file
+export { FileUpload, DataQualityReport };
\ No newline at end of file
@@ -0,0 +1,258 @@
+import * as vega from 'vega';
+import { compile } from 'vega-lite';
+import { csvFormat } from 'd3-dsv';
+import { chartSource } from './chartEditing.js';
+
+// Downloads and reports for chat results.
+// Charts are rendered headlessly from their Vega-Lite spec, so exports do not depend on the
+// chart being on screen, and HTML reports embed them as inline SVG with no scripts to load.
+const PNG_SCALE = 2;
+
+function createView(spec) {
+  const { spec: vegaSpec } = compile(spec);
+  return new vega.View(vega.parse(vegaSpec), { renderer: 'none' });
+}
+
+export async function chartToSVG(spec) {
+  const view = createView(spec);
+  try {
+    return await view.toSVG();
+  } finally {
+    view.finalize();
+  }
+}
+
+// Returns a data: URL
+export async function chartToPNG(spec, scale = PNG_SCALE) {
+  const view = createView(spec);
+  try {
+    return await view.toImageURL('png', scale);
+  } finally {
+    view.finalize();
+  }
+}
+
+// Specs normally arrive with their (prepared) data; older or hand-written ones fall back to the dataset
+export function inlineSpecData(spec, data) {
+  const hasData = spec.data && (spec.data.url || spec.data.name || (Array.isArray(spec.data.values) && spec.data.values.length > 0));
+  if (hasData || !data) {
+    return spec;
+  }
+  return { ...spec, data: { values: data } };
+}
+
+// The chart as the message shows it: an edit of a chart over the client's own rows rendered
+// against them, the last edit rebuilt by the server, or the original
+export function displayedChartSpec(message, data) {
+  if (!message.chartSpec) return null;
+  if (message.editedChartSpec && data && chartSource(message.chartSpec).clientData) {
+    return inlineSpecData(message.editedChartSpec, data);
+  }
+  return message.editedChartRender || inlineSpecData(message.chartSpec, data);
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Rows for tabular outputs, or null for a single value:
+//   [{...}, {...}]             rows as they are
+//   { A: {...}, B: {...} }     one row per key ({ key: 'A', ... })
+//   { mean: 3, median: 2 }     one row per statistic ({ statistic: 'mean', value: 3 })
+export function outputToRows(output) {
+  if (Array.isArray(output)) {
+    if (output.length === 0) return null;
+    return output.map((item) => (isPlainObject(item) ? item : { value: item }));
+  }
+  if (!isPlainObject(output)) {
+    return null;
+  }
+  const entries = Object.entries(output);
+  if (entries.length === 0) return null;
+  if (entries.every(([, value]) => isPlainObject(value))) {
+    return entries.map(([key, value]) => ({ key, ...value }));
+  }
+  return entries.map(([statistic, value]) => ({
+    statistic,
+    value: isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : value,
+  }));
+}
+
+// Nested values are written as JSON so each cell stays a single CSV field
+export function rowsToCSV(rows) {
+  return csvFormat(rows.map((row) => {
+    const flat = {};
+    Object.entries(row).forEach(([key, value]) => {
+      flat[key] = value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+    });
+    return flat;
+  }));
+}
+
+export function downloadFile(content, fileName, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadDataURL(dataURL, fileName) {
+  const link = document.createElement('a');
+  link.href = dataURL;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+export async function copyToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Older browsers and non-secure origins have no async clipboard API
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) {
+    throw new Error('Copying to the clipboard is not supported in this browser');
+  }
+}
+
+export function chartTitle(spec) {
+  const title = spec && spec.title;
+  const text = typeof title === 'string' || Array.isArray(title) ? title : title && title.text;
+  return (Array.isArray(text) ? text.join(' ') : text || '').trim() || 'Chart';
+}
+
+// File names from a title or question: "Sales by region?" → "sales-by-region"
+export function toFileName(text, fallback = 'export') {
+  const slug = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  return slug || fallback;
+}
+
+const escapeHTML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const columnsOf = (rows) => Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+
+function rowsToHTMLTable(rows) {
+  const columns = columnsOf(rows);
+  const header = columns.map((column) => `<th>${escapeHTML(column)}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr>${columns.map((column) => `<td>${escapeHTML(formatCell(row[column]))}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+const escapeMarkdownCell = (text) => text.replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function rowsToMarkdownTable(rows) {
+  const columns = columnsOf(rows);
+  const lines = [
+    `| ${columns.map(escapeMarkdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${columns.map((column) => escapeMarkdownCell(formatCell(row[column]))).join(' | ')} |`),
+  ];
+  return lines.join('\n');
+}
+
+// Messages still waiting for an answer are left out of reports
+const reportMessages = (messages) => messages.filter((message) => !message.isLoading);
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #281332; max-width: 960px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { color: #4b284e; }
+  .message { margin: 1.5rem 0; }
+  .sender { font-size: 0.8rem; color: #6b5b73; text-transform: uppercase; letter-spacing: 0.05em; }
+  .user .text { background: #4b284e; color: #fff; display: inline-block; padding: 0.5rem 1rem; border-radius: 0.5rem; }
+  .text { white-space: pre-wrap; }
+  .chart { margin-top: 0.75rem; overflow-x: auto; }
+  table { border-collapse: collapse; margin-top: 0.75rem; font-size: 0.875rem; }
+  th, td { border: 1px solid #ddd; padding: 0.25rem 0.5rem; text-align: left; }
+  th { background: #f9f5f1; }
+  .meta { color: #6b5b73; font-size: 0.875rem; }
+`;
+
+// Self-contained HTML: charts are inline SVG and outputs are tables
+export async function buildHTMLReport(messages, { title = 'Data analysis report', data = null } = {}) {
+  const sections = [];
+  for (const message of reportMessages(messages)) {
+    const parts = [
+      `<div class="sender">${message.sender === 'user' ? 'Question' : 'Answer'}</div>`,
+      `<div class="text">${escapeHTML(message.text || '')}</div>`,
+    ];
+    if (message.scopeLabel) {
+      parts.push(`<div class="meta">About: ${escapeHTML(message.scopeLabel)}</div>`);
+    }
+    if (message.chartSpec) {
+      try {
+        parts.push(`<div class="chart">${await chartToSVG(displayedChartSpec(message, data))}</div>`);
+      } catch (error) {
+        parts.push(`<div class="meta">Chart could not be rendered: ${escapeHTML(error.message)}</div>`);
+      }
+    }
+    const rows = message.output !== undefined ? outputToRows(message.output) : null;
+    if (rows) {
+      parts.push(rowsToHTMLTable(rows));
+    }
+    sections.push(`<div class="message ${message.sender}">\n${parts.join('\n')}\n</div>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">Exported ${escapeHTML(new Date().toLocaleString())}</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Markdown embeds charts as PNG data URLs, which most Markdown viewers display inline
+export async function buildMarkdownReport(messages, { title = 'Data analysis report', data = null } = {}) {
+  const lines = [`# ${title}`, '', `_Exported ${new Date().toLocaleString()}_`, ''];
+  for (const message of reportMessages(messages)) {
+    if (message.sender === 'user') {
+      lines.push(`## ${(message.text || '').replace(/\n/g, ' ')}`, '');
+      if (message.scopeLabel) lines.push(`_About: ${message.scopeLabel}_`, '');
+      continue;
+    }
+    lines.push(message.text || '', '');
+    if (message.chartSpec) {
+      try {
+        const spec = displayedChartSpec(message, data);
+        const image = await chartToPNG(spec);
+        lines.push(`![${chartTitle(spec)}](${image})`, '');
+      } catch (error) {
+        lines.push(`_Chart could not be rendered: ${error.message}_`, '');
+      }
+    }
+    const rows = message.output !== undefined ? outputToRows(message.output) : null;
+    if (rows) {
+      lines.push(rowsToMarkdownTable(rows), '');
+    }
+  }
+  return lines.join('\n');
+}
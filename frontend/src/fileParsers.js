@@ -0,0 +1,401 @@
+import { dsvFormat, autoType } from 'd3-dsv';
+
+// Reads uploaded data files into an array of row objects.
+// The format comes from the file extension, or from the content when the extension is unknown
+// (zip signature → Excel, "PAR1" → Parquet, leading [ or { → JSON). Malformed files throw an
+// Error whose `details` array lists what went wrong, e.g. the line numbers of bad NDJSON rows.
+
+export const FORMATS = {
+  csv: 'CSV',
+  tsv: 'TSV',
+  json: 'JSON',
+  ndjson: 'NDJSON',
+  xlsx: 'Excel',
+  parquet: 'Parquet',
+};
+
+export const DELIMITERS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '\t': 'Tab',
+  '|': 'Pipe',
+};
+
+export const ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-1', 'utf-16le'];
+
+export const DEFAULT_OPTIONS = {
+  format: 'auto',
+  delimiter: 'auto',
+  encoding: 'auto',
+  headerRow: 1,
+  sheet: null,
+};
+
+const EXTENSIONS = {
+  csv: 'csv',
+  txt: 'csv',
+  tsv: 'tsv',
+  tab: 'tsv',
+  json: 'json',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  xlsx: 'xlsx',
+  xlsm: 'xlsx',
+  parquet: 'parquet',
+};
+
+const MAX_DETAILS = 10;
+const DELIMITER_SAMPLE_LINES = 20;
+const DECIMAL_COMMA = /^[-+]?(\d{1,3}(\.\d{3})+|\d+),\d+$/;
+
+// Errors carry a details list for the upload error report
+function createParseError(message, details = []) {
+  const error = new Error(message);
+  error.details = details;
+  return error;
+}
+
+function limitDetails(details) {
+  if (details.length <= MAX_DETAILS) {
+    return details;
+  }
+  return [...details.slice(0, MAX_DETAILS), `...and ${details.length - MAX_DETAILS} more`];
+}
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+export function detectFormat(fileName, bytes) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (extension === 'xls') {
+    throw createParseError('Legacy .xls workbooks are not supported.', [
+      'Save the workbook as .xlsx or export the sheet as CSV, then upload it again.',
+    ]);
+  }
+  if (EXTENSIONS[extension]) {
+    return EXTENSIONS[extension];
+  }
+
+  if (startsWith(bytes, [0x50, 0x4b, 0x03, 0x04])) return 'xlsx';
+  if (startsWith(bytes, [0x50, 0x41, 0x52, 0x31])) return 'parquet';
+
+  const head = new TextDecoder().decode(bytes.subarray(0, 1024)).trimStart();
+  if (head.startsWith('[')) return 'json';
+  if (head.startsWith('{')) {
+    // One object per line is NDJSON; a single object spanning lines is JSON
+    const lines = head.split('\n').filter((line) => line.trim() !== '');
+    return lines.length > 1 && lines.slice(0, -1).every((line) => line.trim().endsWith('}')) ? 'ndjson' : 'json';
+  }
+  return 'csv';
+}
+
+// Text decoding: a byte order mark wins, then strict UTF-8, then Windows-1252 (Excel's default on Windows)
+function decodeText(bytes, encoding, warnings) {
+  if (encoding !== 'auto') {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  }
+  if (startsWith(bytes, [0xff, 0xfe])) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+  }
+  if (startsWith(bytes, [0xfe, 0xff])) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (error) {
+    warnings.push('The file is not valid UTF-8, so it was read as Windows-1252. Pick another encoding if characters look wrong.');
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+}
+
+// Picks the candidate that splits the first lines into the same number of fields most consistently
+function detectDelimiter(text) {
+  const lines = text
+    .replace(/"(?:[^"]|"")*"/g, '""')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .slice(0, DELIMITER_SAMPLE_LINES);
+
+  let best = { delimiter: ',', consistency: 0, fields: 0 };
+  Object.keys(DELIMITERS).forEach((delimiter) => {
+    const counts = lines.map((line) => line.split(delimiter).length - 1);
+    if (counts.length === 0 || counts[0] === 0) return;
+    const consistency = counts.filter((count) => count === counts[0]).length / counts.length;
+    if (consistency > best.consistency || (consistency === best.consistency && counts[0] > best.fields)) {
+      best = { delimiter, consistency, fields: counts[0] };
+    }
+  });
+  return best.delimiter;
+}
+
+// Blank and repeated header names would collide as object keys
+function buildHeader(cells, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, i) => {
+    const cell = cells[i];
+    const base = cell === null || cell === undefined || String(cell).trim() === '' ? `Column ${i + 1}` : String(cell).trim();
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+}
+
+const isEmptyRow = (row) => row.every((cell) => cell === null || cell === undefined || cell === '');
+
+// Turns rows of cells into objects. headerRow is 1-based (rows above it are skipped, e.g. report
+// titles); 0 means the file has no header and columns are named "Column 1", "Column 2"...
+// Cells missing from short rows get the empty value.
+function rowsToObjects(rows, headerRow, warnings, empty = null) {
+  const headerIndex = Math.max(0, headerRow - 1);
+  if (rows.length <= headerIndex) {
+    throw createParseError(`The file has fewer than ${headerRow} rows, so row ${headerRow} cannot be the header.`);
+  }
+
+  const bodyStart = headerRow > 0 ? headerIndex + 1 : headerIndex;
+  const body = rows.slice(bodyStart);
+  const width = headerRow > 0
+    ? rows[headerIndex].length
+    : body.reduce((max, row) => Math.max(max, row.length), 0);
+  const header = buildHeader(headerRow > 0 ? rows[headerIndex] : [], width);
+
+  const ragged = [];
+  const objects = [];
+  body.forEach((row, i) => {
+    if (isEmptyRow(row)) return;
+    if (row.length !== width) ragged.push(bodyStart + i + 1);
+    const object = {};
+    header.forEach((column, j) => {
+      object[column] = row[j] === undefined ? empty : row[j];
+    });
+    objects.push(object);
+  });
+
+  if (objects.length === 0) {
+    throw createParseError('The file has no data rows.');
+  }
+  if (ragged.length > objects.length / 2) {
+    throw createParseError(
+      `Most rows do not have the ${width} fields of the header row. Check the delimiter and header row options.`,
+      limitDetails(ragged.map((line) => `Row ${line} has a different number of fields`))
+    );
+  }
+  if (ragged.length > 0) {
+    warnings.push(
+      `${ragged.length} row(s) have a different number of fields than the header; missing fields were left empty and extra fields dropped (rows ${ragged.slice(0, 5).join(', ')}${ragged.length > 5 ? ', ...' : ''}).`
+    );
+  }
+  return objects;
+}
+
+function parseDelimited(text, { delimiter, headerRow }, warnings) {
+  const rows = dsvFormat(delimiter).parseRows(text);
+
+  // Semicolon files usually come from locales that write 1.234,5 for 1234.5
+  let decimalCommas = 0;
+  if (delimiter === ';') {
+    rows.forEach((row) => {
+      row.forEach((cell, i) => {
+        const trimmed = cell.trim();
+        if (DECIMAL_COMMA.test(trimmed)) {
+          row[i] = trimmed.replace(/\./g, '').replace(',', '.');
+          decimalCommas++;
+        }
+      });
+    });
+  }
+  if (decimalCommas > 0) {
+    warnings.push(`Read ${decimalCommas} value(s) with a decimal comma as numbers.`);
+  }
+
+  // autoType expects strings, so short rows are padded with "" (which it turns into null)
+  return rowsToObjects(rows, headerRow, warnings, '').map((row) => autoType(row));
+}
+
+// Nested objects become prefixed columns ({ a: { b: 1 } } → a_b) and arrays become JSON text
+function flattenRow(row, prefix = '', target = {}) {
+  Object.entries(row).forEach(([key, value]) => {
+    const column = prefix ? `${prefix}_${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      flattenRow(value, column, target);
+    } else {
+      target[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+  return target;
+}
+
+function describeJsonError(error, text) {
+  const match = /position (\d+)/.exec(error.message);
+  if (!match) {
+    return error.message;
+  }
+  const before = text.slice(0, Number(match[1]));
+  const line = before.split('\n').length;
+  const column = before.length - before.lastIndexOf('\n');
+  return `Line ${line}, column ${column}: ${error.message}`;
+}
+
+// Accepts an array of objects, an array of arrays (first row is the header),
+// or an object wrapping such an array ({ "data": [...] })
+function jsonToRows(value, headerRow, warnings) {
+  let rows = value;
+  if (!Array.isArray(rows) && rows && typeof rows === 'object') {
+    const key = Object.keys(rows).find((name) => Array.isArray(rows[name]) && rows[name].length > 0);
+    if (!key) {
+      throw createParseError('The JSON file does not contain an array of rows.', [
+        'Expected an array of objects such as [{"name": "A", "value": 1}, ...].',
+      ]);
+    }
+    warnings.push(`Read the rows from the "${key}" property.`);
+    rows = rows[key];
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw createParseError('The JSON file does not contain any rows.');
+  }
+
+  if (rows.every(Array.isArray)) {
+    return rowsToObjects(rows, headerRow, warnings);
+  }
+  const invalid = [];
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) invalid.push(`Row ${i + 1} is ${JSON.stringify(row)}, not an object`);
+  });
+  if (invalid.length > 0) {
+    throw createParseError('Every JSON row must be an object of column values.', limitDetails(invalid));
+  }
+  return rows.map((row) => flattenRow(row));
+}
+
+function parseJson(text, { headerRow }, warnings) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw createParseError('The file is not valid JSON.', [describeJsonError(error, text)]);
+  }
+  return jsonToRows(value, headerRow, warnings);
+}
+
+// Bad lines are skipped with a warning as long as some lines could be read
+function parseNdjson(text, options, warnings) {
+  const rows = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+    try {
+      const row = JSON.parse(line);
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        errors.push(`Line ${i + 1}: expected an object`);
+      } else {
+        rows.push(flattenRow(row));
+      }
+    } catch (error) {
+      errors.push(`Line ${i + 1}: ${error.message}`);
+    }
+  });
+
+  if (rows.length === 0) {
+    throw createParseError('No line of the file is a valid JSON object.', limitDetails(errors));
+  }
+  if (errors.length > 0) {
+    warnings.push(`Skipped ${errors.length} malformed line(s): ${limitDetails(errors).join('; ')}`);
+  }
+  return rows;
+}
+
+// The spreadsheet reader is only loaded when a workbook is uploaded
+async function parseWorkbook(file, { sheet, headerRow }, warnings) {
+  const { default: readExcelFile } = await import('read-excel-file/browser');
+  let sheets;
+  try {
+    sheets = await readExcelFile(file);
+  } catch (error) {
+    throw createParseError('The file could not be read as an Excel workbook.', [error.message]);
+  }
+
+  const names = sheets.map((entry) => entry.sheet);
+  const selected = sheet
+    ? sheets.find((entry) => entry.sheet === sheet)
+    : sheets.find((entry) => !entry.data.every(isEmptyRow)) || sheets[0];
+  if (!selected) {
+    throw createParseError(`The workbook has no sheet named "${sheet}".`, [`Sheets: ${names.join(', ')}`]);
+  }
+  if (selected.data.every(isEmptyRow)) {
+    throw createParseError(`Sheet "${selected.sheet}" is empty.`, names.length > 1 ? ['Pick another sheet.'] : []);
+  }
+
+  return {
+    data: rowsToObjects(selected.data, headerRow, warnings),
+    sheets: names,
+    sheet: selected.sheet,
+  };
+}
+
+// Parquet integers can be BigInt and byte arrays Uint8Array; neither survives JSON.stringify
+function normalizeParquetValue(value) {
+  if (typeof value === 'bigint') {
+    return value >= Number.MIN_SAFE_INTEGER && value <= Number.MAX_SAFE_INTEGER ? Number(value) : value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return new TextDecoder().decode(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeParquetValue);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeParquetValue(item)]));
+  }
+  return value;
+}
+
+async function parseParquet(buffer) {
+  const { parquetReadObjects } = await import('hyparquet');
+  let rows;
+  try {
+    rows = await parquetReadObjects({ file: buffer });
+  } catch (error) {
+    throw createParseError('The file could not be read as Parquet.', [error.message]);
+  }
+  if (rows.length === 0) {
+    throw createParseError('The Parquet file has no rows.');
+  }
+  return rows.map((row) => flattenRow(normalizeParquetValue(row)));
+}
+
+// Returns { data, format, delimiter, encoding, sheets, sheet, warnings }.
+// Options not used by the detected format are ignored.
+export async function parseFile(file, options = {}) {
+  const { format: requestedFormat, delimiter: requestedDelimiter, encoding: requestedEncoding, headerRow, sheet } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length === 0) {
+    throw createParseError('The file is empty.');
+  }
+
+  const format = requestedFormat === 'auto' ? detectFormat(file.name, bytes) : requestedFormat;
+  const warnings = [];
+  const result = { format, delimiter: null, encoding: null, sheets: [], sheet: null, warnings };
+
+  if (format === 'xlsx') {
+    return { ...result, ...(await parseWorkbook(file, { sheet, headerRow }, warnings)) };
+  }
+  if (format === 'parquet') {
+    return { ...result, data: await parseParquet(buffer) };
+  }
+
+  const { text, encoding } = decodeText(bytes, requestedEncoding, warnings);
+  result.encoding = encoding;
+  if (format === 'json') {
+    return { ...result, data: parseJson(text, { headerRow }, warnings) };
+  }
+  if (format === 'ndjson') {
+    return { ...result, data: parseNdjson(text, { headerRow }, warnings) };
+  }
+
+  const delimiter = requestedDelimiter !== 'auto'
+    ? requestedDelimiter
+    : format === 'tsv' ? '\t' : detectDelimiter(text);
+  return { ...result, delimiter, data: parseDelimited(text, { delimiter, headerRow }, warnings) };
+}
@@ -0,0 +1,227 @@
+// Browser persistence for chat sessions, backed by IndexedDB.
+// Session records (name, messages with their chart specs) and datasets live in separate object
+// stores, so the sidebar can list sessions without loading every dataset.
+//
+// Datasets are the large part, so they are evicted by size: a dataset over MAX_DATASET_BYTES is
+// never stored, and when the stored datasets exceed the budget the least recently used ones are
+// dropped first. An evicted session keeps its messages and asks for the file to be uploaded again.
+const DB_NAME = 'data-viz-assistant';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const DATASETS = 'datasets';
+
+const MAX_DATASET_BYTES = 50 * 1024 * 1024;
+const MAX_TOTAL_DATASET_BYTES = 250 * 1024 * 1024;
+// Share of the browser's storage quota that datasets may use
+const QUOTA_SHARE = 0.5;
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        db.createObjectStore(DATASETS, { keyPath: 'sessionId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The session database is open in another tab with an older version'));
+    });
+    // A failed open (e.g. private browsing) may succeed on a later attempt
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+// Runs callback(stores) in one transaction. The callback may return a function that reads the
+// result once the transaction has committed.
+async function runTransaction(storeNames, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach((name) => {
+      stores[name] = transaction.objectStore(name);
+    });
+    const getResult = callback(stores);
+    transaction.oncomplete = () => resolve(getResult ? getResult() : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+const generateSessionId = () =>
+  window.crypto && window.crypto.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Serialized length is a close enough proxy for the stored size
+const estimateSize = (data) => JSON.stringify(data).length;
+
+function getAll(store) {
+  const request = store.getAll();
+  return () => request.result;
+}
+
+// Sessions without their messages, most recently used first
+export async function listSessions() {
+  const sessions = await runTransaction([SESSIONS], 'readonly', (stores) => getAll(stores[SESSIONS]));
+  return sessions
+    .map(({ messages, ...session }) => ({ ...session, messageCount: messages.length }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// Returns { session, data }; data is null when the dataset was evicted or never stored
+export async function loadSession(id) {
+  const [session, dataset] = await runTransaction([SESSIONS, DATASETS], 'readonly', (stores) => {
+    const sessionRequest = stores[SESSIONS].get(id);
+    const datasetRequest = stores[DATASETS].get(id);
+    return () => [sessionRequest.result, datasetRequest.result];
+  });
+  if (!session) {
+    throw new Error(`Session "${id}" not found`);
+  }
+  return { session, data: dataset ? dataset.data : null };
+}
+
+// Merges changes into a stored session; touch bumps its last-used time, which orders the
+// sidebar and decides which datasets are evicted first
+export async function updateSession(id, changes, { touch = true } = {}) {
+  return runTransaction([SESSIONS], 'readwrite', (stores) => {
+    let updated = null;
+    const request = stores[SESSIONS].get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      updated = { ...request.result, ...changes };
+      if (touch) updated.updatedAt = new Date().toISOString();
+      stores[SESSIONS].put(updated);
+    };
+    return () => updated;
+  });
+}
+
+async function getStorageBudget() {
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { quota } = await navigator.storage.estimate();
+      if (quota) return Math.min(MAX_TOTAL_DATASET_BYTES, quota * QUOTA_SHARE);
+    } catch (error) {
+      console.warn('Storage estimate unavailable:', error.message);
+    }
+  }
+  return MAX_TOTAL_DATASET_BYTES;
+}
+
+// Drops the least recently used datasets (never keepId's) until the stored ones fit the budget.
+// Returns the names of the sessions whose datasets were evicted.
+async function enforceStorageBudget(keepId, extraBytes = 0) {
+  const budget = await getStorageBudget();
+  const sessions = await listSessions();
+  // keepId's own stored dataset is about to be replaced by extraBytes
+  let total = extraBytes + sessions.reduce(
+    (sum, session) => sum + (session.datasetStored && session.id !== keepId ? session.datasetSize : 0),
+    0
+  );
+
+  const evicted = [];
+  const candidates = sessions.filter((session) => session.datasetStored && session.id !== keepId).reverse();
+  for (const session of candidates) {
+    if (total <= budget) break;
+    await runTransaction([DATASETS], 'readwrite', (stores) => {
+      stores[DATASETS].delete(session.id);
+    });
+    await updateSession(
+      session.id,
+      { datasetStored: false, datasetEvictedAt: new Date().toISOString() },
+      { touch: false }
+    );
+    total -= session.datasetSize;
+    evicted.push(session.name);
+  }
+  return evicted;
+}
+
+// Stores (or replaces) a session's dataset if it fits, evicting older datasets to make room.
+// Returns the updated session.
+export async function saveDataset(id, data, { fileName = null } = {}) {
+  const datasetSize = estimateSize(data);
+  const details = {
+    fileName,
+    rowCount: data.length,
+    columnCount: data.length > 0 ? Object.keys(data[0]).length : 0,
+    datasetSize,
+    datasetEvictedAt: null,
+  };
+
+  if (datasetSize > MAX_DATASET_BYTES) {
+    await runTransaction([DATASETS], 'readwrite', (stores) => {
+      stores[DATASETS].delete(id);
+    });
+    console.warn(`Dataset of ${datasetSize} bytes is over the ${MAX_DATASET_BYTES} byte limit and was not stored`);
+    return updateSession(id, { ...details, datasetStored: false });
+  }
+
+  const evicted = await enforceStorageBudget(id, datasetSize);
+  if (evicted.length > 0) {
+    console.warn('Evicted stored datasets to make room:', evicted.join(', '));
+  }
+
+  const putDataset = () => runTransaction([DATASETS], 'readwrite', (stores) => {
+    stores[DATASETS].put({ sessionId: id, data });
+  });
+  try {
+    await putDataset();
+  } catch (error) {
+    if (error.name !== 'QuotaExceededError') throw error;
+    // The quota estimate was too optimistic; free everything else and try once more
+    await enforceStorageBudget(id, Infinity);
+    await putDataset();
+  }
+  return updateSession(id, { ...details, datasetStored: true });
+}
+
+export async function createSession({ name, data = null, fileName = null }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: generateSessionId(),
+    name: name || 'Untitled session',
+    fileName,
+    createdAt: now,
+    updatedAt: now,
+    rowCount: 0,
+    columnCount: 0,
+    datasetSize: 0,
+    datasetStored: false,
+    datasetEvictedAt: null,
+    messages: [],
+  };
+  await runTransaction([SESSIONS], 'readwrite', (stores) => {
+    stores[SESSIONS].put(session);
+  });
+
+  // Ask the browser not to clear the database under storage pressure
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+  return data ? saveDataset(session.id, data, { fileName }) : session;
+}
+
+export async function renameSession(id, name) {
+  return updateSession(id, { name }, { touch: false });
+}
+
+export async function deleteSession(id) {
+  await runTransaction([SESSIONS, DATASETS], 'readwrite', (stores) => {
+    stores[SESSIONS].delete(id);
+    stores[DATASETS].delete(id);
+  });
+}
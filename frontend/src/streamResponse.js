@@ -0,0 +1,85 @@
+// Client for the /api/generate-response/stream Server-Sent Events endpoint.
+// EventSource only supports GET, so the stream is read from a fetch() body instead.
+
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+  return { event, payload: JSON.parse(dataLines.join('\n')) };
+}
+
+// Errors mirror axios' shape (error.response.status / error.response.data)
+// so callers can handle both transports the same way.
+function createResponseError(status, data) {
+  const error = new Error((data && data.error) || `Request failed with status code ${status}`);
+  error.response = { status, data: data || {} };
+  return error;
+}
+
+async function streamGenerateResponse(payload, { onEvent, signal } = {}) {
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/api/generate-response/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (!response.ok) {
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      data = { error: response.statusText };
+    }
+    throw createResponseError(response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalPayload = null;
+
+  const handleBlock = (block) => {
+    const parsed = parseEventBlock(block);
+    if (!parsed) return;
+
+    if (parsed.event === 'final') {
+      finalPayload = parsed.payload;
+    } else if (parsed.event === 'error') {
+      throw createResponseError(parsed.payload.status || 500, parsed.payload);
+    } else if (onEvent) {
+      onEvent(parsed.event, parsed.payload);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(handleBlock);
+  }
+  if (buffer.trim()) {
+    handleBlock(buffer);
+  }
+
+  if (!finalPayload) {
+    throw new Error('Stream ended before the final response was received');
+  }
+  return { data: finalPayload };
+}
+
+export { streamGenerateResponse };
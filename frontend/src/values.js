@@ -0,0 +1,23 @@
+// Number parsing for cell values, the same rules as the server's parseNumeric
+// (backend/utils/values.js), so the grid sorts, bins and filters the numbers the server
+// profiled: whole numeric strings with optional thousands separators, one currency symbol
+// at either end or a trailing percent sign. Anything else is NaN ("1,2,3", "12abc").
+const NUMERIC_TEXT = /^[-+]?(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?([eE][-+]?\d+)?$/;
+const CURRENCY_SYMBOL = /^[$€£¥₹]|[$€£¥₹]$/;
+
+export function parseNumeric(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  let text = value.replace(/\s/g, '');
+  let sign = '';
+  if (/^[-+][$€£¥₹]/.test(text)) {
+    sign = text[0];
+    text = text.slice(1);
+  }
+  if (text.endsWith('%')) text = text.slice(0, -1);
+  else text = text.replace(CURRENCY_SYMBOL, '');
+
+  if (!/\d/.test(text) || !NUMERIC_TEXT.test(text)) return NaN;
+  return Number(sign + text.replace(/,/g, ''));
+}